@@ -0,0 +1,141 @@
+/**
+ * Places a route should stay clear of
+ * Negated places ("not through Chicago", "avoid downtown Seattle") are turned
+ * into exclusion points for the Directions API: one point for a town or
+ * landmark, a grid over the bounding box of a larger area. Excluding points
+ * does not guarantee the route misses the whole place, so the returned route
+ * is checked against each one before the summary says it stays clear
+ */
+
+import { calculateDistance } from './coordinates.js';
+
+// Directions API limit on exclusion points per request
+export const MAX_EXCLUSION_POINTS = 50;
+
+// Points per side of the grid laid over an area's bounding box
+const AREA_GRID_SIZE = 3;
+
+// A route passing closer than this to a place without a bounding box goes through it
+const POINT_CLEARANCE_KM = 2;
+
+// Exclusion points this close to a waypoint would leave no way to reach it
+const WAYPOINT_CLEARANCE_KM = 2;
+
+/**
+ * Build the exclusion points for a set of avoided places
+ * Points near a waypoint are left out, and the total is capped at the API limit
+ * @param {Array<Object>} areas - Avoided places as {name, coordinates, bbox}; bbox is [west, south, east, north] or null
+ * @param {Array<Array>} waypoints - Waypoint coordinates as [longitude, latitude]
+ * @returns {Array<Array>} - Exclusion points as [longitude, latitude]
+ */
+export function buildExclusionPoints(areas, waypoints = []) {
+  const points = [];
+  areas.forEach(area => {
+    const candidates = area.bbox ? gridPoints(area.bbox) : [area.coordinates];
+    candidates
+      .filter(point => !waypoints.some(waypoint => distanceKm(point, waypoint) < WAYPOINT_CLEARANCE_KM))
+      .forEach(point => points.push(point));
+  });
+  return points.slice(0, MAX_EXCLUSION_POINTS);
+}
+
+/**
+ * Format exclusion points for the Directions API exclude parameter
+ * @param {Array<Array>} points - Points as [longitude, latitude]
+ * @returns {string} - Comma-separated "point(lng lat)" values, empty when there are none
+ */
+export function formatExclusionPoints(points) {
+  return points.map(([lng, lat]) => `point(${lng.toFixed(6)} ${lat.toFixed(6)})`).join(',');
+}
+
+/**
+ * Check whether a route stays clear of each avoided place
+ * A place with a bounding box is crossed when the route enters the box; any
+ * other place when the route passes within POINT_CLEARANCE_KM of it
+ * @param {Array<Array>} routeCoordinates - Route geometry as [longitude, latitude] positions
+ * @param {Array<Object>} areas - Avoided places as {name, coordinates, bbox}
+ * @returns {Array<Object>} - {name, clear, distanceKm} per place; distanceKm is the closest approach
+ */
+export function checkClearance(routeCoordinates, areas) {
+  return areas.map(area => {
+    const distance = distanceToRouteKm(area.coordinates, routeCoordinates);
+    const clear = area.bbox
+      ? !routeCoordinates.some(position => inBbox(position, area.bbox))
+      : distance > POINT_CLEARANCE_KM;
+    return { name: area.name, clear, distanceKm: Math.round(distance * 10) / 10 };
+  });
+}
+
+/**
+ * Lay an evenly spaced grid over a bounding box
+ * @param {Array} bbox - [west, south, east, north]
+ * @returns {Array<Array>} - Grid points as [longitude, latitude]
+ */
+function gridPoints([west, south, east, north]) {
+  const points = [];
+  for (let row = 0; row < AREA_GRID_SIZE; row++) {
+    for (let column = 0; column < AREA_GRID_SIZE; column++) {
+      points.push([
+        west + (east - west) * (column + 0.5) / AREA_GRID_SIZE,
+        south + (north - south) * (row + 0.5) / AREA_GRID_SIZE
+      ]);
+    }
+  }
+  return points;
+}
+
+/**
+ * Check whether a position is inside a bounding box
+ * @param {Array} position - [longitude, latitude]
+ * @param {Array} bbox - [west, south, east, north]
+ * @returns {boolean} - True when inside
+ */
+function inBbox([lng, lat], [west, south, east, north]) {
+  return lng >= west && lng <= east && lat >= south && lat <= north;
+}
+
+/**
+ * Closest distance from a point to a route line
+ * @param {Array} point - [longitude, latitude]
+ * @param {Array<Array>} routeCoordinates - Route geometry
+ * @returns {number} - Distance in kilometers
+ */
+function distanceToRouteKm(point, routeCoordinates) {
+  if (routeCoordinates.length === 1) return distanceKm(point, routeCoordinates[0]);
+
+  let nearest = Infinity;
+  for (let i = 0; i < routeCoordinates.length - 1; i++) {
+    nearest = Math.min(nearest, distanceToSegmentKm(point, routeCoordinates[i], routeCoordinates[i + 1]));
+  }
+  return nearest;
+}
+
+/**
+ * Distance from a point to a route segment
+ * Uses a flat projection around the point, which is accurate at clearance distances
+ * @param {Array} point - [longitude, latitude]
+ * @param {Array} from - Segment start
+ * @param {Array} to - Segment end
+ * @returns {number} - Distance in kilometers
+ */
+function distanceToSegmentKm([lng, lat], from, to) {
+  const kmPerLng = 111.32 * Math.cos(lat * Math.PI / 180);
+  const kmPerLat = 110.57;
+  const ax = (from[0] - lng) * kmPerLng;
+  const ay = (from[1] - lat) * kmPerLat;
+  const dx = (to[0] - from[0]) * kmPerLng;
+  const dy = (to[1] - from[1]) * kmPerLat;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared > 0 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared)) : 0;
+  return Math.hypot(ax + t * dx, ay + t * dy);
+}
+
+/**
+ * Great-circle distance between two positions
+ * @param {Array} from - [longitude, latitude]
+ * @param {Array} to - [longitude, latitude]
+ * @returns {number} - Distance in kilometers
+ */
+function distanceKm(from, to) {
+  return calculateDistance(from[1], from[0], to[1], to[0]);
+}
@@ -0,0 +1,458 @@
+/**
+ * Coordinate literal recognizer
+ * Finds coordinates typed as text - decimal degrees ("37.7749,-122.4194"), degrees,
+ * minutes and seconds ("48°51'24"N 2°21'03"E"), UTM, MGRS and Open Location Codes
+ * ("849VCWC8+R9") - so those waypoints can be placed without geocoding.
+ * Coordinates are returned as [longitude, latitude] like everywhere else on the map
+ */
+
+const PLUS_CODE_ALPHABET = '23456789CFGHJMPQRVWX';
+const PLUS_CODE_CHARS = `[${PLUS_CODE_ALPHABET}${PLUS_CODE_ALPHABET.toLowerCase()}]`;
+
+// WGS84 ellipsoid and UTM scale factor
+const WGS84_A = 6378137;
+const WGS84_E2 = 0.00669438;
+const UTM_K0 = 0.9996;
+
+// Latitude bands C-X (no I or O), 8 degrees each from 80°S
+const UTM_BANDS = 'CDEFGHJKLMNPQRSTUVWX';
+
+// MGRS 100 km square letters: columns repeat every three zones, rows every two
+const MGRS_COLUMN_SETS = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'];
+const MGRS_ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';
+
+// A rewritten coordinate may be rounded by this much, in degrees
+const COORDINATE_TOLERANCE = 0.001;
+
+// Signed decimal numbers, for coordinates written without a recognized format
+const NUMBER_PATTERN = /[-+]?\d+(?:\.\d+)?/g;
+
+const FORMAT_LABELS = {
+  decimal: 'decimal degrees',
+  dms: 'degrees, minutes and seconds',
+  utm: 'UTM',
+  mgrs: 'MGRS',
+  'plus-code': 'Plus Code',
+  'plus-code-short': 'Plus Code'
+};
+
+const DMS_PART = `(\\d{1,3}(?:\\.\\d+)?)\\s*[°º]\\s*(?:(\\d{1,2}(?:\\.\\d+)?)\\s*['′’]\\s*)?(?:(\\d{1,2}(?:\\.\\d+)?)\\s*(?:"|″|”|'')\\s*)?([NSEWnsew])(?![\\p{L}\\d])`;
+
+// Patterns from most to least specific; earlier matches win over overlapping later ones
+const LITERAL_PATTERNS = [
+  {
+    format: 'dms',
+    pattern: new RegExp(`${DMS_PART}\\s*[,;/]?\\s*${DMS_PART}`, 'gu')
+  },
+  {
+    format: 'utm',
+    pattern: /\b(\d{1,2})\s?([C-HJ-NP-X])\s+(\d{6}(?:\.\d+)?)\s*m?E?\s+(\d{6,7}(?:\.\d+)?)\s*m?N?\b/g
+  },
+  {
+    format: 'mgrs',
+    pattern: /\b(\d{1,2})\s?([C-HJ-NP-X])\s?([A-HJ-NP-Z])([A-HJ-NP-V])\s?(\d{1,5}\s+\d{1,5}|\d{2,10})\b/g
+  },
+  {
+    format: 'plus-code',
+    pattern: new RegExp(`(?<![\\w+])(${PLUS_CODE_CHARS}{8}\\+${PLUS_CODE_CHARS}{2,7})(?![\\w+])`, 'g')
+  },
+  {
+    // A short code is only usable next to a locality ("CWC8+R9 Mountain View") or the map view
+    format: 'plus-code-short',
+    pattern: new RegExp(`(?<![\\w+])(${PLUS_CODE_CHARS}{4}(?:${PLUS_CODE_CHARS}{2})?\\+${PLUS_CODE_CHARS}{2,7})(?![\\w+])(?:,?\\s+(\\p{Lu}[\\p{L}'’-]*(?:\\s+\\p{Lu}[\\p{L}'’-]*)*))?`, 'gu')
+  },
+  {
+    format: 'decimal',
+    pattern: /(?<![\w.])([-+]?\d{1,2}\.\d{2,})\s*°?\s*([NSns])?\s*(?:[,;]\s*|\s+)([-+]?\d{1,3}\.\d{2,})\s*°?\s*([EWew])?(?![\w.])/g
+  }
+];
+
+/**
+ * Find every coordinate literal in a text
+ * @param {string} text - Input text
+ * @returns {Array<Object>} - Literals as {text, start, end, format, coordinates}, in text order;
+ *   short Plus Codes have coordinates null and carry {code, locality} for recoverPlusCode
+ */
+export function findCoordinateLiterals(text) {
+  if (!text) return [];
+
+  const found = [];
+
+  LITERAL_PATTERNS.forEach(({ format, pattern }) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (found.some(f => start < f.end && end > f.start)) continue;
+
+      const literal = buildLiteral(format, match);
+      if (literal) {
+        found.push({ text: match[0], start, end, format, ...literal });
+      }
+    }
+  });
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Parse a string that is a coordinate literal and nothing else
+ * @param {string} text - Location name, e.g. "37.7749,-122.4194"
+ * @returns {Object|null} - Literal from findCoordinateLiterals, or null
+ */
+export function parseCoordinateLiteral(text) {
+  if (!text) return null;
+  const trimmed = text.trim();
+  const [literal] = findCoordinateLiterals(trimmed);
+  return literal && literal.start === 0 && literal.end === trimmed.length ? literal : null;
+}
+
+/**
+ * Find the literal from the input that a rewritten coordinate string refers to
+ * A model may copy "37.7749,-122.4194" back as "(37.7749, -122.4194)",
+ * "37.7749° N, 122.4194° W", rounded, or with the longitude first
+ * @param {string} name - Place name that may be a coordinate
+ * @param {Array<Object>} literals - Literals from findCoordinateLiterals on the input
+ * @returns {Object|null} - The matching literal, or null
+ */
+export function findMatchingLiteral(name, literals) {
+  if (typeof name !== 'string' || !name.trim()) return null;
+  const exact = literals.find(literal => literal.text === name.trim());
+  if (exact) return exact;
+
+  const readings = readCoordinatePair(name);
+  return literals.find(literal => literal.coordinates && readings.some(([lng, lat]) =>
+    Math.abs(lng - literal.coordinates[0]) <= COORDINATE_TOLERANCE &&
+    Math.abs(lat - literal.coordinates[1]) <= COORDINATE_TOLERANCE)) || null;
+}
+
+/**
+ * Recover the full position of a short Plus Code from a nearby reference point
+ * @param {string} code - Short code such as "CWC8+R9"
+ * @param {Array<number>} reference - [longitude, latitude] of the locality or map view
+ * @returns {Array<number>|null} - [longitude, latitude], or null for an invalid code
+ */
+export function recoverPlusCode(code, reference) {
+  const shortCode = code.toUpperCase();
+  const paddingLength = 8 - shortCode.indexOf('+');
+  const resolution = Math.pow(20, 2 - paddingLength / 2);
+  const [refLng, refLat] = reference;
+
+  const decoded = decodePlusCode(encodePlusCode(refLat, refLng).slice(0, paddingLength) + shortCode);
+  if (!decoded) return null;
+  let [lng, lat] = decoded;
+
+  // Move by one cell when the nearest match lies in the neighbouring cell
+  if (refLat + resolution / 2 < lat && lat - resolution >= -90) lat -= resolution;
+  else if (refLat - resolution / 2 > lat && lat + resolution <= 90) lat += resolution;
+  if (refLng + resolution / 2 < lng) lng -= resolution;
+  else if (refLng - resolution / 2 > lng) lng += resolution;
+
+  return [roundCoordinate(lng), roundCoordinate(lat)];
+}
+
+/**
+ * Format coordinates for chips and popups ("37.77490° N, 122.41940° W")
+ * @param {Array<number>} coordinates - [longitude, latitude]
+ * @returns {string} - Human-readable position
+ */
+export function formatCoordinates(coordinates) {
+  const [lng, lat] = coordinates;
+  return `${Math.abs(lat).toFixed(5)}° ${lat < 0 ? 'S' : 'N'}, ${Math.abs(lng).toFixed(5)}° ${lng < 0 ? 'W' : 'E'}`;
+}
+
+/**
+ * Name of a literal format for display
+ * @param {string} format - Format from findCoordinateLiterals
+ * @returns {string} - Label such as "UTM" or "Plus Code"
+ */
+export function formatLabel(format) {
+  return FORMAT_LABELS[format] || format;
+}
+
+/**
+ * Calculate distance between two points using Haversine formula
+ * @param {number} lat1 - Latitude of first point
+ * @param {number} lon1 - Longitude of first point
+ * @param {number} lat2 - Latitude of second point
+ * @param {number} lon2 - Longitude of second point
+ * @returns {number} - Distance in kilometers
+ */
+export function calculateDistance(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Radius of the Earth in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = 
+    Math.sin(dLat/2) * Math.sin(dLat/2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
+    Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  const distance = R * c;
+  return distance;
+}
+
+/**
+ * Read the positions a string may stand for
+ * A literal inside it gives one reading; two bare numbers with only brackets,
+ * separators and axis labels around them ("[-122.4194, 37.7749]",
+ * "lat 37.7749, lng -122.4194") are read in both orders
+ * @param {string} name - Place name
+ * @returns {Array<Array<number>>} - [longitude, latitude] readings, empty for anything else
+ */
+function readCoordinatePair(name) {
+  const [literal] = findCoordinateLiterals(name);
+  if (literal && literal.coordinates) return [literal.coordinates];
+
+  const numbers = name.match(NUMBER_PATTERN) || [];
+  const rest = name
+    .replace(NUMBER_PATTERN, '')
+    .replace(/\b(?:lat(?:itude)?|lng|lon(?:gitude)?)\b/gi, '')
+    .replace(/[\s()[\],;:=°]/g, '');
+  if (numbers.length !== 2 || rest) return [];
+  const [first, second] = numbers.map(Number);
+  return [[second, first], [first, second]];
+}
+
+/**
+ * Build the coordinates for a pattern match
+ * @param {string} format - Format of the pattern that matched
+ * @param {Array} match - Regex match
+ * @returns {Object|null} - {coordinates} (plus {code, locality} for short Plus Codes), or null when out of range
+ */
+function buildLiteral(format, match) {
+  let coordinates = null;
+
+  if (format === 'decimal') {
+    coordinates = fromDecimal(match);
+  } else if (format === 'dms') {
+    coordinates = fromDms(match);
+  } else if (format === 'utm') {
+    coordinates = fromUtm(Number(match[1]), match[2], Number(match[3]), Number(match[4]));
+  } else if (format === 'mgrs') {
+    coordinates = fromMgrs(match);
+  } else if (format === 'plus-code') {
+    coordinates = decodePlusCode(match[1]);
+  } else {
+    return { coordinates: null, code: match[1].toUpperCase(), locality: match[2] || null };
+  }
+
+  return coordinates ? { coordinates: coordinates.map(roundCoordinate) } : null;
+}
+
+/**
+ * Read a latitude, longitude pair in decimal degrees, with optional hemisphere letters
+ * @param {Array} match - Decimal pattern match
+ * @returns {Array<number>|null} - [longitude, latitude]
+ */
+function fromDecimal(match) {
+  let first = Number(match[1]);
+  let second = Number(match[3]);
+  const firstHemisphere = (match[2] || '').toUpperCase();
+  const secondHemisphere = (match[4] || '').toUpperCase();
+
+  if (firstHemisphere === 'S') first = -Math.abs(first);
+  if (secondHemisphere === 'W') second = -Math.abs(second);
+
+  return validLatLng(first, second);
+}
+
+/**
+ * Read a degrees/minutes/seconds pair in either order
+ * @param {Array} match - DMS pattern match
+ * @returns {Array<number>|null} - [longitude, latitude]
+ */
+function fromDms(match) {
+  const parts = [match.slice(1, 5), match.slice(5, 9)].map(([deg, min, sec, hemisphere]) => {
+    const value = Number(deg) + Number(min || 0) / 60 + Number(sec || 0) / 3600;
+    const upper = hemisphere.toUpperCase();
+    return { value: upper === 'S' || upper === 'W' ? -value : value, isLatitude: upper === 'N' || upper === 'S' };
+  });
+
+  const latitude = parts.find(p => p.isLatitude);
+  const longitude = parts.find(p => !p.isLatitude);
+  if (!latitude || !longitude) return null;
+
+  return validLatLng(latitude.value, longitude.value);
+}
+
+/**
+ * Convert UTM to latitude and longitude (inverse transverse Mercator on WGS84)
+ * @param {number} zone - UTM zone, 1-60
+ * @param {string} band - Latitude band letter; N and above is the northern hemisphere
+ * @param {number} easting - Easting in metres
+ * @param {number} northing - Northing in metres
+ * @returns {Array<number>|null} - [longitude, latitude]
+ */
+function fromUtm(zone, band, easting, northing) {
+  if (zone < 1 || zone > 60 || easting < 100000 || easting > 900000 || northing > 10000000) return null;
+
+  const isNorthern = band.toUpperCase() >= 'N';
+  const e2 = WGS84_E2;
+  const ep2 = e2 / (1 - e2);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  const x = easting - 500000;
+  const y = isNorthern ? northing : northing - 10000000;
+
+  const mu = y / UTM_K0 / (WGS84_A * (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * e2 * e2 * e2 / 256));
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * Math.pow(e1, 3) / 32) * Math.sin(2 * mu) +
+    (21 * e1 * e1 / 16 - 55 * Math.pow(e1, 4) / 32) * Math.sin(4 * mu) +
+    (151 * Math.pow(e1, 3) / 96) * Math.sin(6 * mu) +
+    (1097 * Math.pow(e1, 4) / 512) * Math.sin(8 * mu);
+
+  const sinPhi = Math.sin(phi1);
+  const cosPhi = Math.cos(phi1);
+  const n1 = WGS84_A / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+  const t1 = Math.tan(phi1) * Math.tan(phi1);
+  const c1 = ep2 * cosPhi * cosPhi;
+  const r1 = WGS84_A * (1 - e2) / Math.pow(1 - e2 * sinPhi * sinPhi, 1.5);
+  const d = x / (n1 * UTM_K0);
+
+  const lat = phi1 - (n1 * Math.tan(phi1) / r1) * (
+    d * d / 2 -
+    (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * ep2) * Math.pow(d, 4) / 24 +
+    (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * ep2 - 3 * c1 * c1) * Math.pow(d, 6) / 720
+  );
+  const lngOffset = (
+    d -
+    (1 + 2 * t1 + c1) * Math.pow(d, 3) / 6 +
+    (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * ep2 + 24 * t1 * t1) * Math.pow(d, 5) / 120
+  ) / cosPhi;
+
+  const centralMeridian = (zone - 1) * 6 - 180 + 3;
+  return validLatLng(lat * 180 / Math.PI, centralMeridian + lngOffset * 180 / Math.PI);
+}
+
+/**
+ * Convert an MGRS reference ("4QFJ1234567890") to latitude and longitude
+ * @param {Array} match - MGRS pattern match
+ * @returns {Array<number>|null} - [longitude, latitude]
+ */
+function fromMgrs(match) {
+  const zone = Number(match[1]);
+  const band = match[2];
+  const digitGroups = match[5].split(/\s+/);
+  const digits = digitGroups.join('');
+  if (zone < 1 || zone > 60 || digits.length % 2 !== 0 ||
+      (digitGroups.length === 2 && digitGroups[0].length !== digitGroups[1].length)) {
+    return null;
+  }
+
+  const column = MGRS_COLUMN_SETS[(zone - 1) % 3].indexOf(match[3]);
+  // Even zones start their row letters five squares later
+  const rowLetters = zone % 2 === 0 ? MGRS_ROW_LETTERS.slice(5) + MGRS_ROW_LETTERS.slice(0, 5) : MGRS_ROW_LETTERS;
+  const row = rowLetters.indexOf(match[4]);
+  if (column === -1 || row === -1) return null;
+
+  const precision = digits.length / 2;
+  const scale = Math.pow(10, 5 - precision);
+  const easting = (column + 1) * 100000 + Number(digits.slice(0, precision)) * scale;
+  let northing = row * 100000 + Number(digits.slice(precision)) * scale;
+
+  // Row letters repeat every 2000 km; the latitude band says which repetition is meant
+  const bandIndex = UTM_BANDS.indexOf(band);
+  const bandSouth = -80 + bandIndex * 8;
+  const minNorthing = meridianNorthing(bandSouth) - 100000;
+  while (northing < minNorthing) northing += 2000000;
+
+  return fromUtm(zone, band, easting, northing);
+}
+
+/**
+ * UTM northing of a latitude on the central meridian
+ * @param {number} lat - Latitude in degrees
+ * @returns {number} - Northing in metres, with the false northing in the southern hemisphere
+ */
+function meridianNorthing(lat) {
+  const phi = lat * Math.PI / 180;
+  const e2 = WGS84_E2;
+  const arc = WGS84_A * (
+    (1 - e2 / 4 - 3 * e2 * e2 / 64 - 5 * Math.pow(e2, 3) / 256) * phi -
+    (3 * e2 / 8 + 3 * e2 * e2 / 32 + 45 * Math.pow(e2, 3) / 1024) * Math.sin(2 * phi) +
+    (15 * e2 * e2 / 256 + 45 * Math.pow(e2, 3) / 1024) * Math.sin(4 * phi) -
+    (35 * Math.pow(e2, 3) / 3072) * Math.sin(6 * phi)
+  );
+  const northing = UTM_K0 * arc;
+  return lat < 0 ? northing + 10000000 : northing;
+}
+
+/**
+ * Decode a full Plus Code to the centre of its cell
+ * @param {string} code - Code such as "849VCWC8+R9"
+ * @returns {Array<number>|null} - [longitude, latitude]
+ */
+function decodePlusCode(code) {
+  const digits = code.toUpperCase().replace('+', '').replace(/0+$/, '');
+  const values = [...digits].map(c => PLUS_CODE_ALPHABET.indexOf(c));
+  if (values.some(v => v === -1) || values[0] > 8 || values[1] > 17) return null;
+
+  let lat = -90;
+  let lng = -180;
+  let latResolution = 400;
+  let lngResolution = 400;
+
+  // The first ten digits are latitude/longitude pairs in base 20
+  for (let i = 0; i < Math.min(values.length, 10); i += 2) {
+    latResolution /= 20;
+    lngResolution /= 20;
+    lat += values[i] * latResolution;
+    lng += (values[i + 1] || 0) * lngResolution;
+  }
+
+  // Later digits refine a 4 x 5 grid
+  for (let i = 10; i < values.length; i++) {
+    latResolution /= 5;
+    lngResolution /= 4;
+    lat += Math.floor(values[i] / 4) * latResolution;
+    lng += (values[i] % 4) * lngResolution;
+  }
+
+  return [lng + lngResolution / 2, lat + latResolution / 2];
+}
+
+/**
+ * Encode a position as a ten digit Plus Code, used to fill in short codes
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {string} - Code such as "849VCWC8+R9"
+ */
+function encodePlusCode(lat, lng) {
+  let latValue = Math.min(Math.max(lat, -90), 90 - 1e-9) + 90;
+  let lngValue = ((lng + 180) % 360 + 360) % 360;
+  let code = '';
+  let resolution = 20;
+
+  for (let pair = 0; pair < 5; pair++) {
+    const latDigit = Math.floor(latValue / resolution);
+    const lngDigit = Math.floor(lngValue / resolution);
+    code += PLUS_CODE_ALPHABET[latDigit] + PLUS_CODE_ALPHABET[lngDigit];
+    latValue -= latDigit * resolution;
+    lngValue -= lngDigit * resolution;
+    resolution /= 20;
+    if (pair === 3) code += '+';
+  }
+
+  return code;
+}
+
+/**
+ * Return [longitude, latitude] when both values are in range
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Array<number>|null} - [longitude, latitude], or null when out of range
+ */
+function validLatLng(lat, lng) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return [lng, lat];
+}
+
+/**
+ * Round to six decimal places (about 10 cm)
+ * @param {number} value - Degrees
+ * @returns {number} - Rounded degrees
+ */
+function roundCoordinate(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
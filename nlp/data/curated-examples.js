@@ -0,0 +1,26 @@
+/**
+ * Curated example results for the NLP pipeline
+ * Each example is matched on its normalized input text and returned instantly,
+ * with locations already placed, so it works offline and never calls the LLM.
+ * Add an entry here instead of special-casing a passage in code
+ */
+
+export const CURATED_EXAMPLES = [
+  {
+    id: 'gibbon-decline-and-fall',
+    input: "Gibbon's canvas is large geographically and chronologically. One expects a sharp focus on the Mediterranean, but Gibbon ranges from sub-Saharan Africa to China. And although he ostensibly covers the period from the Antonines in the second century after Christ until the final collapse of Constantinople in 1453, even this broad range does not contain our author.",
+    result: {
+      isRouteRequest: false,
+      locations: [
+        { name: "Mediterranean", timeContext: "", coordinates: [14.5528, 37.6489] },
+        { name: "sub-Saharan Africa", timeContext: "", coordinates: [17.5707, 3.3578] },
+        { name: "China", timeContext: "", coordinates: [104.1954, 35.8617] },
+        { name: "Constantinople", timeContext: "1453", coordinates: [28.9784, 41.0082] }
+      ],
+      travelMode: "driving",
+      preferences: [],
+      message: "I found several geographical locations mentioned in this historical text. Would you like to see them visualized on a map?",
+      suggestedSequence: ["Mediterranean", "sub-Saharan Africa", "China", "Constantinople"]
+    }
+  }
+];
@@ -0,0 +1,201 @@
+/**
+ * Offline gazetteer data for the place name recognizer
+ * Generated by nlp/tools/build-gazetteer.mjs from gazetteer-seed.json - do not edit by hand
+ * Row format: [name, featureClass, countryCode, population, longitude, latitude, alternateNames]
+ */
+
+export const GAZETTEER_ROWS = [
+  ["Asia","continent","",4700000000,100.6197,34.0479,[]],
+  ["India","country","IN",1417000000,78.9629,20.5937,[]],
+  ["China","country","CN",1412000000,104.1954,35.8617,[]],
+  ["Africa","continent","",1400000000,17.5707,3.3578,[]],
+  ["sub-Saharan Africa","region","",1100000000,17.5707,3.3578,["subsaharan africa","sub saharan africa"]],
+  ["America","region","",1000000000,-98.5795,39.8283,["the Americas"]],
+  ["Europe","continent","",745000000,15.2551,54.526,[]],
+  ["North America","continent","",590000000,-105.2551,54.526,[]],
+  ["South America","continent","",430000000,-58.3816,-14.235,[]],
+  ["Middle East","region","",370000000,45.0792,29.2985,[]],
+  ["United States","country","US",333000000,-98.5795,39.8283,["USA","United States of America","U.S.","U.S.A."]],
+  ["Indonesia","country","ID",275000000,113.9213,-0.7893,[]],
+  ["Pakistan","country","PK",235000000,69.3451,30.3753,[]],
+  ["Nigeria","country","NG",218000000,8.6753,9.082,[]],
+  ["Brazil","country","BR",215000000,-51.9253,-14.235,[]],
+  ["Russia","country","RU",144000000,105.3188,61.524,[]],
+  ["Mexico","country","MX",128000000,-102.5528,23.6345,[]],
+  ["Japan","country","JP",125000000,138.2529,36.2048,[]],
+  ["Egypt","country","EG",111000000,30.8025,26.8206,[]],
+  ["Vietnam","country","VN",98000000,108.2772,14.0583,[]],
+  ["Iran","country","IR",89000000,53.688,32.4279,[]],
+  ["Turkey","country","TR",85000000,35.2433,38.9637,["Türkiye"]],
+  ["Germany","country","DE",84000000,10.4515,51.1657,["Deutschland"]],
+  ["Thailand","country","TH",71000000,100.9925,15.87,[]],
+  ["France","country","FR",68000000,2.2137,46.2276,[]],
+  ["United Kingdom","country","GB",67000000,-3.436,55.3781,["UK","Britain","Great Britain"]],
+  ["South Africa","country","ZA",60000000,22.9375,-30.5595,[]],
+  ["Italy","country","IT",59000000,12.5674,41.8719,["Italia"]],
+  ["Balkans","region","",55000000,21,43,["the Balkans"]],
+  ["Kenya","country","KE",54000000,37.9062,-0.0236,[]],
+  ["Himalayas","region","",53000000,84,28.5,["the Himalayas","Himalaya"]],
+  ["Colombia","country","CO",52000000,-74.2973,4.5709,[]],
+  ["South Korea","country","KR",52000000,127.7669,35.9078,["Korea"]],
+  ["Spain","country","ES",48000000,-3.7492,40.4637,["España"]],
+  ["Argentina","country","AR",46000000,-63.6167,-38.4161,[]],
+  ["Iraq","country","IQ",44000000,43.6793,33.2232,[]],
+  ["Canada","country","CA",39000000,-106.3468,56.1304,[]],
+  ["Poland","country","PL",37700000,19.1451,51.9194,[]],
+  ["Morocco","country","MA",37000000,-7.0926,31.7917,[]],
+  ["Saudi Arabia","country","SA",36000000,45.0792,23.8859,[]],
+  ["Peru","country","PE",34000000,-75.0152,-9.19,[]],
+  ["Siberia","region","RU",33000000,105,60,[]],
+  ["Australia","country","AU",26000000,133.7751,-25.2744,[]],
+  ["Shanghai","city","CN",24870895,121.4737,31.2304,[]],
+  ["Beijing","city","CN",21893095,116.4074,39.9042,["Peking"]],
+  ["Scandinavia","region","",21000000,14.5,62,[]],
+  ["Chile","country","CL",19600000,-71.543,-35.6751,[]],
+  ["Netherlands","country","NL",17700000,5.2913,52.1326,["Holland","the Netherlands"]],
+  ["Istanbul","city","TR",15462452,28.9784,41.0082,["Constantinople","Byzantium"]],
+  ["Lagos","city","NG",15388000,3.3792,6.5244,[]],
+  ["Alps","region","",14000000,10,46.5,["the Alps"]],
+  ["Tokyo","city","JP",13960000,139.6503,35.6762,["Edo"]],
+  ["Xi'an","city","CN",12952907,108.9398,34.3416,["Xian","Chang'an"]],
+  ["Moscow","city","RU",12506468,37.6173,55.7558,["Moskva"]],
+  ["Mumbai","city","IN",12442373,72.8777,19.076,["Bombay"]],
+  ["São Paulo","city","BR",12325232,-46.6333,-23.5505,["Sao Paulo"]],
+  ["Tunisia","country","TN",12000000,9.5375,33.8869,[]],
+  ["Belgium","country","BE",11600000,4.4699,50.5039,[]],
+  ["Delhi","city","IN",11034555,77.1025,28.7041,[]],
+  ["Jakarta","city","ID",10562088,106.8456,-6.2088,["Batavia"]],
+  ["Bangkok","city","TH",10539000,100.5018,13.7563,[]],
+  ["Sweden","country","SE",10500000,18.6435,60.1282,[]],
+  ["Greece","country","GR",10400000,21.8243,39.0742,[]],
+  ["Portugal","country","PT",10300000,-8.2245,39.3999,[]],
+  ["Seoul","city","KR",9776000,126.978,37.5665,[]],
+  ["Lima","city","PE",9751000,-77.0428,-12.0464,[]],
+  ["Cairo","city","EG",9539673,31.2357,30.0444,[]],
+  ["Israel","country","IL",9500000,34.8516,31.0461,[]],
+  ["Mexico City","city","MX",9209944,-99.1332,19.4326,["Ciudad de México"]],
+  ["Austria","country","AT",9000000,14.5501,47.5162,[]],
+  ["London","city","GB",8982000,-0.1276,51.5072,["Londres"]],
+  ["Switzerland","country","CH",8700000,8.2275,46.8182,[]],
+  ["Tehran","city","IR",8693706,51.389,35.6892,[]],
+  ["New York","city","US",8336817,-74.006,40.7128,["New York City","NYC"]],
+  ["Baghdad","city","IQ",7665000,44.3661,33.3152,[]],
+  ["Hong Kong","city","HK",7413070,114.1694,22.3193,[]],
+  ["Rio de Janeiro","city","BR",6747815,-43.1729,-22.9068,["Rio"]],
+  ["Ankara","city","TR",5663322,32.8597,39.9334,[]],
+  ["Singapore","city","SG",5637000,103.8198,1.3521,[]],
+  ["Johannesburg","city","ZA",5635127,28.0473,-26.2041,[]],
+  ["Norway","country","NO",5500000,8.4689,60.472,[]],
+  ["St. Petersburg","city","RU",5384342,30.3351,59.9343,["Saint Petersburg","St Petersburg","Leningrad"]],
+  ["Sydney","city","AU",5312163,151.2093,-33.8688,[]],
+  ["Alexandria","city","EG",5200000,29.9187,31.2001,[]],
+  ["Ireland","country","IE",5100000,-8.2439,53.4129,[]],
+  ["New Zealand","country","NZ",5100000,174.886,-40.9006,[]],
+  ["Melbourne","city","AU",5078193,144.9631,-37.8136,[]],
+  ["Chennai","city","IN",4646732,80.2707,13.0827,["Madras"]],
+  ["Cape Town","city","ZA",4618000,18.4241,-33.9249,[]],
+  ["Kolkata","city","IN",4496694,88.3639,22.5726,["Calcutta"]],
+  ["Nairobi","city","KE",4397073,36.8219,-1.2921,[]],
+  ["Los Angeles","city","US",3898747,-118.2437,34.0522,["LA","L.A."]],
+  ["Berlin","city","DE",3644826,13.405,52.52,[]],
+  ["Dubai","city","AE",3331420,55.2708,25.2048,[]],
+  ["Madrid","city","ES",3223334,-3.7038,40.4168,[]],
+  ["Buenos Aires","city","AR",3075646,-58.3816,-34.6037,[]],
+  ["Rome","city","IT",2872800,12.4964,41.9028,["Roma"]],
+  ["Toronto","city","CA",2794356,-79.3832,43.6532,[]],
+  ["Osaka","city","JP",2753862,135.5023,34.6937,[]],
+  ["Chicago","city","US",2746388,-87.6298,41.8781,[]],
+  ["Sahara","region","",2500000,13,23.4162,["Sahara Desert"]],
+  ["Houston","city","US",2304580,-95.3698,29.7604,[]],
+  ["Paris","city","FR",2165423,2.3522,48.8566,[]],
+  ["Vienna","city","AT",1897491,16.3738,48.2082,["Wien"]],
+  ["Hamburg","city","DE",1841179,9.9937,53.5511,[]],
+  ["Warsaw","city","PL",1793579,21.0122,52.2297,["Warszawa"]],
+  ["Montreal","city","CA",1762949,-73.5673,45.5017,["Montréal"]],
+  ["Budapest","city","HU",1752286,19.0402,47.4979,[]],
+  ["Auckland","city","NZ",1695200,174.7633,-36.8485,[]],
+  ["Barcelona","city","ES",1620343,2.1734,41.3851,[]],
+  ["Phoenix","city","US",1608139,-112.074,33.4484,[]],
+  ["Philadelphia","city","US",1603797,-75.1652,39.9526,["Philly"]],
+  ["Munich","city","DE",1488202,11.582,48.1351,["München","Muenchen"]],
+  ["Kyoto","city","JP",1463723,135.7681,35.0116,[]],
+  ["San Antonio","city","US",1434625,-98.4936,29.4241,[]],
+  ["San Diego","city","US",1386932,-117.1611,32.7157,[]],
+  ["Milan","city","IT",1352000,9.19,45.4642,["Milano"]],
+  ["Prague","city","CZ",1309000,14.4378,50.0755,["Praha"]],
+  ["Dallas","city","US",1304379,-96.797,32.7767,[]],
+  ["Cologne","city","DE",1083498,6.9603,50.9375,["Köln","Koeln"]],
+  ["San Jose","city","US",1013240,-121.8863,37.3382,[]],
+  ["Stockholm","city","SE",975551,18.0686,59.3293,[]],
+  ["Austin","city","US",961855,-97.7431,30.2672,[]],
+  ["Jerusalem","city","IL",936425,35.2137,31.7683,[]],
+  ["Naples","city","IT",909048,14.2681,40.8518,["Napoli"]],
+  ["San Francisco","city","US",873965,-122.4194,37.7749,["SF"]],
+  ["Amsterdam","city","NL",872680,4.9041,52.3676,[]],
+  ["Marseille","city","FR",870018,5.3698,43.2965,["Marseilles"]],
+  ["Valencia","city","ES",791413,-0.3763,39.4699,[]],
+  ["Frankfurt","city","DE",753056,8.6821,50.1109,[]],
+  ["Seattle","city","US",737015,-122.3321,47.6062,[]],
+  ["Denver","city","US",715522,-104.9903,39.7392,[]],
+  ["Oslo","city","NO",697010,10.7522,59.9139,[]],
+  ["Washington","city","US",689545,-77.0369,38.9072,["Washington DC","Washington D.C.","DC","D.C."]],
+  ["Nashville","city","US",689447,-86.7816,36.1627,[]],
+  ["Seville","city","ES",688711,-5.9845,37.3891,["Sevilla"]],
+  ["Oklahoma City","city","US",681054,-97.5164,35.4676,[]],
+  ["Boston","city","US",675647,-71.0589,42.3601,[]],
+  ["Athens","city","GR",664046,23.7275,37.9838,["Athina"]],
+  ["Vancouver","city","CA",662248,-123.1207,49.2827,[]],
+  ["Helsinki","city","FI",656229,24.9384,60.1699,[]],
+  ["Portland","city","US",652503,-122.6765,45.5152,[]],
+  ["Copenhagen","city","DK",644431,12.5683,55.6761,["København"]],
+  ["Las Vegas","city","US",641903,-115.1398,36.1699,[]],
+  ["Detroit","city","US",639111,-83.0458,42.3314,[]],
+  ["Tunis","city","TN",638845,10.1815,36.8065,[]],
+  ["Dublin","city","IE",592713,-6.2603,53.3498,[]],
+  ["Baltimore","city","US",585708,-76.6122,39.2904,[]],
+  ["Gothenburg","city","SE",583056,11.9746,57.7089,["Göteborg"]],
+  ["Manchester","city","GB",552858,-2.2426,53.4808,[]],
+  ["The Hague","city","NL",548320,4.3007,52.0705,["Den Haag"]],
+  ["Lisbon","city","PT",544851,-9.1393,38.7223,["Lisboa"]],
+  ["Sacramento","city","US",524943,-121.4944,38.5816,[]],
+  ["Edinburgh","city","GB",524930,-3.1883,55.9533,[]],
+  ["Lyon","city","FR",522228,4.8357,45.764,[]],
+  ["Atlanta","city","US",498715,-84.388,33.749,[]],
+  ["Tel Aviv","city","IL",460613,34.7818,32.0853,[]],
+  ["Miami","city","US",442241,-80.1918,25.7617,[]],
+  ["Oakland","city","US",440646,-122.2712,37.8044,[]],
+  ["Minneapolis","city","US",429954,-93.265,44.9778,[]],
+  ["Zurich","city","CH",421878,8.5417,47.3769,["Zürich"]],
+  ["New Orleans","city","US",383997,-90.0715,29.9511,[]],
+  ["Florence","city","IT",382258,11.2558,43.7696,["Firenze"]],
+  ["Cleveland","city","US",372624,-81.6944,41.4993,[]],
+  ["Nice","city","FR",342669,7.262,43.7102,[]],
+  ["Pittsburgh","city","US",302971,-79.9959,40.4406,[]],
+  ["St. Louis","city","US",301578,-90.1994,38.627,["Saint Louis","St Louis"]],
+  ["Venice","city","IT",258685,12.3155,45.4408,["Venezia"]],
+  ["New Delhi","city","IN",249998,77.209,28.6139,[]],
+  ["Geneva","city","CH",203856,6.1432,46.2044,["Genève"]],
+  ["Salt Lake City","city","US",199723,-111.891,40.7608,[]],
+  ["Brussels","city","BE",185103,4.3517,50.8503,["Bruxelles"]],
+  ["Aegean Sea","sea","",0,25,39,["Aegean"]],
+  ["Anatolia","region","TR",0,32.8,39,["Asia Minor"]],
+  ["Antarctica","continent","",0,0,-82.8628,[]],
+  ["Arctic","sea","",0,0,85,["Arctic Ocean"]],
+  ["Atlantic","sea","",0,-40,30,["Atlantic Ocean"]],
+  ["Baltic Sea","sea","",0,19,58,["the Baltic"]],
+  ["Black Sea","sea","",0,34,43.4,[]],
+  ["Caribbean Sea","sea","",0,-75,15,["Caribbean"]],
+  ["Carthage","city","TN",0,10.3236,36.8585,[]],
+  ["Caspian Sea","sea","",0,51,41.5,[]],
+  ["Central Park","poi","US",0,-73.9654,40.7829,[]],
+  ["Gaul","region","",0,2.35,46.6,[]],
+  ["Gulf of Mexico","sea","",0,-90,25,[]],
+  ["Indian Ocean","sea","",0,80,-20,[]],
+  ["Mediterranean","sea","",0,14.5528,37.6489,["Mediterranean Sea","the Mediterranean"]],
+  ["Mesopotamia","region","",0,44.4009,33.2232,[]],
+  ["North Sea","sea","",0,3,56,[]],
+  ["Pacific","sea","",0,-150,0,["Pacific Ocean"]],
+  ["Persia","region","",0,53.688,32.4279,[]],
+  ["Red Sea","sea","",0,38,20,[]],
+  ["Times Square","poi","US",0,-73.9855,40.758,[]]
+];
@@ -0,0 +1,102 @@
+/**
+ * Built-in place aliases
+ * Each kind maps the alias, as usually written, to the name the geocoder knows.
+ * Deployments can add or override entries with a place-aliases.json file next to
+ * the page; see nlp/place-aliases.js for its format
+ */
+
+export const PLACE_ALIASES = {
+  // Matched in text only when written exactly like this ("LA", not "la")
+  abbreviations: {
+    'NYC': 'New York',
+    'SF': 'San Francisco',
+    'LA': 'Los Angeles',
+    'DC': 'Washington DC',
+    'NOLA': 'New Orleans',
+    'SLC': 'Salt Lake City',
+    'KC': 'Kansas City',
+    'STL': 'St Louis',
+    'ATL': 'Atlanta',
+    'CDMX': 'Mexico City',
+    'KL': 'Kuala Lumpur',
+    'HK': 'Hong Kong'
+  },
+
+  nicknames: {
+    'Big Apple': 'New York',
+    'Windy City': 'Chicago',
+    'City of Angels': 'Los Angeles',
+    'Big Easy': 'New Orleans',
+    'Sin City': 'Las Vegas',
+    'Vegas': 'Las Vegas',
+    'Frisco': 'San Francisco',
+    'Philly': 'Philadelphia',
+    'City of Brotherly Love': 'Philadelphia',
+    'Beantown': 'Boston',
+    'Motor City': 'Detroit',
+    'Mile High City': 'Denver',
+    'Emerald City': 'Seattle',
+    'Music City': 'Nashville',
+    'Steel City': 'Pittsburgh',
+    'City of Light': 'Paris',
+    'Eternal City': 'Rome',
+    'Big Smoke': 'London'
+  },
+
+  // Kept as written in the text, so historical prose reads as written; only geocoding uses the modern name
+  historical: {
+    'Byzantium': 'Istanbul',
+    'Constantinople': 'Istanbul',
+    'Bombay': 'Mumbai',
+    'Madras': 'Chennai',
+    'Calcutta': 'Kolkata',
+    'Peking': 'Beijing',
+    'Saigon': 'Ho Chi Minh City',
+    'Rangoon': 'Yangon',
+    'Batavia': 'Jakarta',
+    'Edo': 'Tokyo',
+    'Leningrad': 'Saint Petersburg',
+    'Stalingrad': 'Volgograd',
+    'Königsberg': 'Kaliningrad',
+    'Danzig': 'Gdańsk',
+    'Smyrna': 'İzmir',
+    'Christiania': 'Oslo',
+    'New Amsterdam': 'New York',
+    'Tenochtitlan': 'Mexico City',
+    'Londinium': 'London',
+    'Lutetia': 'Paris',
+    'Ceylon': 'Sri Lanka',
+    'Siam': 'Thailand',
+    'Burma': 'Myanmar',
+    'Persia': 'Iran'
+  },
+
+  misspellings: {
+    'San Fransisco': 'San Francisco',
+    'Los Angelos': 'Los Angeles',
+    'Philadephia': 'Philadelphia',
+    'Philedelphia': 'Philadelphia',
+    'Cincinatti': 'Cincinnati',
+    'Albequerque': 'Albuquerque',
+    'Tuscon': 'Tucson',
+    'Edinborough': 'Edinburgh',
+    'Brussles': 'Brussels',
+    'Copenhagan': 'Copenhagen'
+  },
+
+  // First words of multi-word names, for waypoints the parsers cut short; never matched in text
+  partial: {
+    'Los': 'Los Angeles',
+    'Las': 'Las Vegas',
+    'San': 'San Francisco',
+    'New': 'New York',
+    'Saint': 'Saint Louis',
+    'St': 'St Louis',
+    'Hong': 'Hong Kong',
+    'Rio': 'Rio de Janeiro',
+    'Buenos': 'Buenos Aires',
+    'Tel': 'Tel Aviv',
+    'Central': 'Central Park',
+    'Times': 'Times Square'
+  }
+};
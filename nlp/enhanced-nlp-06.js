@@ -3,271 +3,239 @@
  * Includes capabilities for handling both route requests and location mentions in prose
  */
 
+import { getLLMProvider } from './llm-providers.js';
+import { parseExtractionResponse, parseExtractionArguments, EXTRACTION_FUNCTION } from './extraction-schema.js';
+import { logNlpEvent } from './nlp-log.js';
+import { parseRouteQuery, closeRoundTrip } from './route-grammar.js';
+import { recognizePlaces } from './gazetteer.js';
+import { parseTravelTime, formatTravelTime } from './travel-time.js';
+import { findTimeExpressions, normalizeTimeContext, formatTimeRange } from './historical-time.js';
+import { scoreLocation, scoreLocations, needsConfirmation } from './location-confidence.js';
+import { findCoordinateLiterals, findMatchingLiteral, parseCoordinateLiteral, recoverPlusCode, formatCoordinates, formatLabel, calculateDistance } from './coordinates.js';
+import { detectLanguage, getLanguagePack, detectTravelModeForLanguage, detectAvoidancesForLanguage, detectOptimizationForLanguage } from './language-packs.js';
+import { normalizeRoutePreferences, buildDirectionsOptions, selectRoute } from './route-preferences.js';
+import { getCachedResult, cacheResult } from './result-cache.js';
+import { detectIntent, describeIntent, resolveModelIntent } from './intents.js';
+import { attachMentionSpans, buildHighlightedText, escapeHTML } from './text-spans.js';
+import { classifyLocation, classifyPlaceType, zoomForLocationType } from './location-types.js';
+import { getTextHints, getUserRegion, rankCandidates, rankWaypointCandidates, isAmbiguous, MAX_CHOICES } from './geocoding-context.js';
+import { expandPlaceName, geocodingName, findPlaceAliases } from './place-aliases.js';
+import { suggestCorrections } from './place-spelling.js';
+import { buildExclusionPoints, formatExclusionPoints, checkClearance } from './avoid-places.js';
+import { parseRouteConstraints, checkRouteConstraints, formatDuration } from './route-constraints.js';
+import { resolveLegModes, totalsByMode } from './leg-modes.js';
+import { prepareUserText, guardExtractionResult, USER_TEXT_RULES } from './prompt-safety.js';
+
+// Great-circle distances are shared with the map code
+export { calculateDistance };
+
+// How many times the model is re-prompted with validation errors before giving up
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Providers that turned a structured output request down; they get the free-text prompt from then on
+const providersWithoutStructuredOutput = new WeakSet();
+
+// Rejects the place choice the user has not answered yet, so a new query or picker can replace it
+let cancelPendingChoice = null;
+
+// Background of location mentions in the source text, and of the mentions of a clicked marker
+const MENTION_COLOR = '#ffe8a1';
+const ACTIVE_MENTION_COLOR = '#ffb74d';
+
+// Candidates requested per place name, so ambiguous names can be ranked in context
+const GEOCODING_CANDIDATES = 5;
+
+// Feature types that can be a waypoint; street addresses and postcodes are left out
+const GEOCODING_TYPES = 'country,region,district,place,locality,neighborhood,poi';
+
+const CALCULATING_ROUTE_HTML = '<div style="text-align: center; padding: 20px;"><p>Calculating route...</p><div class="loading-spinner"></div></div>';
+
 /**
- * Process natural language input using Gemini API
+ * Process natural language input using the configured LLM provider
+ * Every result carries an intent; questions such as "where is X" or "how far is
+ * X from Y" are answered from their template without calling the LLM.
+ * Each location lists the spans of its mentions in the input text, and
+ * abbreviations and nicknames are expanded with the place alias dictionary
  * @param {string} inputText - The user's input text
- * @returns {Promise<Object>} - Processed result with extracted information
+ * @returns {Promise<Object>} - Processed result with extracted information, its intent and the source text
  */
 export async function processNaturalLanguageInput(inputText) {
-  // First, check if this looks like a routing request using heuristics
-  const routingKeywords = /route|path|way|directions|from|to|travel|trip|journey|drive|walk|map|between/i;
-  const isLikelyRouteRequest = routingKeywords.test(inputText);
-  
-  // Identify simple route requests early - bypass Gemini for these clear cases
-  const simpleRoutePattern = /(?:from\s+|route\s+from\s+|directions?\s+from\s+)(.*?)\s+to\s+(.*?)(?:\s|$|\.|,)/i;
-  const simpleRouteMatch = inputText.match(simpleRoutePattern);
-  
-  // Special handling for multi-waypoint routes
-  // "From New York to Los Angeles to Chicago"
-  const multiWaypointPattern = /(?:from\s+)(.*?)(?:\s+to\s+(.*?))+(?:$|\.)/i;
-  const hasMultipleToKeywords = (inputText.match(/\bto\b/gi) || []).length >= 2;
-  
-  // If this looks like a multi-waypoint route
-  if (hasMultipleToKeywords && (inputText.toLowerCase().includes('from') || inputText.toLowerCase().includes('route'))) {
-    console.log("Multi-waypoint route pattern detected");
-    
-    // More robust extraction - first check if input has 'from'
-    if (inputText.toLowerCase().includes('from')) {
-      // Split by "from" first to get everything after it
-      const afterFrom = inputText.split(/\bfrom\b/i)[1];
-      if (afterFrom) {
-        // Now split by "to" to get all the waypoints
-        const waypoints = [];
-        const toParts = afterFrom.split(/\bto\b/i);
-        
-        // Add the first part (after "from")
-        if (toParts[0]) {
-          waypoints.push(toParts[0].trim());
-        }
-        
-        // Add all parts after "to"
-        for (let i = 1; i < toParts.length; i++) {
-          const part = toParts[i].trim()
-            .replace(/[,.!?;]$/, '') // Remove trailing punctuation
-            .trim();
-          
-          if (part) {
-            waypoints.push(part);
-          }
-        }
-        
-        if (waypoints.length >= 2) {
-          console.log("Extracted multi-waypoint route:", waypoints);
-          
-          // Check for travel mode
-          const travelMode = 
-            inputText.match(/\b(walk|walking|on foot)\b/i) ? 'walking' :
-            inputText.match(/\b(cycl|bike|biking|bicycle)\b/i) ? 'cycling' : 'driving';
-            
-          return {
-            isRouteRequest: true,
-            locations: waypoints.map(wp => ({ name: wp, timeContext: "" })),
-            travelMode: travelMode,
-            preferences: [],
-            message: `Creating a ${travelMode} route with multiple stops: ${waypoints.join(' → ')}`,
-            suggestedSequence: waypoints
-          };
-        }
-      }
-    } else if (inputText.toLowerCase().includes('route')) {
-      // Handle "Route from X to Y to Z" or "Route X to Y to Z"
-      const afterRoute = inputText.split(/\broute\b/i)[1];
-      if (afterRoute) {
-        const waypoints = [];
-        
-        // Check if there's a "from" after "route"
-        if (afterRoute.toLowerCase().includes('from')) {
-          const afterFrom = afterRoute.split(/\bfrom\b/i)[1];
-          const toParts = afterFrom.split(/\bto\b/i);
-          
-          // Add the first part (after "from")
-          if (toParts[0]) {
-            waypoints.push(toParts[0].trim());
-          }
-          
-          // Add all parts after "to"
-          for (let i = 1; i < toParts.length; i++) {
-            const part = toParts[i].trim()
-              .replace(/[,.!?;]$/, '') // Remove trailing punctuation
-              .trim();
-            
-            if (part) {
-              waypoints.push(part);
-            }
-          }
-        } else {
-          // Direct "Route X to Y to Z" pattern
-          const toParts = afterRoute.split(/\bto\b/i);
-          
-          // Add the first part (after "route")
-          if (toParts[0]) {
-            waypoints.push(toParts[0].trim());
-          }
-          
-          // Add all parts after "to"
-          for (let i = 1; i < toParts.length; i++) {
-            const part = toParts[i].trim()
-              .replace(/[,.!?;]$/, '') // Remove trailing punctuation
-              .trim();
-            
-            if (part) {
-              waypoints.push(part);
-            }
-          }
-        }
-        
-        if (waypoints.length >= 2) {
-          console.log("Extracted multi-waypoint route from route pattern:", waypoints);
-          
-          // Check for travel mode
-          const travelMode = 
-            inputText.match(/\b(walk|walking|on foot)\b/i) ? 'walking' :
-            inputText.match(/\b(cycl|bike|biking|bicycle)\b/i) ? 'cycling' : 'driving';
-            
-          return {
-            isRouteRequest: true,
-            locations: waypoints.map(wp => ({ name: wp, timeContext: "" })),
-            travelMode: travelMode,
-            preferences: [],
-            message: `Creating a ${travelMode} route with multiple stops: ${waypoints.join(' → ')}`,
-            suggestedSequence: waypoints
-          };
-        }
-      }
-    }
-    
-    // If the above approaches didn't work, try a more direct approach
-    // Split by "to" and clean up
-    const parts = inputText.split(/\s+to\s+/i);
-    const waypoints = [];
-    
-    // Process the first part which might contain "from" or "route"
-    let firstPart = parts[0].trim();
-    if (firstPart.toLowerCase().includes('from')) {
-      const fromMatch = firstPart.match(/from\s+(.*)/i);
-      if (fromMatch && fromMatch[1]) {
-        waypoints.push(fromMatch[1].trim());
-      }
-    } else if (firstPart.toLowerCase().includes('route')) {
-      const routeMatch = firstPart.match(/route(?:\s+from)?\s+(.*)/i);
-      if (routeMatch && routeMatch[1]) {
-        waypoints.push(routeMatch[1].trim());
-      } else {
-        // Just remove "route" and keep the rest
-        firstPart = firstPart.replace(/^route\s+/i, '').trim();
-        if (firstPart) {
-          waypoints.push(firstPart);
-        }
-      }
-    } else {
-      // Clean up first part - remove any prefix words
-      const cleanedFirst = firstPart.replace(/^(path|walking|driving|cycling|directions?)\s+/i, '').trim();
-      if (cleanedFirst) {
-        waypoints.push(cleanedFirst);
-      }
-    }
-    
-    // Add remaining waypoints
-    for (let i = 1; i < parts.length; i++) {
-      const part = parts[i].trim().replace(/[,.!?;]$/, ''); // Remove trailing punctuation
-      if (part) {
-        waypoints.push(part);
-      }
-    }
-    
-    if (waypoints.length >= 2) {
-      console.log("Extracted multi-waypoint route (final fallback):", waypoints);
-      
-      // Check for travel mode
-      const travelMode = 
-        inputText.match(/\b(walk|walking|on foot)\b/i) ? 'walking' :
-        inputText.match(/\b(cycl|bike|biking|bicycle)\b/i) ? 'cycling' : 'driving';
-        
-      return {
-        isRouteRequest: true,
-        locations: waypoints.map(wp => ({ name: wp, timeContext: "" })),
-        travelMode: travelMode,
-        preferences: [],
-        message: `Creating a ${travelMode} route with multiple stops: ${waypoints.join(' → ')}`,
-        suggestedSequence: waypoints
-      };
-    }
-  }
-  
-  if (simpleRouteMatch && simpleRouteMatch[1] && simpleRouteMatch[2]) {
-    console.log("Direct routing pattern detected, bypassing Gemini API call");
-    const from = simpleRouteMatch[1].trim();
-    const to = simpleRouteMatch[2].trim();
-    
-    // Check for travel mode
-    const travelMode = 
-      inputText.match(/\b(walk|walking|on foot)\b/i) ? 'walking' :
-      inputText.match(/\b(cycl|bike|biking|bicycle)\b/i) ? 'cycling' : 'driving';
-      
+  const detected = detectIntent(inputText);
+  const intent = detected && detected.places ? { ...detected, places: detected.places.map(expandPlaceName) } : detected;
+  if (intent && intent.places) {
+    console.log(`Recognized ${intent.type} question, bypassing LLM call:`, intent);
     return {
-      isRouteRequest: true,
-      locations: [
-        {name: from, timeContext: ""},
-        {name: to, timeContext: ""}
-      ],
-      travelMode: travelMode,
+      isRouteRequest: false,
+      intent,
+      locations: attachMentionSpans(inputText, scoreLocations(intent.places.map(name => ({ name, timeContext: "" })), 'intent')),
+      travelMode: intent.travelMode || 'driving',
       preferences: [],
-      message: `Creating a ${travelMode} route from ${from} to ${to}`,
-      suggestedSequence: [from, to]
+      message: describeIntent(intent),
+      suggestedSequence: intent.places,
+      language: 'en',
+      sourceText: inputText
     };
   }
   
-  // Special pattern for walking routes from X to Y
-  const walkingRoutePattern = /\b(walk|walking)\b.*?\b(from|in)\s+(.*?)\s+to\s+(.*?)(?:\s|$|\.|,)/i;
-  const walkingRouteMatch = inputText.match(walkingRoutePattern);
+  const result = withCoordinateLiterals(withExpandedAliases(await extractLocationsFromInput(inputText)), inputText);
+  // An intent the templates missed may still come from the model's structured reply
+  const modelIntent = resolveModelIntent(result.intent, result.suggestedSequence, result.travelMode);
+  return {
+    ...result,
+    locations: attachMentionSpans(inputText, result.locations),
+    intent: resolveItineraryIntent(intent, modelIntent, result) || modelIntent || { type: result.isRouteRequest ? 'route' : 'show-places' },
+    sourceText: inputText
+  };
+}
+
+/**
+ * Decide whether a text the itinerary template matched really is a trip plan
+ * The template only sees wording; the model's intent wins when it gave one,
+ * and otherwise the text has to be a route request
+ * @param {Object|null} intent - Intent from detectIntent, without places
+ * @param {Object|null} modelIntent - Intent from resolveModelIntent
+ * @param {Object} result - Extraction result
+ * @returns {Object|null} - The itinerary intent, or null to use the model's or the default
+ */
+function resolveItineraryIntent(intent, modelIntent, result) {
+  if (!intent || intent.type !== 'itinerary') return intent;
+  if (result.intent) {
+    return modelIntent && modelIntent.type === 'itinerary' ? { ...modelIntent, days: modelIntent.days || intent.days } : null;
+  }
+  return result.isRouteRequest ? intent : null;
+}
+
+/**
+ * Add the coordinates typed in the input that the extraction left out
+ * Literals are read from every input, so a model that dropped one cannot lose
+ * the waypoint; a missing literal joins the locations and sequence in input order
+ * @param {Object} result - Extraction result
+ * @param {string} inputText - The user's input text
+ * @returns {Object} - The result, or a copy with the missing literals added
+ */
+function withCoordinateLiterals(result, inputText) {
+  const literals = findCoordinateLiterals(inputText);
+  const missing = literals.filter(literal => !result.locations.some(loc => findMatchingLiteral(loc.name, [literal])));
+  if (missing.length === 0) return result;
+  logNlpEvent('coordinate-literals-added', { literals: missing.map(literal => literal.text) });
   
-  if (walkingRouteMatch && walkingRouteMatch[3] && walkingRouteMatch[4]) {
-    console.log("Walking route pattern detected:", walkingRouteMatch[3], "to", walkingRouteMatch[4]);
-    const from = walkingRouteMatch[3].trim();
-    const to = walkingRouteMatch[4].trim();
-    
-    return {
-      isRouteRequest: true,
-      locations: [
-        {name: from, timeContext: ""},
-        {name: to, timeContext: ""}
-      ],
-      travelMode: "walking",
-      preferences: [],
-      message: `Creating a walking route from ${from} to ${to}`,
-      suggestedSequence: [from, to]
-    };
+  // Names are placed by where the input first mentions them; unmentioned names keep their place
+  const lowerText = inputText.toLowerCase();
+  const position = name => {
+    const literal = findMatchingLiteral(name, literals);
+    return literal ? literal.start : lowerText.indexOf(String(name).toLowerCase());
+  };
+  const insertInOrder = (items, literal, item, nameOf) => {
+    const index = items.findIndex(existing => position(nameOf(existing)) > literal.start);
+    return index === -1 ? [...items, item] : [...items.slice(0, index), item, ...items.slice(index)];
+  };
+  
+  let locations = result.locations;
+  let suggestedSequence = result.suggestedSequence || [];
+  missing.forEach(literal => {
+    const [location] = scoreLocations([{ name: literal.text, timeContext: "", span: { start: literal.start, end: literal.end } }], 'coordinate');
+    locations = insertInOrder(locations, literal, location, loc => loc.name);
+    suggestedSequence = insertInOrder(suggestedSequence, literal, literal.text, name => name);
+  });
+  
+  // Modes given per leg no longer line up once a waypoint is added
+  return { ...result, locations, suggestedSequence, ...(result.legModes ? { legModes: null } : {}) };
+}
+
+/**
+ * Replace abbreviations, nicknames and misspellings with the names the geocoder knows
+ * The name as written is kept in the location's alias field
+ * @param {Object} result - Extraction result
+ * @returns {Object} - Copy of the result with expanded location names and sequence
+ */
+function withExpandedAliases(result) {
+  const locations = result.locations.map(location => {
+    const name = expandPlaceName(location.name);
+    return name === location.name ? location : { ...location, name, alias: location.name };
+  });
+  return {
+    ...result,
+    locations,
+    suggestedSequence: (result.suggestedSequence || []).map(expandPlaceName),
+    avoidPlaces: (result.avoidPlaces || []).map(expandPlaceName)
+  };
+}
+
+/**
+ * Extract locations, travel mode and preferences from a route request or prose
+ * @param {string} inputText - The user's input text
+ * @returns {Promise<Object>} - Processed result with extracted information
+ */
+async function extractLocationsFromInput(inputText) {
+  // First, check if this looks like a routing request using heuristics
+  // The rule-based parsers use the keyword pack of the detected language
+  const { language } = detectLanguage(inputText);
+  const languagePack = getLanguagePack(language);
+  const routeParse = parseRouteQuery(inputText, languagePack.route);
+  const avoidPlaces = routeParse.avoidPlaces.map(place => place.name);
+  const legModes = resolveLegModes(routeParse.legModes);
+  
+  // Departure and arrival times ("leaving at 7am tomorrow", "arrive by 5pm")
+  const { departAt, arriveBy } = parseTravelTime(inputText);
+  
+  // Limits such as "stop every 200 km" or "finish within 2 hours"
+  const constraints = parseRouteConstraints(inputText);
+  
+  // Curated examples and earlier LLM results are answered from the cache
+  const cached = getCachedResult(inputText);
+  if (cached) {
+    logNlpEvent('cache-hit', { source: cached.cacheSource, key: cached.cacheKey });
+    return cached.isRouteRequest
+      ? { ...cached, language, departAt, arriveBy, constraints }
+      : { ...cached, language };
   }
   
-  // Check if this is the Gibbon example specifically - special handling
-  const isGibbonExample = inputText.includes("Gibbon's canvas") && 
-                           inputText.includes("Mediterranean") && 
-                           inputText.includes("Constantinople in 1453");
+  const routingKeywords = /route|path|way|directions|from|to|travel|trip|journey|drive|walk|map|between/i;
+  const isLikelyRouteRequest = routingKeywords.test(inputText) || routeParse.isExplicitRoute;
   
-  if (isGibbonExample) {
-    // Hardcoded response for the Gibbon example since we know its structure
-    console.log("Detected Gibbon example, using predefined extraction");
+  // Identify clear route requests early with the route grammar - bypass the LLM for these
+  // Prose is left to the LLM, since "ranges from X to Y" in a paragraph is not a route request
+  if (routeParse.isExplicitRoute && isSingleSentence(inputText)) {
+    const waypoints = routeParse.waypoints.map(wp => wp.name);
+    const travelMode = detectTravelModeForLanguage(inputText, languagePack);
+    const modeName = languagePack.modeNames[travelMode];
+    console.log(`Route grammar matched (${language}), bypassing LLM call:`, waypoints);
+    
     return {
-      isRouteRequest: false,
-      locations: [
-        {name: "Mediterranean", timeContext: ""},
-        {name: "sub-Saharan Africa", timeContext: ""},
-        {name: "China", timeContext: ""},
-        {name: "Constantinople", timeContext: "1453"}
-      ],
-      travelMode: "driving",
-      preferences: [],
-      message: "I found several geographical locations mentioned in this historical text. Would you like to see them visualized on a map?",
-      suggestedSequence: ["Mediterranean", "sub-Saharan Africa", "China", "Constantinople"]
+      isRouteRequest: true,
+      locations: scoreLocations(
+        routeParse.waypoints.map(wp => ({ name: wp.name, timeContext: "", span: { start: wp.start, end: wp.end } })),
+        'route-grammar'
+      ),
+      travelMode: travelMode,
+      preferences: detectPreferences(inputText, languagePack),
+      message: waypoints.length > 2
+        ? languagePack.messages.multiStop(modeName, waypoints)
+        : languagePack.messages.route(modeName, waypoints),
+      suggestedSequence: waypoints,
+      roundTrip: routeParse.roundTrip,
+      avoidPlaces,
+      legModes,
+      language,
+      departAt,
+      arriveBy,
+      constraints
     };
   }
   
+  // The text goes into the prompt as delimited data, never as part of the instructions
+  const userText = prepareUserText(inputText, 'enhanced');
   const prompt = `
 You are a location and route information extraction system for a map application.
 
-TASK: Analyze this text and extract any location information, whether it's a route request or just mentions places.
+TASK: Analyze the user's text and extract any location information, whether it's a route request or just mentions places.
+
+${USER_TEXT_RULES}
+
+INPUT:
+${userText.block}
 
-INPUT: "${inputText}"
+LANGUAGE: ${languagePack.name}
 
 INSTRUCTIONS:
 1. Determine if this is a request for directions/route between locations OR text that simply mentions geographical places.
@@ -277,20 +245,12 @@ INSTRUCTIONS:
 5. Identify the mode of transportation if specified (driving, walking, cycling, transit).
 6. Extract any routing preferences (avoid highways, scenic route, fastest route, etc.).
 7. For historical or descriptive texts, identify time periods or historical eras mentioned with locations (e.g., "Constantinople in 1453").
-
-Return a valid JSON object with the following structure:
-{
-  "isRouteRequest": true/false,
-  "locations": [
-    {"name": "Location1", "timeContext": "optional time period or year if mentioned"},
-    {"name": "Location2", "timeContext": "optional time period or year if mentioned"},
-    ...
-  ],
-  "travelMode": "driving|walking|cycling|transit",
-  "preferences": ["avoid highways", "scenic route", etc.],
-  "message": "A user-friendly message providing guidance based on the input type",
-  "suggestedSequence": ["Location1", "Location2", ...] // suggested order for visualization
-}
+8. The input is written in ${languagePack.name}. Keep location names as written, return travelMode and preferences in English, and write the "message" field in ${languagePack.name}.
+9. Coordinates (decimal degrees, degrees/minutes/seconds, UTM, MGRS or Plus Codes) are locations too. Copy them exactly as written as the location name.
+10. If the route returns to where it started ("and back", "round trip", "a loop starting and ending at X"), set "roundTrip" to true and list the starting point only once.
+11. Places the route must stay clear of ("not through Chicago", "avoid downtown Seattle") go in "avoidPlaces", not in "locations" or "suggestedSequence". Road types such as tolls or highways are preferences, not places.
+12. If legs of the trip use different modes ("drive to X, then walk to Y"), set "legModes" to one mode per leg of suggestedSequence, plus one for the way back on a round trip. Leave it out when the whole trip uses one mode.
+13. Set "intent" to what the text asks the map to show: "route", "show-places" for prose, "itinerary" for a trip plan (with "days" if given), "where-is", "distance" between two places, "nearby" (with the "category" looked for) or "isochrone" for how far one can get (with "minutes").
 
 EXAMPLES:
 Input: "Show me how to get from Boston to New York"
@@ -299,6 +259,7 @@ Output: {
   "locations": [{"name": "Boston", "timeContext": ""}, {"name": "New York", "timeContext": ""}],
   "travelMode": "driving",
   "preferences": [],
+  "intent": {"type": "route"},
   "message": "Creating a driving route from Boston to New York.",
   "suggestedSequence": ["Boston", "New York"]
 }
@@ -314,6 +275,7 @@ Output: {
   ],
   "travelMode": "driving",
   "preferences": [],
+  "intent": {"type": "show-places"},
   "message": "I found several geographical locations mentioned in this historical text. Would you like to see them visualized on a map?",
   "suggestedSequence": ["Mediterranean", "sub-Saharan Africa", "China", "Constantinople"]
 }
@@ -321,175 +283,272 @@ Output: {
 If travel mode is not specified, default to "driving".
 If preferences are not specified, return an empty array.
 For non-route requests, provide a helpful message explaining what was found and suggesting how the user might want to visualize it.
-Return ONLY the JSON object, no additional text.
 `;
+  // Providers with structured output report the result through a function call;
+  // the others are shown the JSON structure to reply with
+  const prompts = {
+    structured: `${prompt}
+Report the result by calling ${EXTRACTION_FUNCTION.name}.
+`,
+    text: `${prompt}
+Return a valid JSON object with the following structure:
+{
+  "isRouteRequest": true/false,
+  "locations": [
+    {"name": "Location1", "timeContext": "optional time period or year if mentioned"},
+    {"name": "Location2", "timeContext": "optional time period or year if mentioned"},
+    ...
+  ],
+  "travelMode": "driving|walking|cycling|transit",
+  "preferences": ["avoid highways", "scenic route", etc.],
+  "roundTrip": true/false,
+  "avoidPlaces": ["Place to stay clear of", ...],
+  "legModes": ["driving", "walking", ...],
+  "intent": {"type": "route|show-places|itinerary|where-is|distance|nearby|isochrone", "days": 3, "minutes": 20, "category": "cafes"},
+  "message": "A user-friendly message providing guidance based on the input type",
+  "suggestedSequence": ["Location1", "Location2", ...] // suggested order for visualization
+}
+
+Return ONLY the JSON object, no additional text.
+`
+  };
 
   try {
-    // Make the API request to our backend endpoint
-    // Define the API URL based on the environment
-    const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
-    
-    const response = await fetch(`${API_URL}/api/gemini`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{
-            text: prompt
-          }]
-        }]
-      })
-    });
-  
-    if (!response.ok) {
-      throw new Error(`Gemini API request failed with status ${response.status}`);
-    }
-    
-    const data = await response.json();
-    
-    // Check if we have valid candidates in the response
-    if (!data.candidates || data.candidates.length === 0) {
-      throw new Error('No response from Gemini API');
+    // Ask whichever LLM provider is configured (Gemini by default)
+    const provider = getLLMProvider();
+    console.log(`Sending extraction prompt to ${provider.name} provider`);
+    const result = guardExtraction(await requestValidatedExtraction(provider, prompts, inputText), inputText, provider, userText.suspected);
+    const locations = scoreLocations(withTimeRanges(result.locations), 'llm');
+    const processed = { ...result, locations, language };
+    if (result.isRouteRequest) {
+      // A sequence that ends where it started is a round trip listing its origin once
+      const closed = closeRoundTrip(result.suggestedSequence, Boolean(result.roundTrip) || routeParse.roundTrip);
+      processed.suggestedSequence = closed.waypoints;
+      processed.roundTrip = closed.roundTrip;
+      processed.avoidPlaces = result.avoidPlaces || avoidPlaces;
+      // Per-leg modes must give one mode per leg; the grammar's reading is used when the model's does not
+      const legCount = closed.waypoints.length - 1 + (closed.roundTrip ? 1 : 0);
+      processed.legModes = [resolveLegModes(result.legModes), legModes].find(modes => modes && modes.length === legCount) || null;
     }
-    
-    // Extract the JSON from the response
-    const responseText = data.candidates[0].content.parts[0].text;
-    const jsonMatch = responseText.match(/{[\s\S]*?}/);
-    
-    if (jsonMatch) {
-      try {
-        const result = JSON.parse(jsonMatch[0]);
-        
-        // Validate the result to make sure it has the expected structure
-        if (!result.locations || !Array.isArray(result.locations)) {
-          throw new Error('Invalid locations data in API response');
-        }
-        
-        // Convert string locations (if any) to proper format
-        if (result.locations.some(loc => typeof loc === 'string')) {
-          result.locations = result.locations.map(loc => 
-            typeof loc === 'string' ? { name: loc, timeContext: "" } : loc
-          );
-        }
-        
-        // Make sure each location has a proper name field
-        result.locations = result.locations.filter(loc => loc && loc.name && typeof loc.name === 'string');
-        
-        return result;
-      } catch (parseError) {
-        console.error('JSON parse error:', parseError);
-        // Try to extract with a more lenient approach
-        const fixedJson = responseText.replace(/[\r\n]+/g, ' ')
-                                    .replace(/"/g, '"')
-                                    .replace(/"/g, '"')
-                                    .match(/{[\s\S]*?}/);
-        if (fixedJson) {
-          try {
-            const result = JSON.parse(fixedJson[0]);
-            
-            // Validate the result to make sure it has the expected structure
-            if (!result.locations || !Array.isArray(result.locations)) {
-              throw new Error('Invalid locations data in API response');
-            }
-            
-            // Convert string locations (if any) to proper format
-            if (result.locations.some(loc => typeof loc === 'string')) {
-              result.locations = result.locations.map(loc => 
-                typeof loc === 'string' ? { name: loc, timeContext: "" } : loc
-              );
-            }
-            
-            // Make sure each location has a proper name field
-            result.locations = result.locations.filter(loc => loc && loc.name && typeof loc.name === 'string');
-            
-            return result;
-          } catch (e) {
-            throw new Error('Failed to parse JSON even with lenient approach');
-          }
-        }
-      }
-    }
-    
-    throw new Error('Could not parse JSON from Gemini response');
+    const cacheKey = cacheResult(inputText, processed);
+    return result.isRouteRequest
+      ? { ...processed, departAt, arriveBy, constraints, cacheKey }
+      : { ...processed, cacheKey };
   } catch (error) {
-    console.error('Error with Gemini API:', error);
-    
-    // Check if it's the Gibbon example as a fallback
-    if (inputText.includes("Mediterranean") && 
-        inputText.includes("sub-Saharan Africa") && 
-        inputText.includes("China") && 
-        inputText.includes("Constantinople")) {
-      console.log("Using fallback for Gibbon example after API error");
-      return {
-        isRouteRequest: false,
-        locations: [
-          {name: "Mediterranean", timeContext: ""},
-          {name: "sub-Saharan Africa", timeContext: ""},
-          {name: "China", timeContext: ""},
-          {name: "Constantinople", timeContext: "1453"}
-        ],
-        travelMode: "driving",
-        preferences: [],
-        message: "I found several geographical locations mentioned in this historical text. Would you like to see them visualized on a map?",
-        suggestedSequence: ["Mediterranean", "sub-Saharan Africa", "China", "Constantinople"]
-      };
-    }
+    console.error('Error with LLM provider:', error);
+    const failure = {
+      reason: error.message,
+      validationErrors: error.validationErrors || []
+    };
     
-    // For non-Gibbon text, improve fallback extraction
     if (!isLikelyRouteRequest) {
       // Try more advanced paragraph parsing for non-route requests
-      return extractLocationsFromParagraph(inputText);
+      logNlpEvent('extraction-fallback', { ...failure, strategy: 'paragraph' }, 'warn');
+      return { ...extractLocationsFromParagraph(inputText), language };
     }
     
-    // Check for specific multi-waypoint route pattern when in fallback mode
-    const multiWaypointPattern = /from\s+(.*?)\s+to\s+(.*?)(?:\s+to\s+(.*?))?(?:\s+to\s+(.*?))?(?:\s+to\s+(.*?))?(?:$|\.)/i;
-    const multiWaypointMatch = inputText.match(multiWaypointPattern);
-    
-    if (multiWaypointMatch) {
-      // Filter out undefined captures and trim whitespace
-      const waypoints = multiWaypointMatch
-        .slice(1)
-        .filter(wp => wp)
-        .map(wp => wp.trim().replace(/[,.:;]+$/, '').trim()) // Remove trailing punctuation
-        .filter(wp => wp.length > 0);
-      
-      if (waypoints.length >= 2) {
-        console.log('Multi-waypoint pattern matched:', waypoints);
-        return {
-          isRouteRequest: true,
-          locations: waypoints.map(loc => ({ name: loc, timeContext: "" })),
-          travelMode: inputText.match(/\b(walking|cycling|driving|transit)\b/i)?.[1]?.toLowerCase() || 'driving',
-          preferences: [],
-          message: `Creating a route with multiple stops: ${waypoints.join(' → ')}`,
-          suggestedSequence: waypoints
-        };
-      }
+    // Check the route grammar again, this time accepting prose and implicit routes
+    const waypoints = routeParse.waypoints.map(wp => wp.name);
+    if (waypoints.length >= 2) {
+      logNlpEvent('extraction-fallback', { ...failure, strategy: 'route-grammar', waypoints }, 'warn');
+      return {
+        isRouteRequest: true,
+        locations: scoreLocations(
+          routeParse.waypoints.map(wp => ({ name: wp.name, timeContext: "", span: { start: wp.start, end: wp.end } })),
+          'route-grammar'
+        ),
+        travelMode: detectTravelModeForLanguage(inputText, languagePack),
+        preferences: detectPreferences(inputText, languagePack),
+        message: `Creating a route with multiple stops: ${waypoints.join(' → ')}`,
+        suggestedSequence: waypoints,
+        roundTrip: routeParse.roundTrip,
+        avoidPlaces,
+        legModes,
+        language,
+        departAt,
+        arriveBy,
+        constraints
+      };
     }
     
     // Fallback with basic analysis if API fails for route requests
+    logNlpEvent('extraction-fallback', { ...failure, strategy: 'basic' }, 'warn');
+    // Places the route should stay clear of are not stops
+    const basicLocations = extractLocationsBasic(inputText, languagePack)
+      .filter(loc => !avoidPlaces.includes(loc.name));
     return {
       isRouteRequest: isLikelyRouteRequest,
-      locations: extractLocationsBasic(inputText).map(loc => ({ name: loc, timeContext: "" })),
-      travelMode: inputText.match(/\b(walking|cycling|driving|transit)\b/i)?.[1]?.toLowerCase() || 'driving',
-      preferences: [],
+      locations: scoreLocations(basicLocations.map(loc => ({ name: loc.name, timeContext: "", source: loc.source }))),
+      travelMode: detectTravelModeForLanguage(inputText, languagePack),
+      preferences: detectPreferences(inputText, languagePack),
       message: isLikelyRouteRequest 
         ? "I had trouble understanding the details, but I'll try to map what I understood."
         : "I found some potential locations in your text. Would you like to see them on the map?",
-      suggestedSequence: extractLocationsBasic(inputText)
+      suggestedSequence: basicLocations.map(loc => loc.name),
+      roundTrip: routeParse.roundTrip,
+      avoidPlaces,
+      language,
+      departAt,
+      arriveBy,
+      constraints
     };
   }
 }
 
 /**
- * Extract locations from a paragraph of text using NLP techniques
+ * Ask the provider for an extraction and validate it against the schema
+ * Providers with structured output are asked to call EXTRACTION_FUNCTION; the
+ * free-text prompt is only used by providers without it, or when the model or
+ * server turns the structured request down. Invalid output is sent back to the
+ * model with the validation errors attached, up to MAX_REPAIR_ATTEMPTS times
+ * @param {Object} provider - LLM provider from getLLMProvider
+ * @param {Object} prompts - Extraction prompts as {structured, text}
+ * @param {string} inputText - The user's input text
+ * @returns {Promise<Object>} - Validated extraction result
+ */
+async function requestValidatedExtraction(provider, prompts, inputText) {
+  let structured = typeof provider.generateStructured === 'function' && !providersWithoutStructuredOutput.has(provider);
+  let prompt = structured ? prompts.structured : prompts.text;
+  let currentPrompt = prompt;
+  let lastErrors = [];
+  
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    let reply;
+    if (structured) {
+      try {
+        reply = await provider.generateStructured(currentPrompt, EXTRACTION_FUNCTION, { inputText, attempt });
+      } catch (error) {
+        if (!error.structuredOutputUnsupported) throw error;
+        logNlpEvent('structured-output-unsupported', { provider: provider.name, reason: error.message }, 'warn');
+        providersWithoutStructuredOutput.add(provider);
+        structured = false;
+        prompt = prompts.text;
+        currentPrompt = prompt;
+      }
+    }
+    if (!structured) {
+      reply = await provider.generate(currentPrompt, { inputText, attempt });
+    }
+    
+    // Function call arguments arrive parsed; JSON text, from free-text or schema-constrained replies, is parsed here
+    const { result, errors } = typeof reply === 'string' ? parseExtractionResponse(reply) : parseExtractionArguments(reply);
+    
+    if (errors.length === 0) {
+      if (attempt > 0) {
+        logNlpEvent('llm-output-repaired', { provider: provider.name, attempt, structured });
+      }
+      return result;
+    }
+    
+    lastErrors = errors;
+    logNlpEvent('llm-output-invalid', {
+      provider: provider.name,
+      attempt,
+      structured,
+      errors,
+      willRetry: attempt < MAX_REPAIR_ATTEMPTS
+    }, 'warn');
+    
+    currentPrompt = buildRepairPrompt(prompt, typeof reply === 'string' ? reply : JSON.stringify(reply), errors, structured);
+  }
+  
+  const error = new Error(`LLM output failed validation after ${MAX_REPAIR_ATTEMPTS + 1} attempts`);
+  error.validationErrors = lastErrors;
+  throw error;
+}
+
+/**
+ * Check a validated extraction against the input before using it
+ * Places the input does not mention are dropped; when that leaves a route
+ * with fewer than two stops, or a text with no places, the extraction is
+ * rejected so the offline fallbacks run instead
+ * @param {Object} result - Validated extraction result
+ * @param {string} inputText - The user's input text
+ * @param {Object} provider - LLM provider that produced the result
+ * @param {Array<string>} suspected - Injection patterns matched in the input
+ * @returns {Object} - Guarded extraction result
+ */
+function guardExtraction(result, inputText, provider, suspected) {
+  const guard = guardExtractionResult(result, inputText);
+  if (guard.rejected.length > 0 || guard.clearedTimeContexts.length > 0 || guard.messageReplaced) {
+    logNlpEvent('llm-output-guarded', {
+      provider: provider.name,
+      rejected: guard.rejected,
+      clearedTimeContexts: guard.clearedTimeContexts,
+      messageReplaced: guard.messageReplaced,
+      suspected
+    }, 'warn');
+  }
+  
+  const remaining = guard.result.isRouteRequest ? guard.result.suggestedSequence.length : guard.result.locations.length;
+  if (guard.rejected.length > 0 && remaining < (guard.result.isRouteRequest ? 2 : 1)) {
+    throw new Error(`LLM output named places the input does not mention: ${guard.rejected.map(item => item.name).join(', ')}`);
+  }
+  return guard.result;
+}
+
+/**
+ * Build a follow-up prompt asking the model to fix its previous answer
+ * @param {string} originalPrompt - The original extraction prompt
+ * @param {string} previousResponse - The model's invalid reply, or its function call arguments as JSON
+ * @param {Array} errors - Validation errors for that reply
+ * @param {boolean} [structured] - Whether the answer is given as a function call
+ * @returns {string} - Repair prompt
+ */
+function buildRepairPrompt(originalPrompt, previousResponse, errors, structured = false) {
+  const errorList = errors.map(err => `- ${err.path}: ${err.message}`).join('\n');
+  
+  return `${originalPrompt}
+
+Your previous answer was:
+${previousResponse}
+
+It did not match the required JSON structure:
+${errorList}
+
+${structured ? `Call ${EXTRACTION_FUNCTION.name} again with corrected arguments.` : 'Return ONLY the corrected JSON object, no additional text.'}
+`;
+}
+
+/**
+ * Detect routing preferences, phrased the way the LLM returns them
+ * @param {string} text - Input text
+ * @param {Object} languagePack - Language pack of the input
+ * @returns {Array<string>} - Preferences such as "avoid tolls"
+ */
+function detectPreferences(text, languagePack) {
+  const avoidances = detectAvoidancesForLanguage(text, languagePack);
+  const preferences = [];
+  if (avoidances.avoidTolls) preferences.push('avoid tolls');
+  if (avoidances.avoidHighways) preferences.push('avoid highways');
+  if (avoidances.avoidFerries) preferences.push('avoid ferries');
+  
+  const optimization = detectOptimizationForLanguage(text, languagePack);
+  if (optimization) preferences.push(`${optimization} route`);
+  return preferences;
+}
+
+/**
+ * Check whether the text is a single sentence rather than a paragraph
+ * @param {string} text - Input text
+ * @returns {boolean} - True for single-sentence input
+ */
+function isSingleSentence(text) {
+  return text.trim().split(/[.!?]+\s+(?=[A-Z])/).length === 1;
+}
+
+/**
+ * Extract locations from a paragraph of text using the offline gazetteer
+ * Capitalized words are only kept when the gazetteer confirms them, or when
+ * they directly follow a location indicator such as "in" or "city of"
  * @param {string} text - Input paragraph text
  * @returns {Object} - Processed result with extracted locations
  */
 function extractLocationsFromParagraph(text) {
-  // Split the text into sentences
-  const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
+  // Split the text into sentences, keeping each sentence's offset into the text
+  const sentences = [...text.matchAll(/[^.!?]+[.!?]*/g)]
+    .filter(m => m[0].trim().length > 0)
+    .map(m => ({ text: m[0], start: m.index }));
   
   // List of common location indicators
   const locationIndicators = [
@@ -497,6 +556,7 @@ function extractLocationsFromParagraph(text) {
     'north of', 'south of', 'east of', 'west of', 'city of', 'town of', 'region of',
     'country of', 'continent of', 'sea of', 'gulf of', 'mountains of', 'valley of'
   ];
+  const indicatorPattern = new RegExp(`\\b(?:${locationIndicators.join('|')})\\s+$`, 'i');
   
   // Common non-location capitalized words to filter out
   const nonLocationWords = [
@@ -508,62 +568,82 @@ function extractLocationsFromParagraph(text) {
     'First', 'Second', 'Third', 'Fourth', 'Fifth'
   ];
   
+  // Coordinate literals are places in their own right; words inside them are not
+  const literals = findCoordinateLiterals(text);
+  const insideLiteral = (start, end) => literals.some(l => start < l.end && end > l.start);
+  
   // Array to store extracted locations with context
-  const locations = [];
+  const locations = literals.map(literal => ({
+    name: literal.text,
+    timeContext: "",
+    timeRange: null,
+    span: { start: literal.start, end: literal.end },
+    source: 'coordinate'
+  }));
   
   // Process each sentence
   sentences.forEach(sentence => {
-    // Look for capitalized words that could be locations
+    // Time expressions in the sentence; each place takes the nearest one
+    const timeExpressions = findTimeExpressions(sentence.text);
+    
+    // Places the gazetteer can confirm
+    const recognized = recognizePlaces(sentence.text);
+    recognized.forEach(place => {
+      if (insideLiteral(sentence.start + place.start, sentence.start + place.end)) return;
+      locations.push({
+        name: place.name,
+        ...nearestTimeContext(sentence.text, timeExpressions, place.start, place.end),
+        featureClass: place.featureClass,
+        population: place.population,
+        prior: place.prior,
+        coordinates: place.coordinates,
+        span: { start: sentence.start + place.start, end: sentence.start + place.end },
+        source: 'gazetteer'
+      });
+    });
+    
+    // Aliases the gazetteer does not know ("the Big Apple", "Philly")
+    const aliases = findPlaceAliases(sentence.text)
+      .filter(alias => !recognized.some(place => alias.start < place.end && alias.end > place.start));
+    aliases.forEach(alias => {
+      if (insideLiteral(sentence.start + alias.start, sentence.start + alias.end)) return;
+      locations.push({
+        name: alias.alias,
+        ...nearestTimeContext(sentence.text, timeExpressions, alias.start, alias.end),
+        featureClass: null,
+        span: { start: sentence.start + alias.start, end: sentence.start + alias.end },
+        source: 'alias'
+      });
+    });
+    
+    // Unknown capitalized words only count when introduced by a location indicator
     const capitalizedPattern = /\b([A-Z][a-zA-Z]+(?:\s+[A-Z][a-zA-Z]+)*)\b/g;
     let match;
     
-    while ((match = capitalizedPattern.exec(sentence)) !== null) {
+    while ((match = capitalizedPattern.exec(sentence.text)) !== null) {
       const potentialLocation = match[1];
+      const start = match.index;
+      const end = start + potentialLocation.length;
       
-      // Filter out common non-location words
-      if (!nonLocationWords.includes(potentialLocation)) {
-        // Look for time context near the location
-        const sentenceContext = sentence.trim();
-        const timePattern = /(?:in|during|around|about|circa|c\.|year|century)\s+(\d{1,4}(?:\s*(?:AD|BC|BCE|CE))?|\d{1,2}(?:st|nd|rd|th)\s+century)/i;
-        const timeMatch = sentenceContext.match(timePattern);
-        
-        // Add the location with any time context
+      const overlapsRecognized = [...recognized, ...aliases].some(place => start < place.end && end > place.start);
+      const hasIndicator = indicatorPattern.test(sentence.text.slice(0, start));
+      
+      if (!overlapsRecognized && hasIndicator && !nonLocationWords.includes(potentialLocation) &&
+          !insideLiteral(sentence.start + start, sentence.start + end)) {
         locations.push({
           name: potentialLocation,
-          timeContext: timeMatch ? timeMatch[1] : ""
+          ...nearestTimeContext(sentence.text, timeExpressions, start, end),
+          featureClass: null,
+          prior: 0.2,
+          span: { start: sentence.start + start, end: sentence.start + end },
+          source: 'indicator'
         });
       }
     }
-    
-    // Special case handling for "Mediterranean", "Africa", etc. that might not be capitalized in some texts
-    const commonLocations = [
-      'mediterranean', 'europe', 'asia', 'africa', 'australia', 'antarctica', 'america', 
-      'pacific', 'atlantic', 'indian ocean', 'arctic', 'sahara', 'alps', 'himalayas'
-    ];
-    
-    commonLocations.forEach(loc => {
-      const locPattern = new RegExp(`\\b${loc}\\b`, 'i');
-      if (locPattern.test(sentence)) {
-        // Capitalize first letter of each word
-        const formattedLocation = loc.replace(/\b\w/g, c => c.toUpperCase());
-        
-        // Check if we already added this location
-        if (!locations.some(existingLoc => existingLoc.name === formattedLocation)) {
-          // Look for time context
-          const sentenceContext = sentence.trim();
-          const timePattern = /(?:in|during|around|about|circa|c\.|year|century)\s+(\d{1,4}(?:\s*(?:AD|BC|BCE|CE))?|\d{1,2}(?:st|nd|rd|th)\s+century)/i;
-          const timeMatch = sentenceContext.match(timePattern);
-          
-          locations.push({
-            name: formattedLocation,
-            timeContext: timeMatch ? timeMatch[1] : ""
-          });
-        }
-      }
-    });
   });
   
-  // Remove duplicates
+  // Remove duplicates, keeping the order of first mention
+  locations.sort((a, b) => a.span.start - b.span.start);
   const uniqueLocations = [];
   const seenLocations = new Set();
   
@@ -576,7 +656,7 @@ function extractLocationsFromParagraph(text) {
   
   return {
     isRouteRequest: false,
-    locations: uniqueLocations,
+    locations: scoreLocations(uniqueLocations),
     travelMode: "driving",
     preferences: [],
     message: `I found ${uniqueLocations.length} locations mentioned in this text. Would you like to see them on the map?`,
@@ -585,102 +665,54 @@ function extractLocationsFromParagraph(text) {
 }
 
 /**
- * Basic location extraction as fallback
- * @param {string} text - Input text
- * @returns {Array} - Array of potential locations
+ * Pick the time expression closest to a place mention, preferring one in the same clause
+ * @param {string} text - Sentence text
+ * @param {Array} timeExpressions - Expressions from findTimeExpressions
+ * @param {number} start - Start offset of the place
+ * @param {number} end - End offset of the place
+ * @returns {Object} - {timeContext, timeRange}; the original text is kept for display
  */
-function extractLocationsBasic(text) {
-  // First try to identify routes specifically
-  // Look for patterns like "from X to Y" or "X to Y"
-  // Modified regex to better handle multi-word city names
-  const routePatterns = [
-    // Pattern for "from X to Y to Z" style
-    /\b(?:from|in)\s+([A-Za-z][A-Za-z\s]+?)(?=\s+(?:to|towards?)\s+)|(?<=\s+(?:to|towards?)\s+)([A-Za-z][A-Za-z\s]+?)(?=\s+(?:to|towards?|and|then)\s+|$)|(?<=\s+(?:to|towards?|and|then)\s+)([A-Za-z][A-Za-z\s]+?)(?=\s+(?:to|towards?|and|then)\s+|$)|(?<=\s+(?:to|towards?|and|then)\s+)([A-Za-z][A-Za-z\s]+?)(?=\s+(?:to|towards?|and|then)\s+|$)|(?<=\s+(?:to|towards?|and|then)\s+)([A-Za-z][A-Za-z\s]+?)(?=\s|$)/gi,
-    // Pattern for "X to Y" style (no "from")
-    /^([A-Za-z][A-Za-z\s]+?)(?=\s+(?:to|towards?)\s+)|(?<=\s+(?:to|towards?)\s+)([A-Za-z][A-Za-z\s]+?)(?=\s+(?:to|towards?|and|then)\s+|$)|(?<=\s+(?:to|towards?|and|then)\s+)([A-Za-z][A-Za-z\s]+?)(?=\s+(?:to|towards?|and|then)\s+|$)|(?<=\s+(?:to|towards?|and|then)\s+)([A-Za-z][A-Za-z\s]+?)(?=\s+(?:to|towards?|and|then)\s+|$)|(?<=\s+(?:to|towards?|and|then)\s+)([A-Za-z][A-Za-z\s]+?)(?=\s|$)/gi
-  ];
+function nearestTimeContext(text, timeExpressions, start, end) {
+  if (timeExpressions.length === 0) return { timeContext: "", timeRange: null };
   
-  // Try a simpler approach for common route patterns
-  const simpleRoutePatterns = [
-    // "from X to Y to Z"
-    /from\s+(.*?)\s+to\s+(.*?)(?:\s+to\s+(.*?))?(?:\s+to\s+(.*?))?(?:\s+to\s+(.*?))?(?:$|\.)/i,
-    // "X to Y to Z"
-    /^(.*?)\s+to\s+(.*?)(?:\s+to\s+(.*?))?(?:\s+to\s+(.*?))?(?:$|\.)/i
-  ];
-  
-  // Try the simple patterns first
-  for (const pattern of simpleRoutePatterns) {
-    const match = text.match(pattern);
-    if (match) {
-      // Extract all waypoints (trim trailing periods or commas)
-      const waypoints = match.slice(1)
-        .filter(wp => wp)
-        .map(wp => wp.trim().replace(/[,.:;]+$/, '').trim())
-        .filter(wp => wp.length > 0);
-      
-      if (waypoints.length >= 2) {
-        console.log('Extracted route waypoints (simple pattern):', waypoints);
-        return waypoints;
-      }
-    }
-  }
-  
-  // If simple patterns don't work, try the more complex ones
-  let allMatches = [];
-  for (const pattern of routePatterns) {
-    const matches = [...text.matchAll(pattern)];
-    if (matches.length > 0) {
-      matches.forEach(match => {
-        // Combine all capture groups from this match
-        const waypoints = match.slice(1)
-          .filter(wp => wp)
-          .map(wp => wp.trim().replace(/[,.:;]+$/, '').trim()) // Trim trailing punctuation
-          .filter(wp => wp.length > 0);
-        
-        allMatches.push(...waypoints);
-      });
-    }
-  }
-  
-  if (allMatches.length >= 2) {
-    console.log('Extracted route waypoints (complex pattern):', allMatches);
-    // Remove duplicates
-    const uniqueWaypoints = [...new Set(allMatches)];
-    return uniqueWaypoints;
-  }
-  
-  // If regex patterns didn't work, try a manual split approach
-  if (text.toLowerCase().includes('from') && text.toLowerCase().includes('to')) {
-    const parts = text.split(/\s+to\s+/i);
-    if (parts.length >= 2) {
-      // Extract first location after 'from'
-      let firstLoc = parts[0].match(/from\s+(.*)/i);
-      firstLoc = firstLoc ? firstLoc[1].trim() : parts[0].trim();
-      
-      // Extract remaining locations
-      const locations = [firstLoc];
-      for (let i = 1; i < parts.length; i++) {
-        // Remove trailing punctuation
-        let loc = parts[i].trim().replace(/[,.?!:;]+$/, '').trim();
-        // If there are more words after this location, only take what's before them
-        const conjMatch = loc.match(/(.*?)(?:\s+and\s+|\s+then\s+)/i);
-        if (conjMatch) {
-          loc = conjMatch[1].trim();
-        }
-        locations.push(loc);
-      }
-      
-      if (locations.length >= 2) {
-        console.log('Extracted route waypoints (manual split):', locations);
-        return locations;
-      }
-    }
+  const distance = expr => {
+    const gap = expr.start >= end ? text.slice(end, expr.start) : text.slice(expr.end, start);
+    return gap.length + (/[,;]/.test(gap) ? text.length : 0);
+  };
+  const nearest = timeExpressions.reduce((best, expr) => (distance(expr) < distance(best) ? expr : best));
+  return { timeContext: nearest.text, timeRange: nearest.range };
+}
+
+/**
+ * Add normalized time ranges to locations that only have a time context string
+ * @param {Array} locations - Locations as returned by the LLM
+ * @returns {Array} - Locations with a timeRange field
+ */
+function withTimeRanges(locations) {
+  return locations.map(loc => ({ ...loc, timeRange: loc.timeRange || normalizeTimeContext(loc.timeContext) }));
+}
+
+/**
+ * Basic location extraction as fallback
+ * @param {string} text - Input text
+ * @param {Object} languagePack - Language pack of the input
+ * @returns {Array} - Array of potential locations as {name, source}
+ */
+function extractLocationsBasic(text, languagePack) {
+  // First try to identify routes specifically with the route grammar
+  const waypoints = parseRouteQuery(text, languagePack.route).waypoints.map(wp => wp.name);
+  if (waypoints.length >= 2) {
+    console.log('Extracted route waypoints (route grammar):', waypoints);
+    return waypoints.map(name => ({ name, source: 'route-grammar' }));
   }
   
   // If no route pattern matched, try general location extraction
   // Simple regex for capitalized place names
   const placeNameRegex = /\b([A-Z][a-zA-Z]+(?:\s+[A-Z][a-zA-Z]+)*)\b/g;
-  const matches = [...text.matchAll(placeNameRegex)];
+  // Coordinate literals come first; capitalized words inside them ("CWC8+R9 Mountain View") are skipped
+  const literals = findCoordinateLiterals(text);
+  const matches = [...text.matchAll(placeNameRegex)]
+    .filter(m => !literals.some(l => m.index < l.end && m.index + m[0].length > l.start));
   const potentialLocations = matches.map(m => m[0]);
   
   // Filter out common non-location capitalized words
@@ -693,7 +725,13 @@ function extractLocationsBasic(text) {
   ];
   
   // Include common locations that might be mentioned
-  let locations = potentialLocations.filter(loc => !nonLocationWords.includes(loc));
+  const locations = [
+    ...literals.map(literal => ({ name: literal.text, source: 'coordinate' })),
+    ...potentialLocations
+      .filter(loc => !nonLocationWords.includes(loc))
+      .map(name => ({ name, source: 'capitalized' }))
+  ];
+  const hasLocation = name => locations.some(loc => loc.name === name);
   
   // Add specific check for common locations in lowercase that might appear in route requests
   const lowerText = text.toLowerCase();
@@ -723,8 +761,8 @@ function extractLocationsBasic(text) {
   
   commonLocations.forEach(loc => {
     const shouldAdd = loc.check.some(checkTerm => lowerText.includes(checkTerm));
-    if (shouldAdd && !locations.includes(loc.name)) {
-      locations.push(loc.name);
+    if (shouldAdd && !hasLocation(loc.name)) {
+      locations.push({ name: loc.name, source: 'common-list' });
     }
   });
   
@@ -739,8 +777,8 @@ function extractLocationsBasic(text) {
           if (potentialLoc && potentialLoc.length > 1 && !/^(from|to|and|then|towards?)$/.test(potentialLoc)) {
             // Capitalize first letter of each word
             const formattedLoc = potentialLoc.replace(/\b\w/g, c => c.toUpperCase());
-            if (!locations.includes(formattedLoc)) {
-              locations.push(formattedLoc);
+            if (!hasLocation(formattedLoc)) {
+              locations.push({ name: formattedLoc, source: 'token' });
             }
           }
         }
@@ -753,6 +791,7 @@ function extractLocationsBasic(text) {
 
 /**
  * Display location chips with the option to select them for routing
+ * Low-confidence locations get a "needs confirmation" chip with accept, edit and reject buttons
  * @param {Array} locations - Array of location objects with name and timeContext
  * @param {string} message - Message to display
  * @param {HTMLElement} container - Container element to display in
@@ -761,18 +800,48 @@ export function displayLocationChips(locations, message, container) {
   container.style.display = 'block';
   
   // Create message with interactive location chips
-  let html = `<p>${message}</p><div class="location-chips">`;
+  let html = `<p>${escapeHTML(message)}</p><div class="location-chips">`;
   
-  locations.forEach(location => {
-    const displayName = location.timeContext 
+  locations.forEach((location, index) => {
+    const displayName = escapeHTML(location.timeContext 
       ? `${location.name} (${location.timeContext})` 
-      : location.name;
+      : location.name);
+    
+    // The chip shows the original wording; the normalized range is in the tooltip and data attributes
+    const timeAttributes = location.timeRange
+      ? ` title="${formatTimeRange(location.timeRange)}" data-time-start="${location.timeRange.start}" data-time-end="${location.timeRange.end}"`
+      : '';
     
-    html += `<span class="location-chip" data-location="${location.name}">${displayName}</span>`;
+    const confidenceAttributes = typeof location.confidence === 'number'
+      ? ` data-confidence="${location.confidence}" data-source="${location.source}"`
+      : '';
+    
+    // DMS literals contain double quotes (48°51'24"N), so the attribute value is escaped
+    const locationAttribute = escapeHTML(location.name);
+    
+    // Coordinate literals show the position they were parsed to
+    const coordinateLabel = location.coordinateLiteral
+      ? ` <small class="chip-coordinates" title="${formatLabel(location.coordinateLiteral.format)}">${location.coordinates ? formatCoordinates(location.coordinates) : formatLabel(location.coordinateLiteral.format)}</small>`
+      : '';
+    
+    if (needsConfirmation(location)) {
+      html += `<span class="location-chip needs-confirmation" data-location="${locationAttribute}" data-index="${index}"${timeAttributes}${confidenceAttributes} style="border: 1px dashed #e0a800; background-color: #fff8e1;">
+        <span class="chip-label">${displayName}</span>${coordinateLabel}
+        <button class="chip-action chip-accept" title="Accept" style="border: none; background: none; cursor: pointer; color: #28a745;">✓</button>
+        <button class="chip-action chip-edit" title="Edit" style="border: none; background: none; cursor: pointer; color: #007bff;">✎</button>
+        <button class="chip-action chip-reject" title="Reject" style="border: none; background: none; cursor: pointer; color: #dc3545;">✕</button>
+      </span>`;
+    } else {
+      html += `<span class="location-chip" data-location="${locationAttribute}" data-index="${index}"${timeAttributes}${confidenceAttributes}><span class="chip-label">${displayName}</span>${coordinateLabel}</span>`;
+    }
   });
   
   html += `</div>`;
   
+  if (locations.some(needsConfirmation)) {
+    html += `<p class="confirmation-note"><em>Places with a dashed border are uncertain. Accept, edit or reject them before they are placed on the map.</em></p>`;
+  }
+  
   // Add option to create route if multiple locations
   if (locations.length >= 2) {
     html += `<p style="margin-top: 10px;">
@@ -785,16 +854,183 @@ export function displayLocationChips(locations, message, container) {
   container.innerHTML = html;
 }
 
+/**
+ * Wire the accept, edit and reject buttons of "needs confirmation" chips
+ * The location objects are updated in place; onChange receives the locations that
+ * are ready to geocode and the number still waiting for a decision
+ * @param {HTMLElement} container - Container the chips were rendered into
+ * @param {Array} locations - The same location array passed to displayLocationChips
+ * @param {Function} onChange - Called as onChange(confirmedLocations, pendingCount)
+ */
+export function attachChipConfirmation(container, locations, onChange) {
+  const notify = () => {
+    const active = locations.filter(loc => !loc.rejected);
+    onChange(active.filter(loc => !needsConfirmation(loc)), active.filter(needsConfirmation).length);
+  };
+  
+  container.querySelectorAll('.location-chip.needs-confirmation').forEach(chip => {
+    const location = locations[Number(chip.getAttribute('data-index'))];
+    
+    const markResolved = () => {
+      chip.classList.remove('needs-confirmation');
+      chip.removeAttribute('style');
+      chip.querySelectorAll('.chip-action').forEach(button => button.remove());
+    };
+    
+    chip.querySelector('.chip-accept').addEventListener('click', event => {
+      event.stopPropagation();
+      location.confirmed = true;
+      logNlpEvent('location-accepted', { name: location.name, source: location.source, confidence: location.confidence });
+      markResolved();
+      notify();
+    });
+    
+    chip.querySelector('.chip-reject').addEventListener('click', event => {
+      event.stopPropagation();
+      location.rejected = true;
+      logNlpEvent('location-rejected', { name: location.name, source: location.source, confidence: location.confidence });
+      chip.remove();
+      notify();
+    });
+    
+    chip.querySelector('.chip-edit').addEventListener('click', event => {
+      event.stopPropagation();
+      const editedName = window.prompt('Edit location name', location.name);
+      if (!editedName || !editedName.trim()) return;
+      
+      logNlpEvent('location-edited', { from: location.name, to: editedName.trim(), source: location.source });
+      // Coordinates belonged to the old name, so the edited name is geocoded afresh
+      delete location.coordinates;
+      delete location.coordinateLiteral;
+      location.name = editedName.trim();
+      Object.assign(location, scoreLocation(location, 'user'), { confirmed: true });
+      
+      chip.setAttribute('data-location', location.name);
+      chip.querySelector('.chip-label').textContent = location.timeContext
+        ? `${location.name} (${location.timeContext})`
+        : location.name;
+      markResolved();
+      notify();
+    });
+  });
+}
+
+/**
+ * Display the analyzed text with every location mention highlighted
+ * Rejected locations and locations without mentions are left out; the
+ * container is hidden when nothing is left to highlight
+ * @param {string} text - The user's input text
+ * @param {Array} locations - Locations with spans, as returned by processNaturalLanguageInput
+ * @param {HTMLElement} container - Container element to display in
+ * @param {Function} [onHover] - Called with a location name when a mention is hovered, and with null when it is left
+ */
+export function displaySourceText(text, locations, container, onHover) {
+  const mentioned = (locations || []).filter(loc => !loc.rejected && loc.spans && loc.spans.length > 0);
+  if (!text || mentioned.length === 0) {
+    container.innerHTML = '';
+    container.style.display = 'none';
+    return;
+  }
+  
+  container.style.display = 'block';
+  container.innerHTML = `<div class="source-text" style="white-space: pre-wrap; line-height: 1.6;">${buildHighlightedText(text, mentioned)}</div>`;
+  
+  container.querySelectorAll('.location-mention').forEach(mark => {
+    mark.style.backgroundColor = MENTION_COLOR;
+    mark.style.cursor = 'pointer';
+    mark.addEventListener('mouseenter', () => onHover && onHover(mark.getAttribute('data-location')));
+    mark.addEventListener('mouseleave', () => onHover && onHover(null));
+  });
+}
+
+/**
+ * Highlight the mentions of one location in the source text and scroll to the first
+ * @param {HTMLElement} container - Container passed to displaySourceText
+ * @param {string} name - Location name, as used for the marker title
+ * @returns {number} - Number of mentions highlighted
+ */
+export function highlightMentions(container, name) {
+  const marks = Array.from(container.querySelectorAll('.location-mention'));
+  const matching = marks.filter(mark => mark.getAttribute('data-location') === name);
+  
+  marks.forEach(mark => {
+    const active = matching.includes(mark);
+    mark.classList.toggle('active', active);
+    mark.style.backgroundColor = active ? ACTIVE_MENTION_COLOR : MENTION_COLOR;
+  });
+  
+  if (matching.length > 0) {
+    matching[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+  return matching.length;
+}
+
+/**
+ * Ask which of several places with the same name was meant
+ * The promise is rejected with error.choiceCancelled set when the user cancels,
+ * or when another picker or query replaces this one
+ * @param {string} name - Place name as written in the query
+ * @param {Array} candidates - Ranked candidates with a placeName
+ * @param {HTMLElement} container - Container element to display in
+ * @returns {Promise<Object>} - The chosen candidate
+ */
+export function chooseGeocodingCandidate(name, candidates, container) {
+  cancelGeocodingChoice('replaced');
+  container.style.display = 'block';
+  
+  const buttons = candidates.map((candidate, index) => `<li style="margin: 5px 0;">
+      <button class="geocoding-choice" data-index="${index}" style="padding: 5px 10px; background-color: #f8f9fa; border: 1px solid #ced4da; border-radius: 4px; cursor: pointer; text-align: left;">
+        ${escapeHTML(candidate.placeName)}
+      </button>
+    </li>`).join('');
+  container.innerHTML = `<h3>Which ${escapeHTML(name)}?</h3>
+    <p>There is more than one place called ${escapeHTML(name)}. Which one did you mean?</p>
+    <ul style="list-style: none; padding-left: 0;">${buttons}</ul>
+    <button class="geocoding-cancel" style="padding: 5px 10px; background-color: #fff; border: 1px solid #ced4da; border-radius: 4px; cursor: pointer;">Cancel</button>`;
+  
+  return new Promise((resolve, reject) => {
+    cancelPendingChoice = reason => {
+      cancelPendingChoice = null;
+      logNlpEvent('geocoding-choice-cancelled', { name, reason });
+      const error = new Error(`Choice of ${name} ${reason}`);
+      error.choiceCancelled = true;
+      reject(error);
+    };
+    container.querySelectorAll('.geocoding-choice').forEach(button => {
+      button.addEventListener('click', () => {
+        const candidate = candidates[Number(button.getAttribute('data-index'))];
+        cancelPendingChoice = null;
+        logNlpEvent('geocoding-chosen', { name, placeName: candidate.placeName });
+        resolve(candidate);
+      });
+    });
+    container.querySelector('.geocoding-cancel').addEventListener('click', () => {
+      container.innerHTML = '<p>Route cancelled. Enter a new query to start again.</p>';
+      cancelGeocodingChoice('cancelled');
+    });
+  });
+}
+
+/**
+ * Give up on the place choice the user has not answered yet
+ * Called when a new query starts, so the route waiting on the choice is dropped
+ * @param {string} [reason] - Why the choice was dropped, for the log
+ */
+export function cancelGeocodingChoice(reason = 'replaced') {
+  if (cancelPendingChoice) cancelPendingChoice(reason);
+}
+
 /**
  * Show extracted locations on the map
  * @param {Array} locations - Array of location objects with name and optional timeContext
  * @param {Object} map - Mapbox map instance
  * @param {string} mapboxToken - Mapbox token for API access
+ * @returns {Promise<Array>} - Placed locations as {name, coordinates, locationType}
  */
 export function showLocationsOnMap(locations, map, mapboxToken) {
   if (!locations || locations.length === 0 || !map) {
     console.error('Invalid locations or map');
-    return;
+    return Promise.resolve([]);
   }
   
   console.log('Showing locations on map:', locations);
@@ -816,10 +1052,21 @@ export function showLocationsOnMap(locations, map, mapboxToken) {
   // Track failed locations for alternative geocoding attempt
   const failedLocations = [];
   
+  // Define API_URL based on environment
+  const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
+  
   // Process each location - either geocode or use coords directly
-  const geocodePromises = locations.map(async location => {
+  const geocodePromises = locations.map(async original => {
+    let location = original;
     try {
-      // If coordinates are already provided (like in Gibbon example)
+      // Short Plus Codes are resolved against their locality or the current view
+      if (!location.coordinates && location.coordinateLiteral) {
+        const coordinates = await resolveCoordinateLiteral(location.coordinateLiteral, map, API_URL);
+        if (!coordinates) throw new Error(`Could not resolve ${location.coordinateLiteral.code}`);
+        location = { ...location, coordinates };
+      }
+      
+      // If coordinates are already provided (a curated example, a cached result or a coordinate literal)
       if (location.coordinates) {
         console.log(`Using provided coordinates for ${location.name}:`, location.coordinates);
         
@@ -833,7 +1080,8 @@ export function showLocationsOnMap(locations, map, mapboxToken) {
           properties: {
             title: location.name,
             description: createLocationPopupHTML(location),
-            timeContext: location.timeContext || ''
+            locationType: classifyLocation(location),
+            ...timeProperties(location)
           }
         };
         
@@ -841,24 +1089,23 @@ export function showLocationsOnMap(locations, map, mapboxToken) {
         return;
       }
       
-      // Define API_URL based on environment
-      const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
-      
       // Use server API to geocode the location
       const response = await fetch(`${API_URL}/api/mapbox-geocoding`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ location: location.name })
+        body: JSON.stringify({ location: geocodingName(location.name), limit: 1, types: GEOCODING_TYPES })
       });
       
       if (!response.ok) {
         throw new Error(`API returned ${response.status}`);
       }
       
+      // A proxy returning features gives the place type; one returning only coordinates does not
       const data = await response.json();
-      const coordinates = data.coordinates;
+      const [match] = Array.isArray(data.features) ? data.features : [];
+      const coordinates = match ? match.center : data.coordinates;
       console.log(`Geocoded ${location.name} to:`, coordinates);
       
       // Create GeoJSON feature
@@ -871,7 +1118,8 @@ export function showLocationsOnMap(locations, map, mapboxToken) {
         properties: {
           title: location.name,
           description: createLocationPopupHTML(location),
-          timeContext: location.timeContext || ''
+          locationType: classifyLocation({ ...location, locationType: location.locationType || classifyPlaceType(match && match.place_type) }),
+          ...timeProperties(location)
         }
       };
       
@@ -883,7 +1131,7 @@ export function showLocationsOnMap(locations, map, mapboxToken) {
   });
   
   // Wait for all geocoding promises to complete
-  Promise.all(geocodePromises).then(() => {
+  return Promise.all(geocodePromises).then(() => {
     // Try alternative geocoding for failed locations
     if (failedLocations.length > 0) {
       console.log(`Trying alternative geocoding for ${failedLocations.length} failed locations:`, failedLocations);
@@ -906,6 +1154,12 @@ export function showLocationsOnMap(locations, map, mapboxToken) {
     } else {
       console.error('Locations source not found or no valid features geocoded');
     }
+    
+    return geocodedFeatures.map(feature => ({
+      name: feature.properties.title,
+      coordinates: feature.geometry.coordinates,
+      locationType: feature.properties.locationType
+    }));
   });
 }
 
@@ -915,25 +1169,82 @@ export function showLocationsOnMap(locations, map, mapboxToken) {
  * @returns {string} - HTML content
  */
 function createLocationPopupHTML(location) {
-  const timeInfo = location.timeContext ? `<p><em>Time period: ${location.timeContext}</em></p>` : '';
-  return `<h3>${location.name}</h3>${timeInfo}`;
+  const range = location.timeRange ? formatTimeRange(location.timeRange) : '';
+  const rangeInfo = range && range !== location.timeContext ? ` (${range})` : '';
+  const timeInfo = location.timeContext ? `<p><em>Time period: ${escapeHTML(location.timeContext)}${rangeInfo}</em></p>` : '';
+  const coordinateInfo = location.coordinateLiteral && location.coordinates
+    ? `<p>${formatCoordinates(location.coordinates)} (${formatLabel(location.coordinateLiteral.format)})</p>`
+    : '';
+  return `<h3>${escapeHTML(location.name)}</h3>${coordinateInfo}${timeInfo}`;
+}
+
+/**
+ * Get the position of a coordinate literal, filling in short Plus Codes
+ * A short code is completed from its locality ("CWC8+R9 Mountain View"), or from the map view without one
+ * @param {Object} literal - Literal from parseCoordinateLiteral
+ * @param {Object} map - Mapbox map instance
+ * @param {string} apiUrl - Base URL of the server API
+ * @returns {Promise<Array|null>} - [longitude, latitude], or null when it cannot be resolved
+ */
+async function resolveCoordinateLiteral(literal, map, apiUrl) {
+  if (literal.coordinates) return literal.coordinates;
+  
+  let reference = null;
+  if (literal.locality) {
+    const response = await fetch(`${apiUrl}/api/mapbox-geocoding`, {
+      method: 'POST',
+      headers: {'Content-Type': 'application/json'},
+      body: JSON.stringify({ location: literal.locality })
+    });
+    if (response.ok) {
+      const data = await response.json();
+      reference = data.coordinates;
+    }
+  } else if (map) {
+    const center = map.getCenter();
+    reference = [center.lng, center.lat];
+  }
+  
+  return reference ? recoverPlusCode(literal.code, reference) : null;
+}
+
+/**
+ * Time properties for a location feature, so map layers can filter by year
+ * @param {Object} location - Location object
+ * @returns {Object} - {timeContext, timeStart, timeEnd}
+ */
+function timeProperties(location) {
+  return {
+    timeContext: location.timeContext || '',
+    timeStart: location.timeRange ? location.timeRange.start : null,
+    timeEnd: location.timeRange ? location.timeRange.end : null
+  };
 }
 
 /**
  * Fit map view to show all features
+ * A single place is zoomed to the level for its type; several places are fitted
+ * without zooming in further than their most detailed type needs
  * @param {Object} map - Mapbox map instance
- * @param {Array} features - Array of GeoJSON features
+ * @param {Array} features - Array of GeoJSON features with a locationType property
  */
 function fitMapToFeatures(map, features) {
   if (!features || features.length === 0) return;
   
+  const zooms = features.map(feature => zoomForLocationType(feature.properties.locationType));
+  if (features.length === 1) {
+    map.flyTo({ center: features[0].geometry.coordinates, zoom: zooms[0] });
+    return;
+  }
+  
   const bounds = new mapboxgl.LngLatBounds();
   features.forEach(feature => {
     bounds.extend(feature.geometry.coordinates);
   });
   
   map.fitBounds(bounds, {
-    padding: 50
+    padding: 50,
+    maxZoom: Math.max(...zooms)
   });
 }
 
@@ -990,8 +1301,9 @@ function tryAlternativeGeocoding(locationNames, map) {
           coordinates: coordinates
         },
         properties: {
-          description: `<h3>${name}</h3><p>Historical location (approximated)</p>`,
-          title: name
+          description: `<h3>${escapeHTML(name)}</h3><p>Historical location (approximated)</p>`,
+          title: name,
+          locationType: classifyLocation({ name: matchedName })
         }
       });
     }
@@ -1027,27 +1339,46 @@ function tryAlternativeGeocoding(locationNames, map) {
  * Create and display a route between locations
  * @param {Array} locations - Array of location names
  * @param {string} travelMode - Mode of transportation (driving, walking, cycling)
- * @param {Array} preferences - Route preferences
+ * @param {Array|Object} preferences - Route preferences as strings ("avoid highways") or typed {exclude, optimize}
  * @param {Object} map - Mapbox map instance
  * @param {Function} displayMessage - Function to display messages
+ * @param {Object} [options] - {departAt, arriveBy} local timestamps from parseTravelTime, and roundTrip to return to the first location.
+ *   sourceText and chooseCandidate(name, candidates) let ambiguous place names be ranked in context and chosen by the user.
+ *   avoidPlaces lists places the route should stay clear of, and constraints holds limits from parseRouteConstraints.
+ *   legModes gives a mode per leg for mixed-mode trips; each leg is then requested with its own profile
  */
-export function createRoute(locations, travelMode, preferences, map, displayMessage) {
+export function createRoute(locations, travelMode, preferences, map, displayMessage, options = {}) {
   console.log('Creating route between:', locations);
   console.log('Travel mode:', travelMode);
   console.log('Preferences:', preferences);
+  console.log('Options:', options);
   
   if (!locations || locations.length < 2) {
     displayMessage('At least two locations are needed to create a route.');
     return;
   }
   
+  // Likely typos get a "Did you mean ...?" line under every message about this route
+  const corrections = suggestCorrections(locations.map(loc => loc.trim().replace(/[,.:;]+$/, '')));
+  if (corrections.length > 0) {
+    console.log('Spelling suggestions:', corrections);
+    const correctionsHTML = buildCorrectionsHTML(corrections);
+    const showMessage = displayMessage;
+    displayMessage = message => showMessage(message + correctionsHTML);
+  }
+  
   // Show loading indicator in the message area
-  displayMessage('<div style="text-align: center; padding: 20px;"><p>Calculating route...</p><div class="loading-spinner"></div></div>');
+  displayMessage(CALCULATING_ROUTE_HTML);
   
   // Make sure we have a valid travel mode
   const validModes = ['driving', 'walking', 'cycling'];
   const actualTravelMode = validModes.includes(travelMode) ? travelMode : 'driving';
   
+  // Turn the preferences into directions options, noting any the profile can't honour
+  const routePreferences = normalizeRoutePreferences(preferences);
+  const directionsOptions = buildDirectionsOptions(routePreferences, actualTravelMode);
+  console.log('Directions options:', directionsOptions);
+  
   // Define the API URL based on the environment
   const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
   
@@ -1075,36 +1406,41 @@ export function createRoute(locations, travelMode, preferences, map, displayMess
     
     console.log('Processing cleaned locations:', cleanedLocations);
     
-    // Geocode all locations
-    const geocodePromises = cleanedLocations.map(location =>
-      fetch(`${API_URL}/api/mapbox-geocoding`, {
-        method: 'POST',
-        headers: {'Content-Type': 'application/json'},
-        body: JSON.stringify({ location })
-      })
-      .then(response => {
-        if (!response.ok) {
-          console.error(`Geocoding error for ${location}: ${response.status}`);
-          throw new Error(`Geocoding error for ${location}`);
-        }
-        return response.json();
-      })
-      .then(data => {
-        console.log(`Geocoding result for "${location}":`, data);
-        if (!data.coordinates || !Array.isArray(data.coordinates) || data.coordinates.length !== 2) {
-          console.error(`Invalid coordinates for location "${location}":`, data.coordinates);
+    // Geocode all locations; coordinate literals are placed directly
+    const geocodePromises = cleanedLocations.map(location => {
+      const literal = parseCoordinateLiteral(location);
+      if (literal) {
+        return resolveCoordinateLiteral(literal, map, API_URL).then(coordinates => {
+          if (!coordinates) throw new Error(`Unable to resolve coordinates: ${location}`);
+          console.log(`Using ${literal.format} coordinates for "${location}":`, coordinates);
+          return [{
+            coordinates,
+            name: location,
+            placeName: `${formatCoordinates(coordinates)} (${formatLabel(literal.format)})`,
+            locationType: classifyLocation({ name: location, coordinateLiteral: literal })
+          }];
+        });
+      }
+      
+      return fetchGeocodingCandidates(location, API_URL).then(candidates => {
+        console.log(`Geocoding candidates for "${location}":`, candidates);
+        if (candidates.length === 0) {
           throw new Error(`Unable to geocode location: ${location}`);
         }
-        
-        return {
-          coordinates: data.coordinates,
-          name: location,
-          placeName: data.placeName || location
-        };
-      })
-    );
+        return candidates;
+      });
+    });
+    
+    // Places to stay clear of are geocoded once the waypoints are known
+    let avoided = { areas: [], missing: [] };
     
+    // Ambiguous names are resolved against the rest of the route before routing
     Promise.all(geocodePromises)
+      .then(candidateLists => pickGeocodingResults(candidateLists, map, displayMessage, options))
+      .then(results => geocodeAvoidPlaces(options.avoidPlaces || [], results, API_URL, options).then(found => {
+        avoided = found;
+        return results;
+      }))
       .then(results => {
         console.log('All locations geocoded successfully:', results);
         
@@ -1116,8 +1452,9 @@ export function createRoute(locations, travelMode, preferences, map, displayMess
             coordinates: result.coordinates
           },
           properties: {
-            description: `<h3>${result.name}</h3><p>${result.placeName}</p>`,
-            title: result.name
+            description: `<h3>${escapeHTML(result.name)}</h3><p>${escapeHTML(result.placeName)}</p>`,
+            title: result.name,
+            locationType: result.locationType
           }
         }));
         
@@ -1136,9 +1473,9 @@ export function createRoute(locations, travelMode, preferences, map, displayMess
           if (results.length === 1) {
             map.flyTo({
               center: results[0].coordinates,
-              zoom: 12
+              zoom: zoomForLocationType(results[0].locationType)
             });
-            displayMessage(`<h3>Location Found</h3><p>Showing ${results[0].name} on the map. Add more locations to create a route.</p>`);
+            displayMessage(`<h3>Location Found</h3><p>Showing ${escapeHTML(results[0].name)} on the map. Add more locations to create a route.</p>`);
           } else {
             displayMessage('Could not geocode any of the specified locations. Please check your spelling and try again.');
           }
@@ -1192,8 +1529,11 @@ export function createRoute(locations, travelMode, preferences, map, displayMess
           return;
         }
         
+        // A round trip returns to the first location after the last stop
+        const stops = options.roundTrip ? [...results, results[0]] : results;
+        
         // Format coordinates for Mapbox API - CRITICAL FIX
-        const formattedCoordinates = results.map(r => {
+        const formattedCoordinates = stops.map(r => {
           if (!r.coordinates) return null;
           
           // Ensure coordinates are in the correct format: [longitude, latitude]
@@ -1232,37 +1572,70 @@ export function createRoute(locations, travelMode, preferences, map, displayMess
           return;
         }
         
-        // Get directions through our backend to protect the API key
-        fetch(`${API_URL}/api/mapbox-directions`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            coordinates: formattedCoordinates,
-            profile: actualTravelMode
-          })
-        })
-        .then(response => {
-          if (!response.ok) {
-            console.error(`Directions API error: ${response.status}`);
-            throw new Error(`Error getting directions: ${response.status}`);
+        // Mixed-mode trips ("drive to X, then walk to Y") request each leg with its own profile;
+        // modes that no longer match the stops, e.g. after a follow-up edit, are ignored
+        const legProfiles = Array.isArray(options.legModes) && options.legModes.length === formattedCoordinates.length - 1
+          ? options.legModes.map(mode => (validModes.includes(mode) ? mode : 'driving'))
+          : null;
+        const isMixedMode = Boolean(legProfiles) && new Set(legProfiles).size > 1;
+        // The directions API has no transit profile, so such legs are driven and the summary says so
+        if (legProfiles) {
+          options.legModes.forEach((mode, index) => {
+            if (!validModes.includes(mode)) {
+              directionsOptions.notApplied.push({ label: `${mode} on leg ${index + 1}`, reason: 'not supported, driven instead' });
+            }
+          });
+        }
+        
+        // Mapbox only accepts one of depart_at/arrive_by, and only for driving;
+        // other modes get their times estimated from the route duration below
+        const directionsRequest = {
+          coordinates: formattedCoordinates,
+          profile: actualTravelMode
+        };
+        // Avoided places become exclusion points, which only the driving profile accepts
+        const exclusionPoints = buildExclusionPoints(avoided.areas, formattedCoordinates);
+        const exclude = [directionsOptions.exclude, actualTravelMode === 'driving' ? formatExclusionPoints(exclusionPoints) : ''].filter(Boolean).join(',');
+        if (exclude) {
+          directionsRequest.exclude = exclude;
+        }
+        if (avoided.areas.length > 0 && !(isMixedMode ? legProfiles : [actualTravelMode]).includes('driving')) {
+          directionsOptions.notApplied.push({ label: `avoiding ${avoided.areas.map(area => area.name).join(', ')}`, reason: `not supported for ${isMixedMode ? [...new Set(legProfiles)].join(' or ') : actualTravelMode}` });
+        }
+        avoided.missing.forEach(name => {
+          directionsOptions.notApplied.push({ label: `avoiding ${name}`, reason: 'place not found' });
+        });
+        if (directionsOptions.alternatives) {
+          directionsRequest.alternatives = true;
+        }
+        if (actualTravelMode === 'driving') {
+          if (options.arriveBy) {
+            directionsRequest.arriveBy = options.arriveBy;
+          } else if (options.departAt) {
+            directionsRequest.departAt = options.departAt;
           }
-          return response.json();
-        })
-        .then(data => {
-          console.log('Received directions API response:', data);
-          
+        }
+        
+        // Get directions through our backend to protect the API key
+        // Pick the alternative that matches the optimization goal, if any
+        const routePromise = isMixedMode
+          ? fetchMixedModeRoute(API_URL, formattedCoordinates, legProfiles, routePreferences, exclusionPoints)
+          : fetchDirections(API_URL, directionsRequest).then(data => selectRoute(data, routePreferences));
+        
+        routePromise
+        .then(route => {
           // Enhanced validation of the response
-          if (!data.route) {
-            console.error('No route data in response:', data);
+          if (!route) {
+            console.error('No route data in response');
             throw new Error('No route data in response');
           }
           
-          if (!data.route.geometry || !data.route.geometry.coordinates) {
-            console.error('No route geometry in response:', data.route);
+          if (!route.geometry || !route.geometry.coordinates) {
+            console.error('No route geometry in response:', route);
             throw new Error('No route geometry in response');
           }
           
-          const routeCoordinates = data.route.geometry.coordinates;
+          const routeCoordinates = route.geometry.coordinates;
           if (!Array.isArray(routeCoordinates) || routeCoordinates.length === 0) {
             console.error('Empty or invalid route coordinates:', routeCoordinates);
             throw new Error('Empty or invalid route coordinates');
@@ -1281,24 +1654,32 @@ export function createRoute(locations, travelMode, preferences, map, displayMess
           console.log('Route coordinates count:', routeCoordinates.length);
           console.log('First few route coordinates:', sampleCoords);
           
-          const routeDistance = (data.route.distance / 1000).toFixed(1); // km
-          const routeDuration = Math.round(data.route.duration / 60); // minutes
+          const routeDistance = (route.distance / 1000).toFixed(1); // km
+          const routeDuration = Math.round(route.duration / 60); // minutes
           
           // Format route as GeoJSON
           const routeFeature = {
             type: 'Feature',
-            properties: {},
+            properties: { mode: actualTravelMode },
             geometry: {
               type: 'LineString',
               coordinates: routeCoordinates
             }
           };
           
+          // Each leg of a mixed-mode trip is drawn in its mode's style
+          const routeData = isMixedMode
+            ? {
+              type: 'FeatureCollection',
+              features: route.legs.map(leg => ({ type: 'Feature', properties: { mode: leg.mode }, geometry: leg.geometry }))
+            }
+            : routeFeature;
+          
           // CRITICAL FIX: Ensure route source exists and is properly updated
           try {
             const routeSource = map.getSource('route');
             if (routeSource) {
-              routeSource.setData(routeFeature);
+              routeSource.setData(routeData);
               console.log('Route data set successfully');
             } else {
               console.error('Route source not found in map');
@@ -1309,21 +1690,43 @@ export function createRoute(locations, travelMode, preferences, map, displayMess
             throw error;
           }
           
+          // Limits such as "stop every 200 km" are checked against the route; suggested rest stops join the markers
+          const constraintCheck = checkRouteConstraints(route, options.constraints);
+          if (constraintCheck.restStops.length > 0) {
+            try {
+              map.getSource('locations').setData({
+                type: 'FeatureCollection',
+                features: [...features, ...constraintCheck.restStops.map(buildRestStopFeature)]
+              });
+            } catch (e) {
+              console.error('Error adding rest stops to the map:', e);
+            }
+          }
+          
           // Build a message about via points for multi-point routes
           let viaPointsMessage = '';
-          if (results.length > 2) {
-            const viaPoints = results.slice(1, -1).map(r => r.name);
+          if (results.length > 2 && !options.roundTrip) {
+            const viaPoints = results.slice(1, -1).map(r => escapeHTML(r.name));
             viaPointsMessage = `<p><strong>Via:</strong> ${viaPoints.join(', ')}</p>`;
           }
           
+          // Round trips list the way out and the way back instead of from/to
+          const endpointsMessage = options.roundTrip
+            ? buildRoundTripMessage(stops, route.legs)
+            : `<p><strong>From:</strong> ${escapeHTML(results[0].name)} <strong>To:</strong> ${escapeHTML(results[results.length-1].name)}</p>`;
+          
           // Display route information
           displayMessage(`
             <h3>Route Details</h3>
-            <p><strong>From:</strong> ${results[0].name} <strong>To:</strong> ${results[results.length-1].name}</p>
+            ${endpointsMessage}
             ${viaPointsMessage}
             <p><strong>Distance:</strong> ${routeDistance} km</p>
             <p><strong>Duration:</strong> ${routeDuration} min</p>
-            <p><strong>Mode:</strong> ${actualTravelMode}</p>
+            ${isMixedMode ? buildModeTotalsMessage(route.legs) : `<p><strong>Mode:</strong> ${actualTravelMode}</p>`}
+            ${buildConstraintsMessage(directionsOptions)}
+            ${buildAvoidanceMessage(checkClearance(routeCoordinates, avoided.areas))}
+            ${buildRouteLimitsMessage(constraintCheck)}
+            ${buildScheduleMessage(options, route.duration)}
           `);
           
           // Fit the map to show the route
@@ -1388,11 +1791,16 @@ export function createRoute(locations, travelMode, preferences, map, displayMess
         });
       })
       .catch(error => {
+        // A place choice the user cancelled or replaced with a new query leaves nothing to report
+        if (error.choiceCancelled) {
+          console.log('Route dropped:', error.message);
+          return;
+        }
         console.error('Error geocoding locations:', error);
         displayMessage(`
           <h3>Error Finding Locations</h3>
           <p>I couldn't find one or more of the locations you specified. Please check the spelling and try again.</p>
-          <p>Error details: ${error.message}</p>
+          <p>Error details: ${escapeHTML(error.message)}</p>
         `);
       });
   };
@@ -1405,6 +1813,358 @@ export function createRoute(locations, travelMode, preferences, map, displayMess
   }
 }
 
+/**
+ * Build the "Did you mean ...?" lines for likely misspelled waypoints
+ * Each suggestion is a button with the class "spelling-correction" and the
+ * names in data-name and data-correction; the page re-runs the route on click
+ * @param {Array<Object>} corrections - Corrections from suggestCorrections
+ * @returns {string} - HTML paragraphs
+ */
+function buildCorrectionsHTML(corrections) {
+  return corrections.map(({ name, suggestion }) => `<p class="spelling-suggestion" style="margin-top: 10px;">
+      Did you mean <button class="spelling-correction" data-name="${escapeHTML(name)}" data-correction="${escapeHTML(suggestion)}" style="padding: 2px 8px; background-color: #007bff; color: white; border: none; border-radius: 4px; cursor: pointer;">${escapeHTML(suggestion)}</button> instead of ${escapeHTML(name)}?
+    </p>`).join('');
+}
+
+/**
+ * Get the geocoding candidates for a place name
+ * The server is asked for several candidates, so an ambiguous name can be
+ * ranked in context; a server that only returns its best match gives one
+ * @param {string} name - Place name
+ * @param {string} apiUrl - Base URL of the server API
+ * @returns {Promise<Array>} - Candidates as {coordinates, name, placeName, locationType, relevance, countryCode}
+ */
+async function fetchGeocodingCandidates(name, apiUrl) {
+  // Historical names and aliases are looked up by their current name
+  const query = geocodingName(name);
+  
+  const response = await fetch(`${apiUrl}/api/mapbox-geocoding`, {
+    method: 'POST',
+    headers: {'Content-Type': 'application/json'},
+    body: JSON.stringify({ location: query, limit: GEOCODING_CANDIDATES, types: GEOCODING_TYPES })
+  });
+  if (!response.ok) {
+    console.error(`Geocoding error for ${name}: ${response.status}`);
+    throw new Error(`Geocoding error for ${name}`);
+  }
+  
+  const data = await response.json();
+  if (Array.isArray(data.features) && data.features.length > 0) {
+    return data.features.map(feature => ({
+      coordinates: feature.center,
+      name,
+      placeName: feature.place_name,
+      // The geocoder knows what it found; the name only decides when it gives no type
+      locationType: classifyPlaceType(feature.place_type) || classifyLocation({ name }),
+      bbox: feature.bbox || null,
+      relevance: feature.relevance,
+      countryCode: getFeatureCountryCode(feature)
+    }));
+  }
+  
+  if (!data.coordinates || !Array.isArray(data.coordinates) || data.coordinates.length !== 2) {
+    console.error(`Invalid coordinates for location "${name}":`, data.coordinates);
+    return [];
+  }
+  return [{
+    coordinates: data.coordinates,
+    name,
+    placeName: data.placeName || name,
+    locationType: classifyLocation({ name })
+  }];
+}
+
+/**
+ * Read the country code of a Mapbox geocoding feature
+ * @param {Object} feature - Feature from the geocoding API
+ * @returns {string|null} - Upper-case ISO country code, or null
+ */
+function getFeatureCountryCode(feature) {
+  const country = (feature.place_type || []).includes('country')
+    ? feature.properties
+    : (feature.context || []).find(item => item.id && item.id.startsWith('country.'));
+  return country && country.short_code ? country.short_code.toUpperCase() : null;
+}
+
+/**
+ * Pick one candidate per waypoint, ranked in the context of the whole route
+ * When the best candidates for a place are too close to call and the caller can
+ * ask the user, the user chooses; every choice re-ranks the other waypoints
+ * @param {Array<Array<Object>>} candidateLists - Candidates per waypoint, in route order
+ * @param {Object} map - Mapbox map instance
+ * @param {Function} displayMessage - Function to display messages
+ * @param {Object} options - createRoute options; sourceText and chooseCandidate are used
+ * @returns {Promise<Array<Object>>} - One geocoding result per waypoint
+ */
+async function pickGeocodingResults(candidateLists, map, displayMessage, options) {
+  const bounds = map.getBounds ? map.getBounds() : null;
+  const context = {
+    viewport: bounds ? [[bounds.getWest(), bounds.getSouth()], [bounds.getEast(), bounds.getNorth()]] : null,
+    userRegion: getUserRegion(),
+    hints: getTextHints(options.sourceText)
+  };
+  const chosen = new Map();
+  
+  while (true) {
+    const ranked = rankWaypointCandidates(candidateLists, context, chosen);
+    const index = options.chooseCandidate
+      ? ranked.findIndex((candidates, i) => !chosen.has(i) && isAmbiguous(candidates))
+      : -1;
+    if (index === -1) return ranked.map(candidates => candidates[0]);
+    
+    const choices = ranked[index].slice(0, MAX_CHOICES);
+    logNlpEvent('geocoding-ambiguous', { name: choices[0].name, candidates: choices.map(c => ({ placeName: c.placeName, score: c.score })) });
+    chosen.set(index, await options.chooseCandidate(choices[0].name, choices));
+    displayMessage(CALCULATING_ROUTE_HTML);
+  }
+}
+
+/**
+ * Request directions through the backend
+ * @param {string} apiUrl - Backend base URL
+ * @param {Object} directionsRequest - Body for /api/mapbox-directions
+ * @returns {Promise<Object>} - The response, {route} and optionally {routes}
+ */
+async function fetchDirections(apiUrl, directionsRequest) {
+  const response = await fetch(`${apiUrl}/api/mapbox-directions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(directionsRequest)
+  });
+  if (!response.ok) {
+    console.error(`Directions API error: ${response.status}`);
+    throw new Error(`Error getting directions: ${response.status}`);
+  }
+  
+  const data = await response.json();
+  console.log('Received directions API response:', data);
+  return data;
+}
+
+/**
+ * Request a mixed-mode trip one leg at a time and join the legs into one route
+ * Departure and arrival times are not sent, since each leg is requested on its own
+ * @param {string} apiUrl - Backend base URL
+ * @param {Array<Array>} coordinates - Stop coordinates in travel order
+ * @param {Array<string>} profiles - Directions profile per leg
+ * @param {Object} routePreferences - Typed preferences from normalizeRoutePreferences
+ * @param {Array<Array>} exclusionPoints - Points driving legs should avoid
+ * @returns {Promise<Object>} - Route with distance, duration, geometry and legs; each leg has its mode and geometry
+ */
+async function fetchMixedModeRoute(apiUrl, coordinates, profiles, routePreferences, exclusionPoints) {
+  const legRoutes = await Promise.all(profiles.map((profile, index) => {
+    const legOptions = buildDirectionsOptions(routePreferences, profile);
+    const request = { coordinates: [coordinates[index], coordinates[index + 1]], profile };
+    const exclude = [legOptions.exclude, profile === 'driving' ? formatExclusionPoints(exclusionPoints) : ''].filter(Boolean).join(',');
+    if (exclude) request.exclude = exclude;
+    if (legOptions.alternatives) request.alternatives = true;
+    return fetchDirections(apiUrl, request).then(data => selectRoute(data, routePreferences));
+  }));
+  
+  const missing = legRoutes.findIndex(route => !route || !route.geometry || !Array.isArray(route.geometry.coordinates));
+  if (missing !== -1) {
+    throw new Error(`No ${profiles[missing]} route for leg ${missing + 1}`);
+  }
+  
+  const legs = legRoutes.map((route, index) => ({
+    mode: profiles[index],
+    distance: route.distance,
+    duration: route.duration,
+    geometry: route.geometry
+  }));
+  return {
+    distance: legs.reduce((total, leg) => total + leg.distance, 0),
+    duration: legs.reduce((total, leg) => total + leg.duration, 0),
+    geometry: {
+      type: 'LineString',
+      coordinates: legs.flatMap((leg, index) => (index === 0 ? leg.geometry.coordinates : leg.geometry.coordinates.slice(1)))
+    },
+    legs
+  };
+}
+
+/**
+ * Geocode the places a route should stay clear of
+ * Each name takes the candidate nearest the waypoints; a name that cannot be
+ * geocoded is reported in the summary rather than failing the route
+ * @param {Array<string>} names - Avoided place names
+ * @param {Array<Object>} results - Geocoded waypoints
+ * @param {string} apiUrl - Backend base URL
+ * @param {Object} options - createRoute options, for sourceText
+ * @returns {Promise<Object>} - {areas: [{name, coordinates, bbox}], missing: [names]}
+ */
+async function geocodeAvoidPlaces(names, results, apiUrl, options) {
+  const avoided = { areas: [], missing: [] };
+  if (names.length === 0) return avoided;
+  
+  const context = { anchors: results.map(result => result.coordinates), hints: getTextHints(options.sourceText) };
+  const candidateLists = await Promise.all(names.map(name =>
+    fetchGeocodingCandidates(name, apiUrl).catch(error => {
+      console.error(`Error geocoding avoided place "${name}":`, error);
+      return [];
+    })
+  ));
+  
+  candidateLists.forEach((candidates, index) => {
+    const best = rankCandidates(candidates, context)[0];
+    if (best) {
+      avoided.areas.push({ name: names[index], coordinates: best.coordinates, bbox: best.bbox || null });
+    } else {
+      avoided.missing.push(names[index]);
+    }
+  });
+  console.log('Avoided places:', avoided);
+  return avoided;
+}
+
+/**
+ * Build the outbound and return lines of the Route Details panel for a round trip
+ * The return leg is the last leg, from the final stop back to the origin
+ * @param {Array<Object>} stops - Geocoded stops in travel order, ending at the origin again
+ * @param {Array<Object>} [legs] - Route legs from the Directions API, one per pair of stops
+ * @returns {string} - HTML lines for the outbound and return legs
+ */
+function buildRoundTripMessage(stops, legs) {
+  const origin = escapeHTML(stops[0].name);
+  const outboundStops = stops.slice(0, -1).map(stop => escapeHTML(stop.name));
+  const lastStop = outboundStops[outboundStops.length - 1];
+  
+  if (!Array.isArray(legs) || legs.length !== stops.length - 1) {
+    return `<p><strong>Round trip:</strong> ${outboundStops.join(' → ')} → ${origin}</p>`;
+  }
+  
+  const describeLegs = selected => {
+    const distance = selected.reduce((total, leg) => total + leg.distance, 0);
+    const duration = selected.reduce((total, leg) => total + leg.duration, 0);
+    return `${(distance / 1000).toFixed(1)} km, ${Math.round(duration / 60)} min`;
+  };
+  
+  return `<p><strong>Outbound:</strong> ${outboundStops.join(' → ')} (${describeLegs(legs.slice(0, -1))})</p>
+            <p><strong>Return:</strong> ${lastStop} → ${origin} (${describeLegs(legs.slice(-1))})</p>`;
+}
+
+/**
+ * Build the constraints lines of the Route Details panel
+ * @param {Object} directionsOptions - Options from buildDirectionsOptions
+ * @returns {string} - HTML listing applied and skipped constraints, empty when there are none
+ */
+function buildConstraintsMessage(directionsOptions) {
+  let html = '';
+  
+  if (directionsOptions.applied.length > 0) {
+    html += `<p><strong>Constraints:</strong> ${directionsOptions.applied.join(', ')}</p>`;
+  }
+  if (directionsOptions.notApplied.length > 0) {
+    const skipped = directionsOptions.notApplied.map(item => `${escapeHTML(item.label)} (${escapeHTML(item.reason)})`);
+    html += `<p><em>Not applied: ${skipped.join(', ')}</em></p>`;
+  }
+  
+  return html;
+}
+
+/**
+ * Build the lines of the Route Details panel saying whether the route kept clear of the avoided places
+ * @param {Array<Object>} clearance - Results from checkClearance
+ * @returns {string} - HTML for the avoided places, empty when none were asked for
+ */
+function buildAvoidanceMessage(clearance) {
+  const clear = clearance.filter(place => place.clear).map(place => escapeHTML(place.name));
+  const crossed = clearance.filter(place => !place.clear).map(place => escapeHTML(place.name));
+  let html = '';
+  
+  if (clear.length > 0) {
+    html += `<p><strong>Stays clear of:</strong> ${clear.join(', ')}</p>`;
+  }
+  if (crossed.length > 0) {
+    html += `<p><em>Could not avoid: ${crossed.join(', ')} (the route still passes through)</em></p>`;
+  }
+  
+  return html;
+}
+
+/**
+ * Build the lines of the Route Details panel for quantitative limits
+ * @param {Object} check - Result from checkRouteConstraints
+ * @returns {string} - HTML for met and unmet limits and suggested rest stops, empty when none were asked for
+ */
+function buildRouteLimitsMessage(check) {
+  let html = '';
+  
+  if (check.met.length > 0) {
+    html += `<p><strong>Limits:</strong> ${check.met.join(', ')}</p>`;
+  }
+  if (check.restStops.length > 0) {
+    const stops = check.restStops.map(stop => `${stop.distanceKm} km (${formatDuration(stop.durationMinutes)})`);
+    html += `<p><strong>Suggested rest stops:</strong> ${stops.join(', ')}</p>`;
+  }
+  if (check.unmet.length > 0) {
+    const unmet = check.unmet.map(item => `${item.label} (${item.reason})`);
+    html += `<p><em>Could not meet: ${unmet.join(', ')}</em></p>`;
+  }
+  
+  return html;
+}
+
+/**
+ * Build the mode lines of the Route Details panel for a mixed-mode trip
+ * @param {Array<Object>} legs - Legs with mode, distance (m) and duration (s)
+ * @returns {string} - HTML with the modes in order and the distance and time spent in each
+ */
+function buildModeTotalsMessage(legs) {
+  const totals = totalsByMode(legs).map(total =>
+    `${total.mode} ${(total.distance / 1000).toFixed(1)} km, ${Math.round(total.duration / 60)} min`
+  );
+  return `<p><strong>Modes:</strong> ${legs.map(leg => leg.mode).join(' → ')}</p>
+            <p><strong>By mode:</strong> ${totals.join('; ')}</p>`;
+}
+
+/**
+ * Build the map marker for a suggested rest stop
+ * @param {Object} stop - Rest stop from checkRouteConstraints
+ * @param {number} index - Position of the stop along the route
+ * @returns {Object} - GeoJSON point feature
+ */
+function buildRestStopFeature(stop, index) {
+  const title = `Rest stop ${index + 1}`;
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'Point',
+      coordinates: stop.coordinates
+    },
+    properties: {
+      description: `<h3>${title}</h3><p>${stop.distanceKm} km, ${formatDuration(stop.durationMinutes)} from the start</p>`,
+      title,
+      locationType: 'rest-stop'
+    }
+  };
+}
+
+/**
+ * Build the departure/arrival lines of the Route Details panel
+ * @param {Object} timing - {departAt, arriveBy} local timestamps
+ * @param {number} durationSeconds - Route duration from the Directions API
+ * @returns {string} - HTML for the schedule, empty when no time was requested
+ */
+function buildScheduleMessage(timing, durationSeconds) {
+  if (!timing || (!timing.departAt && !timing.arriveBy)) return '';
+  
+  const durationMs = durationSeconds * 1000;
+  
+  if (timing.arriveBy) {
+    // Work backwards from the requested arrival time
+    const departure = new Date(new Date(timing.arriveBy).getTime() - durationMs);
+    return `
+            <p><strong>Leave by:</strong> ${formatTravelTime(departure)}</p>
+            <p><strong>Arrive by:</strong> ${formatTravelTime(timing.arriveBy)}</p>`;
+  }
+  
+  const arrival = new Date(new Date(timing.departAt).getTime() + durationMs);
+  return `
+            <p><strong>Departure:</strong> ${formatTravelTime(timing.departAt)}</p>
+            <p><strong>Estimated arrival:</strong> ${formatTravelTime(arrival)}</p>`;
+}
+
 /**
  * Check if a route is likely intercontinental based on distance and geography
  * @param {Array} results - Array of geocoded locations
@@ -1471,24 +2231,3 @@ function checkForIntercontinentalRoute(results) {
   
   return differentContinents || longDistance;
 }
-
-/**
- * Calculate distance between two points using Haversine formula
- * @param {number} lat1 - Latitude of first point
- * @param {number} lon1 - Longitude of first point
- * @param {number} lat2 - Latitude of second point
- * @param {number} lon2 - Longitude of second point
- * @returns {number} - Distance in kilometers
- */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Radius of the Earth in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
-  return distance;
-} 
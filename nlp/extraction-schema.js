@@ -0,0 +1,307 @@
+/**
+ * JSON schema and validation for the LLM extraction result
+ * The validator reports field-level errors so they can be fed back to the model
+ */
+
+import { INTENT_TYPES, describeIntent } from './intents.js';
+
+export const TRAVEL_MODES = ['driving', 'walking', 'cycling', 'transit'];
+
+/**
+ * Schema for the object returned by the extraction prompt
+ * Uses the JSON Schema keywords supported by validateAgainstSchema below; the
+ * descriptions are ignored by the validator and tell the model what each
+ * field means when the schema is sent as a function declaration
+ */
+export const EXTRACTION_RESULT_SCHEMA = {
+  type: 'object',
+  required: ['isRouteRequest', 'locations'],
+  properties: {
+    isRouteRequest: {
+      type: 'boolean',
+      description: 'True when the text asks for directions or a route between places'
+    },
+    locations: {
+      type: 'array',
+      description: 'Every place the text mentions, in the order it mentions them',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1, description: 'Place name as written, or a coordinate copied exactly' },
+          timeContext: { type: 'string', description: 'Year or period the text ties to the place, e.g. "1453"; empty when none' }
+        }
+      }
+    },
+    travelMode: { type: 'string', enum: TRAVEL_MODES, description: 'Travel mode for the whole trip; "driving" when not given' },
+    preferences: {
+      type: 'array',
+      description: 'Routing preferences in English, e.g. "avoid tolls", "avoid highways", "avoid ferries", "fastest route", "shortest route", "scenic route"',
+      items: { type: 'string' }
+    },
+    roundTrip: { type: 'boolean', description: 'True when the route returns to where it started' },
+    avoidPlaces: {
+      type: 'array',
+      description: 'Places the route must stay clear of; never listed in locations',
+      items: { type: 'string', minLength: 1 }
+    },
+    legModes: {
+      type: 'array',
+      description: 'Travel mode of each leg of suggestedSequence, plus the way back on a round trip; only when legs use different modes',
+      items: { type: 'string', enum: TRAVEL_MODES }
+    },
+    intent: {
+      type: 'object',
+      description: 'What the text asks the map to show',
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: INTENT_TYPES, description: 'Kind of answer the text wants' },
+        days: { type: 'integer', description: 'Number of days of an itinerary' },
+        minutes: { type: 'number', description: 'Travel time of an isochrone, in minutes' },
+        category: { type: 'string', description: 'Kind of place a nearby search looks for, e.g. "cafes"' }
+      }
+    },
+    message: { type: 'string', description: 'Short message for the user, in the language of the text' },
+    language: { type: 'string' },
+    suggestedSequence: {
+      type: 'array',
+      description: 'Place names in travel order, or a logical viewing order for prose',
+      items: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+/**
+ * Function declaration asking tool-calling models to report the extraction
+ * as arguments that follow EXTRACTION_RESULT_SCHEMA
+ */
+export const EXTRACTION_FUNCTION = {
+  name: 'reportLocationInfo',
+  description: "Report the places, route, travel modes and preferences found in the user's text",
+  parameters: EXTRACTION_RESULT_SCHEMA
+};
+
+/**
+ * Validate a value against a (small subset of) JSON Schema
+ * Supports type, required, properties, items, enum and minLength
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} [path] - JSON path of the value, used in error messages
+ * @returns {Array<Object>} - List of {path, message} errors, empty when valid
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `expected ${schema.type} but got ${describeType(value)}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (schema.minLength !== undefined && typeof value === 'string' && value.trim().length < schema.minLength) {
+    errors.push({ path, message: 'must not be empty' });
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an extraction result
+ * @param {Object} result - Parsed extraction result
+ * @returns {Object} - {valid, errors}
+ */
+export function validateExtractionResult(result) {
+  const errors = validateAgainstSchema(result, EXTRACTION_RESULT_SCHEMA);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Find the first complete JSON object in a model reply
+ * Unlike a non-greedy regex this balances braces, so nested objects survive,
+ * and it ignores braces that appear inside string values
+ * @param {string} text - Raw model output
+ * @returns {string|null} - The JSON object text, or null when none is found
+ */
+export function extractJsonObject(text) {
+  if (!text) return null;
+
+  // Prefer the contents of a ```json fenced block when the model used one
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const source = (fenced ? fenced[1] : text)
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'");
+
+  const start = source.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) {
+        return source.slice(start, i + 1);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply the harmless coercions models commonly need before validation
+ * (bare strings as locations, missing optional fields, upper-case modes)
+ * @param {Object} result - Parsed extraction result
+ * @returns {Object} - Normalized copy of the result
+ */
+export function normalizeExtractionResult(result) {
+  if (!result || typeof result !== 'object' || Array.isArray(result)) return result;
+
+  const normalized = { ...result };
+
+  if (Array.isArray(normalized.locations)) {
+    normalized.locations = normalized.locations.map(loc =>
+      typeof loc === 'string' ? { name: loc, timeContext: "" } : loc
+    );
+    normalized.locations.forEach(loc => {
+      if (loc && typeof loc === 'object' && (loc.timeContext === undefined || loc.timeContext === null)) {
+        loc.timeContext = "";
+      }
+    });
+  }
+
+  if (typeof normalized.travelMode === 'string') {
+    normalized.travelMode = normalized.travelMode.toLowerCase();
+  } else if (normalized.travelMode === undefined || normalized.travelMode === null) {
+    normalized.travelMode = 'driving';
+  }
+
+  if (normalized.preferences === undefined || normalized.preferences === null) {
+    normalized.preferences = [];
+  }
+
+  if ((normalized.suggestedSequence === undefined || normalized.suggestedSequence === null) &&
+      Array.isArray(normalized.locations)) {
+    normalized.suggestedSequence = normalized.locations
+      .filter(loc => loc && typeof loc.name === 'string')
+      .map(loc => loc.name);
+  }
+
+  if ((normalized.message === undefined || normalized.message === null) && Array.isArray(normalized.suggestedSequence)) {
+    normalized.message = defaultMessage(normalized);
+  }
+
+  return normalized;
+}
+
+/**
+ * Message for a result the model sent without one
+ * Questions are described the way detectIntent's answers are
+ * @param {Object} result - Normalized extraction result
+ * @returns {string} - Message for the user
+ */
+function defaultMessage(result) {
+  const places = result.suggestedSequence.filter(name => typeof name === 'string');
+  const intent = result.intent && typeof result.intent === 'object' ? result.intent : null;
+  const question = intent ? describeIntent({ ...intent, places, travelMode: intent.travelMode || result.travelMode }) : '';
+  if (question) return question;
+  return result.isRouteRequest
+    ? `Creating a route: ${places.join(' → ')}`
+    : `I found these locations mentioned: ${places.join(', ')}`;
+}
+
+/**
+ * Parse, normalize and validate raw model output
+ * @param {string} responseText - Raw model output
+ * @returns {Object} - {result, errors}; result is null when no JSON could be parsed
+ */
+export function parseExtractionResponse(responseText) {
+  const jsonText = extractJsonObject(responseText);
+  if (!jsonText) {
+    return { result: null, errors: [{ path: '$', message: 'response did not contain a JSON object' }] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonText);
+  } catch (error) {
+    return { result: null, errors: [{ path: '$', message: `invalid JSON: ${error.message}` }] };
+  }
+
+  return parseExtractionArguments(parsed);
+}
+
+/**
+ * Normalize and validate the arguments of a structured reply
+ * @param {Object} args - Function call arguments or schema-constrained JSON from the model
+ * @returns {Object} - {result, errors}
+ */
+export function parseExtractionArguments(args) {
+  const result = normalizeExtractionResult(args);
+  const { errors } = validateExtractionResult(result);
+  return { result, errors };
+}
+
+/**
+ * Describe a value's JSON type for error messages
+ * @param {*} value - Any value
+ * @returns {string} - JSON type name
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Check a value against a JSON Schema type name
+ * @param {*} value - Any value
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} - Whether the value has that type
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return describeType(value) === type;
+}
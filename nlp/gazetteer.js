@@ -0,0 +1,146 @@
+/**
+ * Offline place name recognizer backed by the local gazetteer
+ * Confirms candidate spans in text against known places and attaches a
+ * feature class and a population-based prior, without any network calls
+ */
+
+import { GAZETTEER_ROWS } from './data/gazetteer-data.js';
+import { tokenizeRouteQuery } from './route-grammar.js';
+
+// Longest place name, in words, that the recognizer will try to match
+const MAX_NAME_WORDS = 5;
+
+// Classes recognized even when written in lower case ("the mediterranean", "sub-Saharan Africa")
+const CASE_INSENSITIVE_CLASSES = ['continent', 'sea', 'region'];
+
+// Prior for entries without a useful population figure
+const CLASS_PRIORS = {
+  continent: 0.9,
+  country: 0.9,
+  sea: 0.85,
+  region: 0.7,
+  city: 0.5,
+  neighborhood: 0.4,
+  poi: 0.6
+};
+
+let placeIndex = null;
+
+/**
+ * Normalize a place name for lookup: lower case, no accents, no periods, no leading "the"
+ * @param {string} name - Place name
+ * @returns {string} - Normalized key
+ */
+export function normalizePlaceName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/’/g, "'")
+    .replace(/\./g, '')
+    .replace(/[\s-]+/g, ' ')
+    .replace(/^the\s+/, '')
+    .trim();
+}
+
+/**
+ * Get the lookup index, building it from the gazetteer rows on first use
+ * @returns {Map<string, Array<Object>>} - Normalized name to matching entries
+ */
+function getPlaceIndex() {
+  if (placeIndex) return placeIndex;
+
+  placeIndex = new Map();
+  GAZETTEER_ROWS.forEach(([name, featureClass, countryCode, population, lng, lat, alternateNames]) => {
+    const entry = { name, featureClass, countryCode, population, coordinates: [lng, lat], alternateNames };
+    [name, ...alternateNames].forEach(alias => {
+      const key = normalizePlaceName(alias);
+      if (!placeIndex.has(key)) placeIndex.set(key, []);
+      placeIndex.get(key).push(entry);
+    });
+  });
+
+  // Most likely reading first
+  placeIndex.forEach(entries => entries.sort((a, b) => getPlacePrior(b) - getPlacePrior(a)));
+  return placeIndex;
+}
+
+/**
+ * Prior probability that a mention of this entry refers to a real place
+ * @param {Object} entry - Gazetteer entry
+ * @returns {number} - Prior between 0 and 1
+ */
+export function getPlacePrior(entry) {
+  const classPrior = CLASS_PRIORS[entry.featureClass] || 0.3;
+  if (!entry.population) return classPrior;
+
+  // log10 of the population, so a city of 10 million scores about 0.9
+  const populationPrior = Math.min(1, Math.log10(entry.population) / 8);
+  return Math.max(classPrior, Math.round(populationPrior * 100) / 100);
+}
+
+/**
+ * Find every gazetteer entry for a name
+ * @param {string} name - Place name
+ * @returns {Array<Object>} - Matching entries, most likely first
+ */
+export function lookupPlaces(name) {
+  if (!name) return [];
+  return getPlaceIndex().get(normalizePlaceName(name)) || [];
+}
+
+/**
+ * Find the most likely gazetteer entry for a name
+ * @param {string} name - Place name
+ * @returns {Object|null} - Entry or null when the name is unknown
+ */
+export function lookupPlace(name) {
+  return lookupPlaces(name)[0] || null;
+}
+
+/**
+ * Recognize place names in free text
+ * Tries the longest word sequence first at each position, so "New York"
+ * wins over "York" and "sub-Saharan Africa" over "Africa"
+ * @param {string} text - Input text
+ * @returns {Array<Object>} - Recognized places as {name, start, end, featureClass, countryCode, population, prior, coordinates, gazetteerName}
+ */
+export function recognizePlaces(text) {
+  if (!text) return [];
+
+  const tokens = tokenizeRouteQuery(text);
+  const places = [];
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].type !== 'word') continue;
+
+    for (let length = Math.min(MAX_NAME_WORDS, tokens.length - i); length >= 1; length--) {
+      const span = tokens.slice(i, i + length);
+      // A lower-case article belongs to the sentence, not the name ("the Mediterranean")
+      if (span.some(token => token.type !== 'word') || span[0].value === 'the') continue;
+
+      const start = span[0].start;
+      const end = span[span.length - 1].end;
+      const surface = text.slice(start, end);
+      const entry = lookupPlace(surface);
+
+      if (entry && (/^\p{Lu}/u.test(surface) || CASE_INSENSITIVE_CLASSES.includes(entry.featureClass))) {
+        places.push({
+          name: surface,
+          start,
+          end,
+          featureClass: entry.featureClass,
+          countryCode: entry.countryCode,
+          population: entry.population,
+          prior: getPlacePrior(entry),
+          coordinates: entry.coordinates,
+          gazetteerName: entry.name
+        });
+        i += length - 1;
+        break;
+      }
+    }
+  }
+
+  return places;
+}
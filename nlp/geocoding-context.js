@@ -0,0 +1,173 @@
+/**
+ * Context-biased geocoding
+ * An ambiguous name such as "Paris", "Springfield" or "Portland" has several
+ * geocoding candidates. They are ranked with what else is known about the
+ * query: the other waypoints, the map viewport, the user's region and any
+ * country or region named in the text. When the best candidates score too
+ * close to call, the user is asked to choose
+ */
+
+import { recognizePlaces } from './gazetteer.js';
+import { calculateDistance } from './coordinates.js';
+
+// Score weights; the geocoder's own relevance (0 to 1) has weight 1
+const ANCHOR_WEIGHT = 1;
+const TEXT_HINT_WEIGHT = 1;
+const VIEWPORT_WEIGHT = 0.2;
+const REGION_WEIGHT = 0.2;
+
+// Distance at which a candidate gets half the anchor score
+const ANCHOR_SCALE_KM = 300;
+
+// Candidates this close together are the same place (a city and its district)
+const SAME_PLACE_KM = 25;
+
+// Top candidates closer in score than this need the user to choose
+export const AMBIGUITY_MARGIN = 0.1;
+
+// Candidates offered when the user has to choose
+export const MAX_CHOICES = 4;
+
+/**
+ * Collect what the query text says about where its places are
+ * @param {string} text - The user's query
+ * @returns {Object} - {countryCodes, text}: codes of countries named in the text, and the text itself for region names
+ */
+export function getTextHints(text) {
+  const countryCodes = recognizePlaces(text || '')
+    .filter(place => place.featureClass === 'country' && place.countryCode)
+    .map(place => place.countryCode);
+  return { countryCodes: [...new Set(countryCodes)], text: text || '' };
+}
+
+/**
+ * Guess the user's country from the browser language ("en-US" → "US")
+ * @returns {string|null} - ISO country code, or null when unknown
+ */
+export function getUserRegion() {
+  const language = typeof navigator !== 'undefined' ? navigator.language : '';
+  const region = (language || '').split('-')[1];
+  return region && /^[A-Za-z]{2}$/.test(region) ? region.toUpperCase() : null;
+}
+
+/**
+ * Score and order the candidates for one place
+ * @param {Array<Object>} candidates - Candidates as {coordinates, placeName, relevance, countryCode}
+ * @param {Object} context - {anchors, viewport, userRegion, hints}; anchors are the coordinates of the other waypoints
+ * @returns {Array<Object>} - Copies with a score, best first, one per distinct place
+ */
+export function rankCandidates(candidates, context = {}) {
+  const ranked = candidates
+    .map(candidate => ({ ...candidate, score: scoreCandidate(candidate, context) }))
+    .sort((a, b) => b.score - a.score);
+
+  return ranked.filter((candidate, index) => !ranked.slice(0, index).some(better =>
+    distanceKm(better.coordinates, candidate.coordinates) < SAME_PLACE_KM
+  ));
+}
+
+/**
+ * Rank the candidates of every waypoint against each other
+ * Each waypoint is re-ranked in turn with the current best candidates of the
+ * others as anchors; a second pass lets the waypoints settle on a consistent reading
+ * @param {Array<Array<Object>>} candidateLists - Candidates per waypoint, in route order
+ * @param {Object} context - {viewport, userRegion, hints}
+ * @param {Map<number, Object>} [chosen] - Candidates already fixed by the user, by waypoint index
+ * @returns {Array<Array<Object>>} - Ranked candidates per waypoint; a chosen waypoint has only its choice
+ */
+export function rankWaypointCandidates(candidateLists, context = {}, chosen = new Map()) {
+  const ranked = candidateLists.map((candidates, index) =>
+    chosen.has(index) ? [chosen.get(index)] : rankCandidates(candidates, context)
+  );
+
+  for (let pass = 0; pass < 2; pass++) {
+    ranked.forEach((candidates, index) => {
+      if (chosen.has(index)) return;
+      const anchors = ranked
+        .filter((others, otherIndex) => otherIndex !== index && others.length > 0)
+        .map(others => others[0].coordinates);
+      ranked[index] = rankCandidates(candidateLists[index], { ...context, anchors });
+    });
+  }
+
+  return ranked;
+}
+
+/**
+ * Check whether the best candidates are too close in score to pick one
+ * @param {Array<Object>} ranked - Candidates from rankCandidates
+ * @returns {boolean} - True when the user should choose
+ */
+export function isAmbiguous(ranked) {
+  return ranked.length > 1 && ranked[0].score - ranked[1].score < AMBIGUITY_MARGIN;
+}
+
+/**
+ * Score one candidate
+ * @param {Object} candidate - Geocoding candidate
+ * @param {Object} context - Ranking context
+ * @returns {number} - Score; higher is better
+ */
+function scoreCandidate(candidate, context) {
+  let score = typeof candidate.relevance === 'number' ? candidate.relevance : 1;
+
+  // Waypoints of one route are usually near each other
+  const anchors = context.anchors || [];
+  if (anchors.length > 0) {
+    const nearest = Math.min(...anchors.map(anchor => distanceKm(anchor, candidate.coordinates)));
+    score += ANCHOR_WEIGHT / (1 + nearest / ANCHOR_SCALE_KM);
+  }
+
+  if (context.hints && mentionedInText(candidate, context.hints)) {
+    score += TEXT_HINT_WEIGHT;
+  }
+
+  if (context.viewport && inBounds(candidate.coordinates, context.viewport)) {
+    score += VIEWPORT_WEIGHT;
+  }
+
+  if (context.userRegion && candidate.countryCode === context.userRegion) {
+    score += REGION_WEIGHT;
+  }
+
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * Check whether the text names the candidate's country or region
+ * "Paris, Texas, United States" matches a query mentioning Texas
+ * @param {Object} candidate - Geocoding candidate
+ * @param {Object} hints - Hints from getTextHints
+ * @returns {boolean} - True when the text points at this candidate
+ */
+function mentionedInText(candidate, hints) {
+  if (candidate.countryCode && hints.countryCodes.includes(candidate.countryCode)) return true;
+
+  // The first part of the place name is the place itself
+  const parts = (candidate.placeName || '').split(',').slice(1).map(part => part.trim()).filter(Boolean);
+  return parts.some(part => {
+    const escaped = part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu').test(hints.text);
+  });
+}
+
+/**
+ * Check whether coordinates are inside the viewport
+ * @param {Array} coordinates - [longitude, latitude]
+ * @param {Array} viewport - [[west, south], [east, north]]
+ * @returns {boolean} - True when inside
+ */
+function inBounds([lng, lat], [[west, south], [east, north]]) {
+  const inLongitude = west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+  return inLongitude && lat >= south && lat <= north;
+}
+
+/**
+ * Great-circle distance between two positions
+ * @param {Array} from - [longitude, latitude]
+ * @param {Array} to - [longitude, latitude]
+ * @returns {number} - Distance in kilometers
+ */
+function distanceKm(from, to) {
+  return calculateDistance(from[1], from[0], to[1], to[0]);
+}
@@ -0,0 +1,259 @@
+/**
+ * Historical time expression normalizer
+ * Turns free-form time context ("1453", "5th century BC", "circa 1200",
+ * "the 1450s", "the 1800s", "1914-18", "between 1914 and 1918", "the Middle Ages")
+ * into year ranges that can be sorted and filtered.
+ * Years before the common era are negative: 300 BC is -300
+ */
+
+import { findCoordinateLiterals } from './coordinates.js';
+
+// Named periods with conventional (and necessarily approximate) year ranges
+const NAMED_PERIODS = [
+  { names: ['early middle ages', 'dark ages'], start: 500, end: 1000 },
+  { names: ['high middle ages'], start: 1000, end: 1300 },
+  { names: ['late middle ages'], start: 1300, end: 1500 },
+  { names: ['middle ages', 'medieval period', 'medieval era'], start: 500, end: 1500 },
+  { names: ['renaissance'], start: 1300, end: 1600 },
+  { names: ['age of discovery', 'age of exploration'], start: 1415, end: 1600 },
+  { names: ['enlightenment', 'age of enlightenment'], start: 1685, end: 1815 },
+  { names: ['industrial revolution'], start: 1760, end: 1840 },
+  { names: ['victorian era'], start: 1837, end: 1901 },
+  { names: ['neolithic'], start: -10000, end: -2000 },
+  { names: ['bronze age'], start: -3300, end: -1200 },
+  { names: ['iron age'], start: -1200, end: -550 },
+  { names: ['classical antiquity', 'antiquity'], start: -800, end: 500 },
+  { names: ['roman empire', 'roman era', 'roman period'], start: -27, end: 476 },
+  { names: ['byzantine era', 'byzantine period'], start: 330, end: 1453 },
+  { names: ['antonines', 'antonine era'], start: 138, end: 192 }
+];
+
+const ORDINAL_WORDS = [
+  'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+  'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth',
+  'eighteenth', 'nineteenth', 'twentieth', 'twenty-first'
+];
+
+const ERA_BCE = "BC|BCE|B\\.C\\.(?:E\\.)?|before Christ|before the common era";
+const ERA_CE = "AD|CE|A\\.D\\.|C\\.E\\.|after Christ|anno domini";
+const ERA_SUFFIX = `(?:\\s*,?\\s*(${ERA_BCE}|${ERA_CE})(?!\\w))?`;
+const ORDINAL = `(\\d{1,2})(?:st|nd|rd|th)|(${ORDINAL_WORDS.join('|')})`;
+
+// Patterns from most to least specific; earlier matches win over overlapping later ones
+const TIME_PATTERNS = [
+  {
+    precision: 'period',
+    pattern: new RegExp(`\\b(?:the\\s+)?(${NAMED_PERIODS.flatMap(p => p.names).sort((a, b) => b.length - a.length).join('|')})\\b`, 'gi')
+  },
+  {
+    precision: 'millennium',
+    pattern: new RegExp(`\\b(?:the\\s+)?(?:${ORDINAL})\\s+millenni(?:um|a)${ERA_SUFFIX}`, 'gi')
+  },
+  {
+    precision: 'century',
+    pattern: new RegExp(`\\b(?:the\\s+)?(?:(early|mid|middle|late)[\\s-]+)?(?:${ORDINAL})[\\s-]+century${ERA_SUFFIX}`, 'gi')
+  },
+  {
+    precision: 'decade',
+    pattern: /\b(?:the\s+)?(\d{3}0)'?s\b/gi
+  },
+  {
+    precision: 'range',
+    pattern: new RegExp(`\\b(between\\s+)?(\\d{3,4})\\s*(–|—|-|to|until|and)\\s*(\\d{2,4})(?![\\d:])${ERA_SUFFIX}`, 'gi')
+  },
+  {
+    precision: 'year',
+    pattern: new RegExp(`(?:\\b(AD|A\\.D\\.)\\s*)?\\b(\\d{1,4})(?![\\d:]|,\\d)${ERA_SUFFIX}`, 'gi')
+  }
+];
+
+// Words before an expression that make it approximate
+const APPROXIMATE_PATTERN = /\b(?:circa|c\.|ca\.|around|about|approximately|roughly)\s*$/i;
+
+// Words before a three-digit number that make it a year ("in 800", not "800 miles")
+const YEAR_CONTEXT_PATTERN = /\b(?:in|by|until|till|since|year|circa|c\.|ca\.)\s*$/i;
+
+// Spread given to an approximate single year ("circa 1200" covers 1190-1210)
+const APPROXIMATE_YEAR_SPREAD = 10;
+
+/**
+ * Find every historical time expression in a text
+ * @param {string} text - Input text
+ * @returns {Array<Object>} - Matches as {text, start, end, range}, in text order
+ */
+export function findTimeExpressions(text) {
+  if (!text) return [];
+
+  // Numbers inside coordinates ("37.7749,-122.4194") are never years
+  const literals = findCoordinateLiterals(text);
+  const found = [];
+
+  TIME_PATTERNS.forEach(({ precision, pattern }) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      // The span leaves out a leading "the" and takes in a hedge such as "circa"
+      const article = match[0].match(/^the\s+/i);
+      const preceding = text.slice(0, match.index);
+      const hedge = APPROXIMATE_PATTERN.exec(preceding);
+      const start = hedge ? hedge.index : match.index + (article ? article[0].length : 0);
+      const end = match.index + match[0].trimEnd().length;
+      if (found.some(f => start < f.end && end > f.start)) continue;
+      if (literals.some(l => start < l.end && end > l.start)) continue;
+
+      const range = buildRange(precision, match, Boolean(hedge), YEAR_CONTEXT_PATTERN.test(preceding));
+      if (range) {
+        found.push({ text: text.slice(start, end), start, end, range });
+      }
+    }
+  });
+
+  return found.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Normalize a single time context string
+ * @param {string} timeContext - Free-form time context, e.g. "5th century BC"
+ * @returns {Object|null} - {start, end, precision, era, approximate} or null when nothing is recognized
+ */
+export function normalizeTimeContext(timeContext) {
+  if (!timeContext) return null;
+  const [first] = findTimeExpressions(timeContext);
+  if (!first) return null;
+  return first.range;
+}
+
+/**
+ * Format a normalized range for display ("1401–1500 CE", "c. 300 BCE")
+ * @param {Object} range - Range from normalizeTimeContext
+ * @returns {string} - Human-readable range
+ */
+export function formatTimeRange(range) {
+  if (!range) return '';
+
+  const prefix = range.approximate ? 'c. ' : '';
+  const formatYear = year => (year < 0 ? `${-year} BCE` : `${year} CE`);
+
+  if (range.precision === 'year' && !range.approximate) {
+    return formatYear(range.start);
+  }
+  if (range.precision === 'year') {
+    return prefix + formatYear(range.start + APPROXIMATE_YEAR_SPREAD);
+  }
+  if ((range.start < 0) === (range.end < 0)) {
+    return `${prefix}${Math.abs(range.start)}–${formatYear(range.end)}`;
+  }
+  return `${prefix}${formatYear(range.start)}–${formatYear(range.end)}`;
+}
+
+/**
+ * Build a range from a pattern match
+ * @param {string} precision - Precision of the pattern that matched
+ * @param {Array} match - Regex match
+ * @param {boolean} approximate - Whether the expression was hedged ("circa")
+ * @param {boolean} yearContext - Whether a preposition such as "in" comes before it
+ * @returns {Object|null} - Range, or null when the match is not a plausible date
+ */
+function buildRange(precision, match, approximate, yearContext) {
+  let start;
+  let end;
+
+  if (precision === 'period') {
+    const name = match[1].toLowerCase();
+    const period = NAMED_PERIODS.find(p => p.names.includes(name));
+    ({ start, end } = period);
+  } else if (precision === 'millennium' || precision === 'century') {
+    const offset = precision === 'century' ? 1 : 0;
+    const part = precision === 'century' ? match[1] : null;
+    const ordinal = readOrdinal(match[1 + offset], match[2 + offset]);
+    const isBce = isBceEra(match[3 + offset]);
+    const size = precision === 'century' ? 100 : 1000;
+    if (!ordinal || ordinal > (precision === 'century' ? 21 : 3)) return null;
+
+    // Counted forwards in CE, backwards in BCE: the 5th century BC is 500-401 BC
+    start = isBce ? -(ordinal * size) : (ordinal - 1) * size + 1;
+    end = isBce ? -((ordinal - 1) * size + 1) : ordinal * size;
+    if (part) ({ start, end } = narrowToPart(start, end, part.toLowerCase()));
+  } else if (precision === 'decade') {
+    start = Number(match[1]);
+    // "The 1800s" is a century, counted from the round year: 1800-1899
+    if (start % 100 === 0) {
+      precision = 'century';
+      end = start + 99;
+    } else {
+      end = start + 9;
+    }
+  } else if (precision === 'range') {
+    const [, between, first, connector, last, era] = match;
+    // "and" only joins a range after "between" ("between 1914 and 1918")
+    if (connector.toLowerCase() === 'and' && !between) return null;
+    // Three-digit ranges need an era or a preposition ("in 800-814", but not "200 to 300 people")
+    if (!era && !yearContext && first.length < 4) return null;
+    const sign = isBceEra(era) ? -1 : 1;
+    const from = Number(first);
+    let to = Number(last);
+    // A shortened end year takes the leading digits of the start: "1914-18" is 1914-1918
+    if (last.length < first.length) {
+      to = Number(first.slice(0, first.length - last.length) + last);
+      if (sign > 0 && to < from) to += 10 ** last.length;
+    }
+    start = Math.min(sign * from, sign * to);
+    end = Math.max(sign * from, sign * to);
+  } else {
+    const year = Number(match[2]);
+    const hasEra = Boolean(match[1] || match[3]);
+    // Bare numbers only count as years with four digits ("1453", not "3 cities" or "500 miles"),
+    // or three after a preposition ("in 800")
+    if (!hasEra && (match[2].length < (yearContext ? 3 : 4) || year > 2100)) return null;
+    if (year === 0) return null;
+    start = isBceEra(match[3]) ? -year : year;
+    end = start;
+    if (approximate) {
+      start -= APPROXIMATE_YEAR_SPREAD;
+      end += APPROXIMATE_YEAR_SPREAD;
+    }
+  }
+
+  return {
+    start,
+    end,
+    precision,
+    era: end < 0 ? 'BCE' : start < 0 ? 'BCE-CE' : 'CE',
+    approximate
+  };
+}
+
+/**
+ * Read an ordinal written as digits ("5th") or as a word ("fifth")
+ * @param {string} digits - Digit capture
+ * @param {string} word - Word capture
+ * @returns {number|null} - Ordinal value
+ */
+function readOrdinal(digits, word) {
+  if (digits) return Number(digits);
+  if (word) return ORDINAL_WORDS.indexOf(word.toLowerCase()) + 1;
+  return null;
+}
+
+/**
+ * Check whether an era marker means before the common era
+ * @param {string} era - Era capture, may be undefined
+ * @returns {boolean} - True for BC/BCE
+ */
+function isBceEra(era) {
+  return Boolean(era) && new RegExp(`^(?:${ERA_BCE})$`, 'i').test(era);
+}
+
+/**
+ * Narrow a century to its early, middle or late third
+ * @param {number} start - First year of the century
+ * @param {number} end - Last year of the century
+ * @param {string} part - "early", "mid", "middle" or "late"
+ * @returns {Object} - {start, end}
+ */
+function narrowToPart(start, end, part) {
+  const third = Math.round((end - start) / 3);
+  if (part === 'early') return { start, end: start + third };
+  if (part === 'late') return { start: end - third, end };
+  return { start: start + third, end: end - third };
+}
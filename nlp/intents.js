@@ -0,0 +1,242 @@
+/**
+ * Query intents
+ * Decides what kind of answer a query wants, so questions such as "where is X"
+ * or "how far can I get in 20 minutes" are not all turned into a route or a
+ * list of location chips. Question intents are recognized from English
+ * templates and carry the places and parameters they ask about
+ */
+
+/**
+ * Intent types
+ * route       - directions through two or more places
+ * show-places - places mentioned in prose, shown as chips and markers
+ * where-is    - "where is X": a single place, zoomed to
+ * distance    - "how far is X from Y": straight-line and travel distance
+ * nearby      - "what's near X": points of interest around a place, or around the user ("near me")
+ * isochrone   - "how far can I get in N minutes": the area reachable in that time
+ * itinerary   - a trip plan, routed and split into days
+ */
+export const INTENT_TYPES = ['route', 'show-places', 'where-is', 'distance', 'nearby', 'isochrone', 'itinerary'];
+
+// Longest travel time a reachable area is estimated for
+export const MAX_ISOCHRONE_MINUTES = 60;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14
+};
+
+const TRAVEL_WORDS = {
+  walk: 'walking', walking: 'walking', foot: 'walking',
+  cycle: 'cycling', cycling: 'cycling', bike: 'cycling', bicycle: 'cycling', ride: 'cycling',
+  drive: 'driving', driving: 'driving', car: 'driving'
+};
+
+const ISOCHRONE_PATTERN = /^(?:how far|where) can (?:i|we|you) (get|go|drive|walk|cycle|bike|ride|travel)\b(.*)$|^what (?:can|could) (?:i|we|you) reach\b(.*)$/i;
+const ISOCHRONE_TIME_PATTERN = /\b(?:in|within)\s+(\d+(?:\.\d+)?|an?|one|two|three|half an?)\s*(minutes?|mins?|hours?|hrs?|h)\b/i;
+
+const DISTANCE_PATTERNS = [
+  // "how far is X from Y" measures from Y
+  { pattern: /^how far (?:away )?(?:is|are) (?!it\b)(.+?) from (.+)$/i, order: [2, 1] },
+  { pattern: /^(?:how far|what(?:'s| is) the distance|distance)(?: is it)? (?:from|between) (.+?) (?:to|and) (.+)$/i, order: [1, 2] },
+  { pattern: /^how far apart are (.+?) and (.+)$/i, order: [1, 2] }
+];
+
+const NEARBY_PATTERN = /^(?:what(?:'s| is| are)|show(?: me)?|find(?: me)?|list)(?: the)?(?: (.+?))? (?:near|around|close to|next to|nearby) (.+)$/i;
+
+// Nearby "categories" that only mean "anything"
+const GENERIC_CATEGORY = /^(?:there|anything|something|stuff|(?:interesting |good |fun )?(?:things?|places?|spots?))(?: (?:there|to (?:do|see|visit)))?$/i;
+
+// Words for the user's own position rather than a place ("near me", "from here")
+const USER_POSITION_PATTERN = /^(?:me|us|here|my (?:current )?(?:location|position)|(?:the )?current location|where (?:i|we) am|where (?:i|we) are)$/i;
+
+const WHERE_IS_PATTERN = /^(?:where(?:'s| is| are)|show me where|where can i find|where exactly is)\s+(.+?)(?:\s+(?:is|are|located|situated))?(?:\s+on (?:the|a) map)?$/i;
+
+// Trip-planning wording; a length such as "3-day" or "a week" alone is no itinerary,
+// since prose mentions durations too ("after a 53-day siege")
+const ITINERARY_PATTERN = /\bitinerary\b|\bplan(?:ning)? (?:a|an|my|our|the)\b.*\b(?:trip|vacation|holiday|tour|getaway|visit)\b|\b(?:road )?trip (?:plan|itinerary)\b|\b(?:(?:\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen)[- ]days?|(?:a|one|two)[- ]weeks?|weekend) (?:trip|vacation|holiday|tour|getaway|itinerary)\b/i;
+
+/**
+ * Recognize a question intent from the query text
+ * @param {string} text - The user's query
+ * @returns {Object|null} - {type, places, ...parameters}, or null when the query is a plain route or prose
+ */
+export function detectIntent(text) {
+  if (!text) return null;
+  const query = text.trim().replace(/[?!.]+$/, '').replace(/\s+/g, ' ');
+
+  const isochrone = parseIsochrone(query);
+  if (isochrone) return isochrone;
+
+  for (const { pattern, order } of DISTANCE_PATTERNS) {
+    const match = query.match(pattern);
+    if (match) {
+      return { type: 'distance', places: order.map(group => cleanPlace(match[group])) };
+    }
+  }
+
+  const nearby = query.match(NEARBY_PATTERN);
+  if (nearby && !isRouteLike(nearby[2])) {
+    const category = nearby[1] && !GENERIC_CATEGORY.test(nearby[1]) ? nearby[1].toLowerCase() : null;
+    const place = cleanPlace(nearby[2]);
+    // "Near me" is searched around the user's position, found by the browser
+    return USER_POSITION_PATTERN.test(place)
+      ? { type: 'nearby', places: [], category, nearUser: true }
+      : { type: 'nearby', places: [place], category };
+  }
+
+  const whereIs = query.match(WHERE_IS_PATTERN);
+  if (whereIs && !isRouteLike(whereIs[1])) {
+    return { type: 'where-is', places: [cleanPlace(whereIs[1])] };
+  }
+
+  if (ITINERARY_PATTERN.test(query)) {
+    return { type: 'itinerary', days: parseDays(query) };
+  }
+
+  return null;
+}
+
+/**
+ * Check an intent reported by the model
+ * Route and show-places follow from isRouteRequest, so only the other types
+ * are taken, and only when they carry what their answer needs
+ * @param {Object} intent - {type, days, minutes, category} from the extraction
+ * @param {Array<string>} places - Places of the extraction, in order
+ * @param {string} travelMode - Travel mode of the extraction
+ * @returns {Object|null} - Intent shaped like detectIntent's, or null when unusable
+ */
+export function resolveModelIntent(intent, places, travelMode) {
+  if (!intent || !INTENT_TYPES.includes(intent.type)) return null;
+
+  switch (intent.type) {
+    case 'where-is':
+      return places.length === 1 ? { type: 'where-is', places } : null;
+    case 'distance':
+      return places.length === 2 ? { type: 'distance', places } : null;
+    case 'nearby':
+      return places.length === 1
+        ? { type: 'nearby', places, category: intent.category ? intent.category.toLowerCase() : null }
+        : null;
+    case 'isochrone':
+      return intent.minutes > 0 && places.length <= 1
+        ? { type: 'isochrone', places, minutes: Math.round(intent.minutes), travelMode: TRAVEL_WORDS[travelMode] || 'driving' }
+        : null;
+    case 'itinerary':
+      return { type: 'itinerary', days: Number.isInteger(intent.days) && intent.days > 0 ? intent.days : null };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Short message describing what a question intent will show
+ * @param {Object} intent - Intent from detectIntent
+ * @returns {string} - Message for the user
+ */
+export function describeIntent(intent) {
+  const [first, second] = intent.places || [];
+  switch (intent.type) {
+    case 'where-is':
+      return `Finding ${first} on the map.`;
+    case 'distance':
+      return `Measuring the distance from ${first} to ${second}.`;
+    case 'nearby':
+      return `Looking for ${intent.category || 'places'} near ${intent.nearUser ? 'you' : first}.`;
+    case 'isochrone':
+      return `Showing how far you can get by ${intent.travelMode} in ${intent.minutes} minutes${intent.nearUser ? ' from your location' : first ? ` from ${first}` : ''}.`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Split a trip into days
+ * Legs are spread evenly over the days; when there are more days than legs,
+ * the spare days are spent at a stop
+ * @param {Array<string>} sequence - Place names in travel order
+ * @param {number|null} days - Requested number of days, or null for one leg per day
+ * @returns {Array<Object>} - [{day, places, stay}] where stay marks a day without travel
+ */
+export function planItineraryDays(sequence, days) {
+  const legs = Math.max(0, sequence.length - 1);
+  const dayCount = Math.max(1, days || legs);
+  const plan = [];
+
+  for (let day = 0; day < dayCount; day++) {
+    const firstLeg = Math.round(day * legs / dayCount);
+    const lastLeg = Math.round((day + 1) * legs / dayCount);
+    plan.push(lastLeg > firstLeg
+      ? { day: day + 1, places: sequence.slice(firstLeg, lastLeg + 1), stay: false }
+      : { day: day + 1, places: [sequence[firstLeg]], stay: true });
+  }
+
+  return plan;
+}
+
+/**
+ * Parse "how far can I walk in 20 minutes from X"
+ * @param {string} query - Normalized query
+ * @returns {Object|null} - {type: 'isochrone', places, minutes, travelMode}, or null without a travel time
+ */
+function parseIsochrone(query) {
+  const match = query.match(ISOCHRONE_PATTERN);
+  if (!match) return null;
+
+  const rest = match[2] !== undefined ? match[2] : match[3];
+  const time = rest.match(ISOCHRONE_TIME_PATTERN);
+  if (!time) return null;
+
+  const amount = /^half/i.test(time[1]) ? 0.5 : NUMBER_WORDS[time[1].toLowerCase()] || parseFloat(time[1]);
+  const minutes = Math.round(/^h/i.test(time[2]) ? amount * 60 : amount);
+
+  const modeWord = (rest.match(/\b(?:by (car|bike|bicycle)|on (foot)|(walking|cycling|driving))\b/i) || []).slice(1).find(Boolean);
+  const travelMode = TRAVEL_WORDS[(modeWord || match[1] || '').toLowerCase()] || 'driving';
+
+  // "From here" starts at the user's position; without an origin the map centre is used
+  const origin = rest.replace(ISOCHRONE_TIME_PATTERN, '').match(/\bfrom (.+?)(?= (?:by|on|walking|cycling|driving)\b|$)/i);
+  const nearUser = Boolean(origin) && USER_POSITION_PATTERN.test(cleanPlace(origin[1]));
+  return {
+    type: 'isochrone',
+    places: origin && !nearUser ? [cleanPlace(origin[1])] : [],
+    minutes,
+    travelMode,
+    ...(nearUser ? { nearUser } : {})
+  };
+}
+
+/**
+ * Read the trip length from an itinerary request
+ * @param {string} query - Normalized query
+ * @returns {number|null} - Number of days, or null when not given
+ */
+function parseDays(query) {
+  const days = query.match(/\b(\d+|[a-z]+)[- ]days?\b/i);
+  if (days) {
+    const count = NUMBER_WORDS[days[1].toLowerCase()] || parseInt(days[1], 10);
+    if (count > 0) return count;
+  }
+
+  const weeks = query.match(/\b(a|one|two)[- ]weeks?\b/i);
+  if (weeks) return NUMBER_WORDS[weeks[1].toLowerCase()] * 7;
+
+  return /\bweekend\b/i.test(query) ? 2 : null;
+}
+
+/**
+ * Check whether a captured place is really part of a route request
+ * @param {string} place - Captured text
+ * @returns {boolean} - True for "the route from A to B" and similar
+ */
+function isRouteLike(place) {
+  return /\b(?:route|directions|way|from|to)\b/i.test(place);
+}
+
+/**
+ * Tidy a captured place name
+ * @param {string} place - Captured text
+ * @returns {string} - Name without surrounding quotes or punctuation
+ */
+function cleanPlace(place) {
+  return place.trim().replace(/^["'“”]+|["'“”,;:]+$/g, '').trim();
+}
@@ -0,0 +1,287 @@
+/**
+ * Per-language keyword packs for the rule-based parsers
+ * Each pack lists the route connectors, travel mode words and avoidance
+ * phrases for one language, plus the wording of rule-based reply messages
+ */
+
+/**
+ * Language packs keyed by ISO 639-1 code
+ * route.*   - connector phrases consumed by the route grammar; "particles" are
+ *             connectors that may also sit inside a name ("Rio de Janeiro"); "back" and
+ *             "loop" phrases make the route return to its origin; "exclude" phrases name
+ *             places to stay clear of, unless every word is one of the "roadWords"
+ *             ("avoid tolls" is an avoidance preference, not a place); "legModes" are the
+ *             mode phrases of each travel mode, giving the leg they belong to its mode;
+ *             "legPositions" name a leg by its place in the route ("walk the last part");
+ *             "arrive" phrases introduce the destination unless a time follows them ("arrive at 5pm")
+ * modes.*   - patterns that select a travel mode
+ * avoid.*   - patterns that select an avoidance preference
+ * optimize.* - patterns that select the fastest, shortest or scenic route
+ * markers   - words that are characteristic of the language, used for detection
+ */
+export const LANGUAGE_PACKS = {
+  en: {
+    code: 'en',
+    name: 'English',
+    route: {
+      from: ['from', 'starting at', 'starting from', 'beginning at', 'leaving from'],
+      to: ['to', 'towards', 'toward', 'into', 'ending at', '→', '->'],
+      arrive: ['arrive in', 'arrive at', 'arriving in', 'arriving at'],
+      via: ['via', 'through', 'thru', 'by way of', 'passing through', 'stopping at', 'stopping in', 'stop at', 'stop in', 'stops at', 'stops in'],
+      between: ['between'],
+      then: ['then', 'and then', 'then to', 'and then to', 'after that'],
+      back: ['and back', 'and return', 'and then back', 'and back again', 'back to the start', 'round trip', 'return trip'],
+      loop: ['starting and ending at', 'starting and ending in', 'start and end at', 'start and end in', 'beginning and ending at', 'loop from', 'loop starting at', 'loop starting from', 'circuit from'],
+      and: ['and', '&'],
+      stop: ['without', 'no tolls', 'no highways', 'no ferries'],
+      legModes: {
+        driving: ['drive', 'driving', 'by car', 'take the car', 'take a car', 'in the car'],
+        walking: ['walk', 'walking', 'hike', 'hiking', 'on foot', 'go on foot'],
+        cycling: ['cycle', 'cycling', 'bike', 'biking', 'by bike', 'by bicycle', 'ride a bike', 'take a bike', 'take the bike'],
+        transit: ['by bus', 'by train', 'by transit', 'take the bus', 'take the train']
+      },
+      legPositions: {
+        first: ['the first part', 'the first leg', 'the first bit', 'the first stretch'],
+        last: ['the last part', 'the last leg', 'the last bit', 'the last stretch', 'the final part', 'the final leg', 'the final stretch', 'the rest of the way']
+      },
+      exclude: ['avoid', 'avoiding', 'not through', 'not via', 'but not through', 'but not via', 'bypassing', 'staying out of', 'stay out of', 'keeping out of', 'without going through', 'without passing through'],
+      roadWords: ['the', 'toll', 'tolls', 'roads', 'busy', 'main', 'major', 'traffic', 'highway', 'highways', 'freeway', 'freeways', 'motorway', 'motorways', 'interstate', 'interstates', 'ferry', 'ferries']
+    },
+    modes: {
+      walking: /\b(walk|walking|on foot|hike|hiking)\b/i,
+      cycling: /\b(cycl\w*|bike|biking|bicycle)\b/i,
+      transit: /\b(transit|bus|train|subway|metro)\b/i
+    },
+    avoid: {
+      tolls: /\b(no|avoid(?:ing)?|without)\s+tolls?\b/i,
+      highways: /\b(no|avoid(?:ing)?|without)\s+(highways?|freeways?|motorways?)\b/i,
+      ferries: /\b(no|avoid(?:ing)?|without)\s+ferr(y|ies)\b/i
+    },
+    optimize: {
+      fastest: /\b(fastest|quickest)\b/i,
+      shortest: /\bshortest\b/i,
+      scenic: /\b(scenic|picturesque)\b/i
+    },
+    markers: ['the', 'from', 'to', 'and', 'route', 'with', 'by', 'avoid', 'walk', 'drive', 'show', 'me', 'directions', 'between', 'via', 'through', 'of', 'is', 'in'],
+    modeNames: { driving: 'driving', walking: 'walking', cycling: 'cycling', transit: 'transit' },
+    messages: {
+      route: (mode, waypoints) => `Creating a ${mode} route from ${waypoints[0]} to ${waypoints[waypoints.length - 1]}`,
+      multiStop: (mode, waypoints) => `Creating a ${mode} route with multiple stops: ${waypoints.join(' → ')}`
+    }
+  },
+  es: {
+    code: 'es',
+    name: 'Spanish',
+    route: {
+      from: ['de', 'desde', 'saliendo de'],
+      to: ['a', 'al', 'hasta', 'hacia', 'hasta llegar a', '→', '->'],
+      via: ['por', 'vía', 'via', 'pasando por', 'a través de'],
+      between: ['entre'],
+      then: ['luego', 'después', 'y luego', 'y después', 'luego a', 'y luego a'],
+      back: ['y vuelta', 'ida y vuelta', 'y regreso', 'y volver'],
+      loop: ['empezando y terminando en', 'saliendo y volviendo a', 'circuito desde', 'circuito por'],
+      and: ['y', 'e', '&'],
+      particles: ['de', 'del'],
+      stop: ['sin'],
+      legModes: {
+        driving: ['en coche', 'en carro', 'en auto', 'conduciendo'],
+        walking: ['a pie', 'andando', 'caminando'],
+        cycling: ['en bici', 'en bicicleta'],
+        transit: ['en autobús', 'en tren']
+      },
+      exclude: ['evitando', 'evitar', 'sin pasar por', 'pero no por', 'no por'],
+      roadWords: ['el', 'la', 'los', 'las', 'peaje', 'peajes', 'autopista', 'autopistas', 'autovía', 'autovías', 'ferri', 'ferris', 'ferry', 'ferrys', 'transbordador', 'transbordadores']
+    },
+    modes: {
+      walking: /\b(a pie|andando|caminando|caminar|senderismo)\b/i,
+      cycling: /\b(bici|bicicleta|en bici)\b/i,
+      transit: /\b(autobús|autobus|tren|metro|transporte público)\b/i
+    },
+    avoid: {
+      tolls: /\b(sin|evitando|evitar)\s+(los\s+)?peajes?\b/i,
+      highways: /\b(sin|evitando|evitar)\s+(las\s+)?(autopistas?|autovías?)\b/i,
+      ferries: /\b(sin|evitando|evitar)\s+(los\s+)?(ferris?|ferrys?|transbordadores?)\b/i
+    },
+    optimize: {
+      fastest: /(más rápid[ao]|mas rapid[ao])/i,
+      shortest: /(más cort[ao]|mas cort[ao])/i,
+      scenic: /(panorámic[ao]|pintoresc[ao]|escénic[ao])/i
+    },
+    markers: ['de', 'desde', 'hasta', 'a', 'y', 'en', 'por', 'ruta', 'sin', 'el', 'la', 'los', 'las', 'coche', 'bici', 'pie', 'luego', 'entre', 'cómo', 'llegar', 'peajes', 'muéstrame'],
+    modeNames: { driving: 'en coche', walking: 'a pie', cycling: 'en bicicleta', transit: 'en transporte público' },
+    messages: {
+      route: (mode, waypoints) => `Creando una ruta ${mode} de ${waypoints[0]} a ${waypoints[waypoints.length - 1]}`,
+      multiStop: (mode, waypoints) => `Creando una ruta ${mode} con varias paradas: ${waypoints.join(' → ')}`
+    }
+  },
+  de: {
+    code: 'de',
+    name: 'German',
+    route: {
+      from: ['von', 'ab', 'aus'],
+      to: ['nach', 'bis', 'zum', 'zur', 'bis nach', '→', '->'],
+      via: ['über', 'via', 'durch'],
+      between: ['zwischen'],
+      then: ['dann', 'danach', 'und dann', 'dann nach', 'und dann nach'],
+      back: ['und zurück', 'hin und zurück', 'und wieder zurück'],
+      loop: ['mit start und ziel in', 'rundtour ab', 'rundweg ab', 'rundfahrt ab', 'rundfahrt von'],
+      and: ['und', '&'],
+      stop: ['ohne'],
+      legModes: {
+        driving: ['mit dem auto'],
+        walking: ['zu fuß', 'zu fuss'],
+        cycling: ['mit dem rad', 'mit dem fahrrad', 'per rad', 'per fahrrad'],
+        transit: ['mit dem zug', 'mit dem bus']
+      },
+      exclude: ['meide', 'vermeide', 'nicht über', 'nicht durch', 'aber nicht über', 'aber nicht durch', 'ohne durch'],
+      roadWords: ['die', 'den', 'maut', 'mautstraßen', 'autobahn', 'autobahnen', 'fähre', 'fähren']
+    },
+    modes: {
+      walking: /(zu fuß|zu fuss|wandern|laufen|gehen)/i,
+      cycling: /\b(rad|fahrrad|radfahren)\b/i,
+      transit: /\b(zug|bahn|bus|öpnv|u-bahn|s-bahn)\b/i
+    },
+    avoid: {
+      tolls: /\b(ohne|vermeide\w*|meide\w*)\s+(maut\w*)/i,
+      highways: /\b(ohne|vermeide\w*|meide\w*)\s+(autobahn\w*)/i,
+      ferries: /\b(ohne|vermeide\w*|meide\w*)\s+(fähre\w*|faehre\w*)/i
+    },
+    optimize: {
+      fastest: /schnellste/i,
+      shortest: /kürzeste|kuerzeste/i,
+      scenic: /(landschaftlich|malerisch|panorama)/i
+    },
+    markers: ['von', 'nach', 'und', 'über', 'mit', 'ohne', 'zu', 'fuß', 'der', 'die', 'das', 'dem', 'zwischen', 'dann', 'zurück', 'fahrrad', 'auto', 'maut', 'autobahn', 'zeig', 'mir', 'wie', 'komme', 'ich'],
+    modeNames: { driving: 'mit dem Auto', walking: 'zu Fuß', cycling: 'mit dem Fahrrad', transit: 'mit öffentlichen Verkehrsmitteln' },
+    messages: {
+      route: (mode, waypoints) => `Erstelle eine Route ${mode} von ${waypoints[0]} nach ${waypoints[waypoints.length - 1]}`,
+      multiStop: (mode, waypoints) => `Erstelle eine Route ${mode} mit mehreren Stopps: ${waypoints.join(' → ')}`
+    }
+  },
+  fr: {
+    code: 'fr',
+    name: 'French',
+    route: {
+      from: ['de', 'du', 'depuis', 'au départ de'],
+      to: ['à', 'a', 'au', 'vers', "jusqu'à", '→', '->'],
+      via: ['par', 'via', 'en passant par'],
+      between: ['entre'],
+      then: ['puis', 'ensuite', 'et puis', 'puis à', 'ensuite à'],
+      back: ['et retour', 'aller-retour', 'aller retour', 'et revenir'],
+      loop: ['en partant et en revenant à', 'boucle depuis', 'boucle au départ de', 'circuit au départ de'],
+      and: ['et', '&'],
+      particles: ['de', 'du'],
+      stop: ['sans'],
+      legModes: {
+        driving: ['en voiture'],
+        walking: ['à pied', 'a pied'],
+        cycling: ['à vélo', 'a velo', 'en vélo'],
+        transit: ['en bus', 'en train']
+      },
+      exclude: ['en évitant', 'éviter', 'sans passer par', 'mais pas par', 'pas par'],
+      roadWords: ['le', 'la', 'les', 'péage', 'péages', 'autoroute', 'autoroutes', 'ferry', 'ferrys', 'bac', 'bacs']
+    },
+    modes: {
+      walking: /(à pied|a pied|marche|randonnée)/i,
+      cycling: /(vélo|velo|bicyclette)/i,
+      transit: /\b(bus|train|métro|metro|transports? en commun)\b/i
+    },
+    avoid: {
+      tolls: /(sans|en évitant|éviter)\s+(les\s+)?péages?/i,
+      highways: /(sans|en évitant|éviter)\s+(les\s+)?autoroutes?/i,
+      ferries: /(sans|en évitant|éviter)\s+(les\s+)?(ferrys?|bacs?)/i
+    },
+    optimize: {
+      fastest: /plus rapide/i,
+      shortest: /plus court/i,
+      scenic: /(pittoresque|panoramique|touristique)/i
+    },
+    markers: ['de', 'du', 'à', 'et', 'par', 'sans', 'en', 'vélo', 'voiture', 'pied', 'le', 'la', 'les', 'itinéraire', 'péage', 'péages', 'puis', 'entre', 'montre', 'moi', 'aller', 'comment'],
+    modeNames: { driving: 'en voiture', walking: 'à pied', cycling: 'à vélo', transit: 'en transports en commun' },
+    messages: {
+      route: (mode, waypoints) => `Création d'un itinéraire ${mode} de ${waypoints[0]} à ${waypoints[waypoints.length - 1]}`,
+      multiStop: (mode, waypoints) => `Création d'un itinéraire ${mode} avec plusieurs étapes : ${waypoints.join(' → ')}`
+    }
+  }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+/**
+ * Get a language pack, falling back to English
+ * @param {string} code - ISO 639-1 language code
+ * @returns {Object} - Language pack
+ */
+export function getLanguagePack(code) {
+  return LANGUAGE_PACKS[code] || LANGUAGE_PACKS[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Detect the language of a query by counting characteristic words
+ * Short queries are mostly connectors and place names, so ties go to English
+ * @param {string} text - Input text
+ * @returns {Object} - {language, confidence}
+ */
+export function detectLanguage(text) {
+  if (!text) return { language: DEFAULT_LANGUAGE, confidence: 0 };
+
+  const words = text.toLowerCase().match(/[\p{L}'’]+/gu) || [];
+  const scores = {};
+  let total = 0;
+
+  Object.values(LANGUAGE_PACKS).forEach(pack => {
+    const markers = new Set(pack.markers);
+    scores[pack.code] = words.filter(word => markers.has(word)).length;
+    total += scores[pack.code];
+  });
+
+  // Accented letters that only one of the languages uses are strong hints
+  if (/[ñ¿¡]/.test(text)) scores.es += 2;
+  if (/[äöüß]/i.test(text)) scores.de += 2;
+  if (/[àâçèêëîôùû]/i.test(text)) scores.fr += 2;
+
+  let best = DEFAULT_LANGUAGE;
+  Object.keys(scores).forEach(code => {
+    if (scores[code] > scores[best]) best = code;
+  });
+
+  return {
+    language: best,
+    confidence: total > 0 ? Math.min(1, scores[best] / total) : 0
+  };
+}
+
+/**
+ * Detect the travel mode with a language pack
+ * @param {string} text - Input text
+ * @param {Object} pack - Language pack
+ * @returns {string} - "walking", "cycling", "transit" or "driving"
+ */
+export function detectTravelModeForLanguage(text, pack) {
+  const mode = ['walking', 'cycling', 'transit'].find(m => pack.modes[m].test(text));
+  return mode || 'driving';
+}
+
+/**
+ * Detect the optimization goal with a language pack
+ * @param {string} text - Input text
+ * @param {Object} pack - Language pack
+ * @returns {string|null} - "fastest", "shortest", "scenic" or null
+ */
+export function detectOptimizationForLanguage(text, pack) {
+  return ['fastest', 'shortest', 'scenic'].find(goal => pack.optimize[goal].test(text)) || null;
+}
+
+/**
+ * Detect avoidance preferences with a language pack
+ * @param {string} text - Input text
+ * @param {Object} pack - Language pack
+ * @returns {Object} - {avoidTolls, avoidHighways, avoidFerries}
+ */
+export function detectAvoidancesForLanguage(text, pack) {
+  return {
+    avoidTolls: pack.avoid.tolls.test(text),
+    avoidHighways: pack.avoid.highways.test(text),
+    avoidFerries: pack.avoid.ferries.test(text)
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * Travel modes per leg
+ * A trip such as "drive to Boulder, then walk to Chautauqua Park" has a mode
+ * for each leg. The route grammar notes the mode named for each leg; this
+ * module fills in the legs the query leaves open, styles the route line by
+ * mode and totals distance and time per mode
+ */
+
+import { TRAVEL_MODES } from './extraction-schema.js';
+
+// Mode used for a first leg the query names no mode for
+const DEFAULT_LEG_MODE = 'driving';
+
+/**
+ * Route line style for each mode
+ * color - line color
+ * width - line width in pixels
+ */
+export const LEG_MODE_STYLES = {
+  driving: { color: '#00a0f0', width: 3 },
+  walking: { color: '#2e7d32', width: 4 },
+  cycling: { color: '#ef6c00', width: 4 },
+  transit: { color: '#8e24aa', width: 4 }
+};
+
+/**
+ * Fill in the mode of every leg of a mixed-mode trip
+ * A leg with no mode of its own continues in the previous leg's mode; the
+ * first one defaults to driving
+ * @param {Array<string|null>} legModes - Mode per leg, null where the query names none
+ * @returns {Array<string>|null} - Mode per leg, or null when the trip uses a single mode throughout
+ */
+export function resolveLegModes(legModes) {
+  if (!Array.isArray(legModes) || !legModes.some(mode => TRAVEL_MODES.includes(mode))) return null;
+
+  const resolved = [];
+  legModes.forEach((mode, index) => {
+    resolved.push(TRAVEL_MODES.includes(mode) ? mode : (index > 0 ? resolved[index - 1] : DEFAULT_LEG_MODE));
+  });
+  return new Set(resolved).size > 1 ? resolved : null;
+}
+
+/**
+ * Total the distance and duration of the legs travelled in each mode
+ * @param {Array<Object>} legs - Legs as {mode, distance, duration}, distance in meters and duration in seconds
+ * @returns {Array<Object>} - {mode, distance, duration} per mode, in the order the modes first appear
+ */
+export function totalsByMode(legs) {
+  const totals = [];
+  legs.forEach(leg => {
+    let total = totals.find(item => item.mode === leg.mode);
+    if (!total) {
+      total = { mode: leg.mode, distance: 0, duration: 0 };
+      totals.push(total);
+    }
+    total.distance += leg.distance;
+    total.duration += leg.duration;
+  });
+  return totals;
+}
+
+/**
+ * Build a data-driven style expression reading the mode feature property
+ * @param {string} key - Style key, "color" or "width"
+ * @returns {Array} - Mapbox GL match expression
+ */
+export function legModeExpression(key) {
+  const cases = Object.entries(LEG_MODE_STYLES).flatMap(([mode, style]) => [mode, style[key]]);
+  return ['match', ['get', 'mode'], ...cases, LEG_MODE_STYLES[DEFAULT_LEG_MODE][key]];
+}
@@ -0,0 +1,398 @@
+/**
+ * LLM provider layer for the NLP pipeline
+ * Every provider turns a prompt into the raw text of the model's reply, so the
+ * extraction code does not need to know which model or endpoint answered it.
+ * Providers whose models support structured output also have
+ * generateStructured, which asks for the reply as the arguments of a function
+ * declaration (Gemini and OpenAI-compatible tool calling) or as JSON
+ * constrained to its parameter schema (Ollama and llama.cpp)
+ */
+
+// Provider used when nothing else has been configured
+const DEFAULT_PROVIDER_CONFIG = { type: 'gemini' };
+
+// Factories for the built-in providers, keyed by config type
+const providerFactories = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  local: createLocalProvider,
+  stub: createStubProvider
+};
+
+let activeConfig = null;
+let activeProvider = null;
+
+/**
+ * Select the provider used by processNaturalLanguageInput
+ * @param {Object} config - Provider configuration
+ * @param {string} config.type - One of "gemini", "openai", "local", "stub" or a registered type
+ * @param {string} [config.endpoint] - Override for the provider's URL; required for "openai", which has no backend route of its own
+ * @param {string} [config.model] - Model name sent to OpenAI-compatible and local servers
+ * @param {string} [config.apiKey] - Bearer token for OpenAI-compatible endpoints
+ * @param {string} [config.flavor] - "ollama" or "llamacpp" for the local provider
+ * @param {Object} [config.fixtures] - Input text to response text map for the stub provider
+ * @param {Function} [config.respond] - Custom responder for the stub provider
+ * @param {boolean} [config.structuredOutput] - False for models without tool calling or schema support, to use free-text replies
+ */
+export function configureLLMProvider(config) {
+  if (!config || !providerFactories[config.type]) {
+    throw new Error(`Unknown LLM provider type: ${config && config.type}`);
+  }
+
+  activeConfig = { ...config };
+  activeProvider = null;
+  console.log('LLM provider configured:', activeConfig.type);
+}
+
+/**
+ * Register an additional provider type
+ * @param {string} type - Name used in the provider config
+ * @param {Function} factory - Function taking the config and returning a provider
+ */
+export function registerLLMProvider(type, factory) {
+  providerFactories[type] = factory;
+}
+
+/**
+ * Get the currently configured provider, creating it on first use
+ * A page can preconfigure the provider by setting window.NLP_LLM_CONFIG before the modules load
+ * @returns {Object} - Provider with a name, an async generate(prompt, context) method and,
+ *   when the model supports structured output, an async generateStructured(prompt, declaration, context) method
+ */
+export function getLLMProvider() {
+  if (activeProvider) return activeProvider;
+
+  if (!activeConfig) {
+    const globalConfig = typeof globalThis !== 'undefined' ? globalThis.NLP_LLM_CONFIG : null;
+    activeConfig = globalConfig && globalConfig.type ? { ...globalConfig } : { ...DEFAULT_PROVIDER_CONFIG };
+  }
+
+  const provider = providerFactories[activeConfig.type](activeConfig);
+  activeProvider = activeConfig.structuredOutput === false
+    ? { name: provider.name, generate: provider.generate }
+    : provider;
+  return activeProvider;
+}
+
+/**
+ * Get the base URL of our backend, matching the rest of the app
+ * @returns {string} - Base URL, empty when running on localhost
+ */
+function getApiUrl() {
+  if (typeof window === 'undefined') return '';
+  return window.location.hostname === 'localhost' ? '' : window.location.origin;
+}
+
+/**
+ * POST a JSON body and return the parsed JSON response
+ * @param {string} url - Request URL
+ * @param {Object} body - Request body
+ * @param {string} label - Provider name used in error messages
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function postJson(url, body, label, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const error = new Error(`${label} request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+// Statuses with which servers reject tool or schema fields they do not support
+const UNSUPPORTED_REQUEST_STATUSES = [400, 404, 422, 501];
+
+/**
+ * Create the error a provider throws when its model or server cannot give a structured reply
+ * The extraction code catches it and asks again for free text
+ * @param {string} message - What was missing
+ * @returns {Error} - Error with structuredOutputUnsupported set
+ */
+function structuredOutputUnsupported(message) {
+  const error = new Error(message);
+  error.structuredOutputUnsupported = true;
+  return error;
+}
+
+/**
+ * POST a structured-output request, reporting a rejected request as unsupported
+ * @param {string} url - Request URL
+ * @param {Object} body - Request body
+ * @param {string} label - Provider name used in error messages
+ * @param {Object} [headers] - Extra request headers
+ * @returns {Promise<Object>} - Parsed response body
+ */
+async function postStructuredJson(url, body, label, headers = {}) {
+  try {
+    return await postJson(url, body, label, headers);
+  } catch (error) {
+    if (UNSUPPORTED_REQUEST_STATUSES.includes(error.status)) {
+      throw structuredOutputUnsupported(`${label} rejected the structured output request (status ${error.status})`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Convert a validator schema to the subset of JSON Schema model APIs accept
+ * Keeps type, description, enum, properties, required and items; Gemini
+ * additionally wants upper-case type names
+ * @param {Object} schema - Schema in the form of EXTRACTION_RESULT_SCHEMA
+ * @param {boolean} [upperCaseTypes] - Write types as "OBJECT", "STRING", ...
+ * @returns {Object} - Converted schema
+ */
+function toModelSchema(schema, upperCaseTypes = false) {
+  const converted = { type: upperCaseTypes ? schema.type.toUpperCase() : schema.type };
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toModelSchema(value, upperCaseTypes)])
+    );
+  }
+  if (schema.required) converted.required = schema.required;
+  if (schema.items) converted.items = toModelSchema(schema.items, upperCaseTypes);
+  return converted;
+}
+
+/**
+ * Gemini through our /api/gemini proxy
+ * @param {Object} config - Provider configuration
+ * @returns {Object} - Provider
+ */
+function createGeminiProvider(config) {
+  return {
+    name: 'gemini',
+    async generate(prompt) {
+      const endpoint = config.endpoint || `${getApiUrl()}/api/gemini`;
+      const data = await postJson(endpoint, {
+        contents: [{
+          parts: [{
+            text: prompt
+          }]
+        }]
+      }, 'Gemini API');
+
+      if (!data.candidates || data.candidates.length === 0) {
+        throw new Error('No response from Gemini API');
+      }
+
+      return data.candidates[0].content.parts[0].text;
+    },
+
+    async generateStructured(prompt, declaration) {
+      const endpoint = config.endpoint || `${getApiUrl()}/api/gemini`;
+      const data = await postStructuredJson(endpoint, {
+        contents: [{
+          parts: [{
+            text: prompt
+          }]
+        }],
+        tools: [{
+          functionDeclarations: [{
+            name: declaration.name,
+            description: declaration.description,
+            parameters: toModelSchema(declaration.parameters, true)
+          }]
+        }],
+        toolConfig: {
+          functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [declaration.name] }
+        }
+      }, 'Gemini API');
+
+      if (!data.candidates || data.candidates.length === 0) {
+        throw new Error('No response from Gemini API');
+      }
+
+      const parts = (data.candidates[0].content && data.candidates[0].content.parts) || [];
+      const call = parts.find(part => part.functionCall && part.functionCall.name === declaration.name);
+      if (!call) {
+        throw structuredOutputUnsupported(`Gemini API did not call ${declaration.name}`);
+      }
+      return call.functionCall.args || {};
+    }
+  };
+}
+
+/**
+ * Any endpoint that speaks the OpenAI chat completions format (vLLM, LM Studio, hosted APIs)
+ * The backend only proxies Gemini, so the endpoint must be configured
+ * @param {Object} config - Provider configuration
+ * @returns {Object} - Provider
+ */
+function createOpenAICompatibleProvider(config) {
+  if (!config.endpoint) {
+    throw new Error('The "openai" LLM provider needs an endpoint: set config.endpoint to a chat completions URL, such as a vLLM or LM Studio server or a proxy in front of a hosted API');
+  }
+  const endpoint = config.endpoint;
+
+  return {
+    name: 'openai',
+    async generate(prompt) {
+      const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+      const data = await postJson(endpoint, {
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0
+      }, 'OpenAI-compatible API', headers);
+
+      if (!data.choices || data.choices.length === 0 || !data.choices[0].message) {
+        throw new Error('No response from OpenAI-compatible API');
+      }
+
+      return data.choices[0].message.content;
+    },
+
+    async generateStructured(prompt, declaration) {
+      const headers = config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {};
+      const data = await postStructuredJson(endpoint, {
+        model: config.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0,
+        tools: [{
+          type: 'function',
+          function: {
+            name: declaration.name,
+            description: declaration.description,
+            parameters: toModelSchema(declaration.parameters)
+          }
+        }],
+        tool_choice: { type: 'function', function: { name: declaration.name } }
+      }, 'OpenAI-compatible API', headers);
+
+      if (!data.choices || data.choices.length === 0 || !data.choices[0].message) {
+        throw new Error('No response from OpenAI-compatible API');
+      }
+
+      const call = (data.choices[0].message.tool_calls || [])
+        .find(toolCall => toolCall.function && toolCall.function.name === declaration.name);
+      if (!call) {
+        throw structuredOutputUnsupported(`OpenAI-compatible API did not call ${declaration.name}`);
+      }
+      // Arguments arrive as a JSON string, which the extraction code parses and validates
+      return call.function.arguments;
+    }
+  };
+}
+
+/**
+ * A self-hosted model server, either Ollama (/api/generate) or llama.cpp (/completion)
+ * @param {Object} config - Provider configuration
+ * @returns {Object} - Provider
+ */
+function createLocalProvider(config) {
+  const flavor = config.flavor || 'ollama';
+
+  /**
+   * Send a prompt, optionally constraining the reply to a JSON schema
+   * @param {string} prompt - Prompt text
+   * @param {Object} [schema] - JSON Schema the reply must follow
+   * @returns {Promise<string>} - Reply text
+   */
+  async function complete(prompt, schema) {
+    const send = schema ? postStructuredJson : postJson;
+
+    if (flavor === 'llamacpp') {
+      const endpoint = config.endpoint || 'http://localhost:8080/completion';
+      const data = await send(endpoint, {
+        prompt,
+        temperature: 0,
+        n_predict: config.maxTokens || 1024,
+        ...(schema ? { json_schema: schema } : {})
+      }, 'llama.cpp server');
+
+      if (typeof data.content !== 'string') {
+        throw new Error('No response from llama.cpp server');
+      }
+      return data.content;
+    }
+
+    const endpoint = config.endpoint || 'http://localhost:11434/api/generate';
+    const data = await send(endpoint, {
+      model: config.model,
+      prompt,
+      stream: false,
+      options: { temperature: 0 },
+      ...(schema ? { format: schema } : {})
+    }, 'Ollama server');
+
+    if (typeof data.response !== 'string') {
+      throw new Error('No response from Ollama server');
+    }
+    return data.response;
+  }
+
+  return {
+    name: 'local',
+    async generate(prompt) {
+      return complete(prompt);
+    },
+
+    // Both servers constrain decoding to the schema, so the reply is the JSON arguments as text
+    async generateStructured(prompt, declaration) {
+      return complete(prompt, toModelSchema(declaration.parameters));
+    }
+  };
+}
+
+/**
+ * Deterministic provider for CI and offline work
+ * Looks up the user's input in the fixtures map, then falls back to the respond
+ * callback, then to an empty non-route result
+ * @param {Object} config - Provider configuration
+ * @returns {Object} - Provider
+ */
+function createStubProvider(config) {
+  const fixtures = config.fixtures || {};
+
+  /**
+   * Find the recorded reply for a prompt
+   * @param {string} prompt - Prompt text
+   * @param {Object} context - Context passed to generate, with the input text
+   * @returns {Promise<Object|string>} - Fixture object or reply text
+   */
+  async function reply(prompt, context) {
+    const inputText = context.inputText || '';
+
+    if (Object.prototype.hasOwnProperty.call(fixtures, inputText)) {
+      return fixtures[inputText];
+    }
+
+    if (typeof config.respond === 'function') {
+      return config.respond(prompt, context);
+    }
+
+    return {
+      isRouteRequest: false,
+      locations: [],
+      travelMode: 'driving',
+      preferences: [],
+      message: 'No fixture recorded for this input.',
+      suggestedSequence: []
+    };
+  }
+
+  return {
+    name: 'stub',
+    async generate(prompt, context = {}) {
+      const answer = await reply(prompt, context);
+      return typeof answer === 'string' ? answer : JSON.stringify(answer);
+    },
+
+    // Object fixtures stand in for function call arguments
+    async generateStructured(prompt, declaration, context = {}) {
+      return reply(prompt, { ...context, declaration });
+    }
+  };
+}
@@ -0,0 +1,93 @@
+/**
+ * Confidence scores for extracted locations
+ * Every location carries a source tag saying which extractor produced it and
+ * a confidence between 0 and 1; low scores are confirmed by the user before geocoding
+ */
+
+import { lookupPlace, getPlacePrior } from './gazetteer.js';
+import { parseCoordinateLiteral } from './coordinates.js';
+
+/**
+ * Base confidence for each extraction source
+ * coordinate    - a coordinate literal ("37.7749,-122.4194"), placed without geocoding
+ * user          - typed or accepted by the user
+ * example       - curated example result
+ * route-grammar - waypoint introduced by an explicit connector ("from", "to", "via")
+ * intent        - place asked about in a question ("where is X", "how far is X from Y")
+ * llm           - returned by the LLM provider
+ * gazetteer     - recognized in prose by the offline gazetteer
+ * alias         - a nickname or abbreviation from the place alias dictionary ("Big Apple")
+ * common-list   - matched against the built-in list of well-known places
+ * indicator     - unknown capitalized words after "in", "city of", ...
+ * capitalized   - any capitalized word sequence
+ * token         - words after "from"/"to" with no other evidence
+ */
+const SOURCE_CONFIDENCE = {
+  coordinate: 1,
+  user: 1,
+  example: 0.95,
+  'route-grammar': 0.85,
+  intent: 0.85,
+  llm: 0.8,
+  gazetteer: 0.75,
+  alias: 0.75,
+  'common-list': 0.6,
+  indicator: 0.4,
+  capitalized: 0.35,
+  token: 0.2
+};
+
+// Locations below this score are shown as "needs confirmation"
+export const CONFIRMATION_THRESHOLD = 0.5;
+
+/**
+ * Attach a source tag and confidence score to a location
+ * Names the gazetteer knows are raised towards 1 in proportion to their prior;
+ * coordinate literals are exact and also get their parsed coordinates attached
+ * @param {Object} location - Location object with at least a name
+ * @param {string} source - Extraction source, one of the SOURCE_CONFIDENCE keys
+ * @returns {Object} - Copy of the location with source and confidence
+ */
+export function scoreLocation(location, source) {
+  const literal = parseCoordinateLiteral(location.name);
+  if (literal) {
+    return {
+      ...location,
+      ...(literal.coordinates ? { coordinates: literal.coordinates } : {}),
+      coordinateLiteral: literal,
+      source: 'coordinate',
+      confidence: SOURCE_CONFIDENCE.coordinate
+    };
+  }
+
+  let confidence = SOURCE_CONFIDENCE[source] !== undefined ? SOURCE_CONFIDENCE[source] : 0.5;
+
+  const entry = lookupPlace(location.name);
+  if (entry) {
+    const prior = location.prior !== undefined ? location.prior : getPlacePrior(entry);
+    confidence += (1 - confidence) * prior * 0.5;
+  }
+
+  return { ...location, source, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Score a list of locations that all came from the same source
+ * @param {Array<Object>} locations - Location objects
+ * @param {string} source - Extraction source
+ * @returns {Array<Object>} - Scored copies
+ */
+export function scoreLocations(locations, source) {
+  return locations.map(location => scoreLocation(location, location.source || source));
+}
+
+/**
+ * Check whether a location should be confirmed by the user before it is geocoded
+ * @param {Object} location - Scored location
+ * @returns {boolean} - True for unconfirmed low-confidence locations
+ */
+export function needsConfirmation(location) {
+  return typeof location.confidence === 'number' &&
+    location.confidence < CONFIRMATION_THRESHOLD &&
+    !location.confirmed;
+}
@@ -0,0 +1,111 @@
+/**
+ * Location types for map rendering
+ * Each placed location is classified as a sea, region, country, city,
+ * neighborhood or point of interest; suggested rest stops along a route have
+ * a type of their own. The type is stored in the feature properties, where the
+ * marker layers style it, and decides how far the map zooms in when a single
+ * place of that type is shown
+ */
+
+import { lookupPlace } from './gazetteer.js';
+
+export const LOCATION_TYPES = ['sea', 'region', 'country', 'city', 'neighborhood', 'poi', 'rest-stop'];
+
+// Type used when nothing points to a more specific one
+export const DEFAULT_LOCATION_TYPE = 'city';
+
+/**
+ * Marker style and zoom for each type
+ * radius - circle radius in pixels
+ * color  - circle fill color
+ * icon   - Maki icon from the map style's sprite, drawn over the circle
+ * zoom   - zoom level for a single place of this type
+ */
+export const LOCATION_TYPE_STYLES = {
+  sea: { radius: 14, color: '#1e88e5', icon: 'harbor', zoom: 4 },
+  region: { radius: 14, color: '#8e24aa', icon: 'marker', zoom: 3 },
+  country: { radius: 12, color: '#2e7d32', icon: 'embassy', zoom: 4 },
+  city: { radius: 8, color: '#B42222', icon: 'town', zoom: 10 },
+  neighborhood: { radius: 7, color: '#ef6c00', icon: 'village', zoom: 13 },
+  poi: { radius: 6, color: '#6d4c41', icon: 'attraction', zoom: 15 },
+  'rest-stop': { radius: 6, color: '#00897b', icon: 'fuel', zoom: 12 }
+};
+
+// Gazetteer feature classes by location type
+const FEATURE_CLASS_TYPES = {
+  sea: 'sea',
+  continent: 'region',
+  region: 'region',
+  country: 'country',
+  city: 'city',
+  neighborhood: 'neighborhood',
+  poi: 'poi'
+};
+
+// Mapbox geocoding place types by location type
+const PLACE_TYPE_TYPES = {
+  country: 'country',
+  region: 'region',
+  district: 'region',
+  place: 'city',
+  postcode: 'city',
+  locality: 'neighborhood',
+  neighborhood: 'neighborhood',
+  address: 'poi',
+  poi: 'poi'
+};
+
+// Words in a name that give away its type, for places the gazetteer does not know
+const NAME_PATTERNS = [
+  { type: 'sea', pattern: /\b(?:sea|ocean|gulf|bay|strait|channel|lake)\b/i },
+  { type: 'region', pattern: /\b(?:empire|kingdom|region|province|peninsula|desert|mountains|valley|coast)\b/i },
+  { type: 'neighborhood', pattern: /\b(?:district|quarter|neighbou?rhood|borough|arrondissement|barrio|kiez)\b/i },
+  { type: 'poi', pattern: /\b(?:park|museum|tower|bridge|square|station|airport|cathedral|church|temple|mosque|palace|castle|university|stadium|market|gardens?|zoo|memorial|monument|building|center|centre|hall|plaza)\b/i }
+];
+
+/**
+ * Classify a location for rendering
+ * Coordinate literals are points; otherwise the gazetteer's feature class is
+ * used, then telling words in the name
+ * @param {Object} location - Location object with a name, and optionally coordinateLiteral or locationType
+ * @returns {string} - One of LOCATION_TYPES
+ */
+export function classifyLocation(location) {
+  if (location.locationType && LOCATION_TYPES.includes(location.locationType)) return location.locationType;
+  if (location.coordinateLiteral) return 'poi';
+
+  const entry = lookupPlace(location.name);
+  if (entry && FEATURE_CLASS_TYPES[entry.featureClass]) return FEATURE_CLASS_TYPES[entry.featureClass];
+
+  const named = NAME_PATTERNS.find(({ pattern }) => pattern.test(location.name));
+  return named ? named.type : DEFAULT_LOCATION_TYPE;
+}
+
+/**
+ * Classify a geocoding result by the place type the geocoder gave it
+ * @param {Array<string>} placeTypes - The feature's place_type, e.g. ["region"]
+ * @returns {string|null} - One of LOCATION_TYPES, or null when no type is known
+ */
+export function classifyPlaceType(placeTypes) {
+  const known = (placeTypes || []).find(placeType => PLACE_TYPE_TYPES[placeType]);
+  return known ? PLACE_TYPE_TYPES[known] : null;
+}
+
+/**
+ * Zoom level for showing a single place of a type
+ * @param {string} locationType - Location type
+ * @returns {number} - Zoom level
+ */
+export function zoomForLocationType(locationType) {
+  return (LOCATION_TYPE_STYLES[locationType] || LOCATION_TYPE_STYLES[DEFAULT_LOCATION_TYPE]).zoom;
+}
+
+/**
+ * Build a data-driven style expression reading the locationType feature property
+ * @param {string} key - Style key, e.g. "radius" or "color"
+ * @returns {Array} - Mapbox GL match expression
+ */
+export function locationTypeExpression(key) {
+  const cases = LOCATION_TYPES.flatMap(type => [type, LOCATION_TYPE_STYLES[type][key]]);
+  return ['match', ['get', 'locationType'], ...cases, LOCATION_TYPE_STYLES[DEFAULT_LOCATION_TYPE][key]];
+}
@@ -2,6 +2,8 @@
 
 // Import configuration - no longer directly importing API keys
 // import config from './config.js';
+import { prepareUserText, guardPlaceNames, USER_TEXT_RULES } from './prompt-safety.js';
+import { logNlpEvent } from './nlp-log.js';
 
 /**
  * Process natural language input to extract locations and route preferences
@@ -32,7 +34,7 @@ async function processNaturalLanguage(query) {
     
     // First try using function calling capabilities
     const response = await fetchGeminiWithFunctionCalling(query);
-    return validateAndFormatResponse(response);
+    return validateAndFormatResponse(response, query);
   } catch (error) {
     console.error('Error with function calling approach:', error);
     
@@ -79,11 +81,13 @@ async function processNaturalLanguage(query) {
         6. Be flexible with input formats and focus on extracting the key information.
         7. If you're uncertain about a location name, include it anyway.
         
-        Text: "${query}"
+        ${USER_TEXT_RULES}
+        
+        ${prepareUserText(query, 'nlp-04').block}
       `;
 
       const response = await fetchGeminiResponse(prompt);
-      return validateAndFormatResponse(response);
+      return validateAndFormatResponse(response, query);
     } catch (secondError) {
       console.error('Error with traditional prompt approach:', secondError);
       
@@ -145,7 +149,7 @@ async function fetchGeminiWithFunctionCalling(query) {
       'Content-Type': 'application/json'
     },
     body: JSON.stringify({
-      prompt: `Extract routing information from this text: "${query}"`,
+      prompt: `Extract routing information from the user's text.\n${USER_TEXT_RULES}\n\n${prepareUserText(query, 'nlp-04').block}`,
       functionDeclarations
     })
   });
@@ -243,12 +247,21 @@ async function fetchGeminiResponse(prompt) {
 
 /**
  * Validate and format the response from Gemini
+ * Locations the query does not mention are dropped; if that leaves none, the
+ * response is rejected so the next fallback runs
  * @param {Object} response - The parsed response from Gemini
+ * @param {string} query - The user's natural language query
  * @returns {Object} - Validated and formatted response
  */
-function validateAndFormatResponse(response) {
-  // Ensure we have a locations array
-  const locations = Array.isArray(response.locations) ? response.locations : [];
+function validateAndFormatResponse(response, query) {
+  // Ensure we have a locations array, with only places the query mentions
+  const { accepted: locations, rejected } = guardPlaceNames(locationNames(response.locations), query);
+  if (rejected.length > 0) {
+    logNlpEvent('llm-output-guarded', { source: 'nlp-04', rejected }, 'warn');
+    if (locations.length === 0) {
+      throw new Error(`Gemini named places the query does not mention: ${rejected.map(item => item.name).join(', ')}`);
+    }
+  }
   
   // Default preferences
   const defaultPreferences = {
@@ -275,6 +288,17 @@ function validateAndFormatResponse(response) {
   };
 }
 
+/**
+ * Read the location names from a response's locations array
+ * The model is asked for names, but sometimes returns objects such as {name, timeContext}
+ * @param {Array} locations - Locations from the response
+ * @returns {Array<string>} - Location names
+ */
+function locationNames(locations) {
+  if (!Array.isArray(locations)) return [];
+  return locations.map(location => (location && typeof location === 'object' ? location.name || location.location : location));
+}
+
 /**
  * Extract locations and preferences using regex patterns as a last resort fallback
  * @param {string} query - The user's natural language query
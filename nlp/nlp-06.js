@@ -1,3 +1,8 @@
+import { parseRouteQuery } from './route-grammar.js';
+import { detectLanguage, getLanguagePack, detectTravelModeForLanguage, detectAvoidancesForLanguage, detectOptimizationForLanguage } from './language-packs.js';
+import { expandPlaceName } from './place-aliases.js';
+import { resolveLegModes } from './leg-modes.js';
+
 /**
  * Extract locations from text using regex patterns
  * @param {string} text - The input text to extract locations from
@@ -12,95 +17,42 @@ export function extractLocationsWithRegex(text) {
   const normalizedText = text.trim().replace(/\s+/g, ' ');
   console.log('Normalized text:', normalizedText);
   
-  // Extract transport mode and avoidance preferences
-  const transportMode = 
-    normalizedText.match(/\b(walk|walking|on foot)\b/i) ? 'walking' :
-    normalizedText.match(/\b(cycl|bike|biking|bicycle)\b/i) ? 'cycling' : 'driving';
+  // Keywords for waypoints, travel mode and avoidances come from the detected language's pack
+  const { language } = detectLanguage(normalizedText);
+  const languagePack = getLanguagePack(language);
   
-  const avoidTolls = !!normalizedText.match(/\b(no toll|avoid toll|without toll)\b/i);
-  const avoidHighways = !!normalizedText.match(/\b(no highway|avoid highway|without highway)\b/i);
-  const avoidFerries = !!normalizedText.match(/\b(no ferr|avoid ferr|without ferr)\b/i);
+  // Extract transport mode and avoidance preferences
+  const transportMode = detectTravelModeForLanguage(normalizedText, languagePack);
+  const { avoidTolls, avoidHighways, avoidFerries } = detectAvoidancesForLanguage(normalizedText, languagePack);
+  const optimize = detectOptimizationForLanguage(normalizedText, languagePack);
   
-  console.log('Extracted preferences:', { transportMode, avoidTolls, avoidHighways, avoidFerries });
+  console.log('Extracted preferences:', { language, transportMode, avoidTolls, avoidHighways, avoidFerries, optimize });
   
-  // First, try to match the specific pattern "route from X to Y"
-  const routePattern = /route\s+from\s+([A-Za-z\s]+?)\s+to\s+([A-Za-z\s]+)(?:\s|$)/i;
-  const routeMatch = normalizedText.match(routePattern);
+  // Parse waypoints with the shared route grammar ("from/to/via/between", lists, arrows)
+  const routeParse = parseRouteQuery(text, languagePack.route);
   
-  if (routeMatch) {
-    const locations = [routeMatch[1].trim(), routeMatch[2].trim()];
-    console.log('Extracted locations from route pattern:', locations);
+  if (routeParse.waypoints.length >= 2) {
+    // Abbreviations and nicknames ("NYC", "Big Apple") are expanded to the names the geocoder knows
+    const locations = routeParse.waypoints.map(wp => expandPlaceName(wp.name));
+    console.log('Extracted locations with route grammar:', locations);
     
     return {
       locations,
+      spans: routeParse.waypoints.map(wp => ({ start: wp.start, end: wp.end })),
       preferences: {
         transportMode,
         avoidTolls,
         avoidHighways,
-        avoidFerries
-      }
+        avoidFerries,
+        optimize
+      },
+      roundTrip: routeParse.roundTrip,
+      avoidPlaces: routeParse.avoidPlaces.map(place => expandPlaceName(place.name)),
+      legModes: resolveLegModes(routeParse.legModes),
+      language
     };
   }
   
-  // Common separators that might indicate different locations
-  const separators = [
-    /\s+to\s+/i,           // "New York to Los Angeles"
-    /\s+and\s+/i,          // "New York and Los Angeles"
-    /\s*,\s*/,             // "New York, Los Angeles"
-    /\s+through\s+/i,      // "New York through Chicago"
-    /\s+via\s+/i,          // "New York via Chicago"
-    /\s+between\s+/i,      // "between New York and Los Angeles"
-  ];
-  
-  // Try each separator pattern
-  for (const separator of separators) {
-    if (separator.test(normalizedText)) {
-      // Special handling for "between X and Y"
-      if (separator.toString() === /\s+between\s+/i.toString()) {
-        const betweenMatch = normalizedText.match(/between\s+([A-Za-z\s]+)\s+and\s+([A-Za-z\s]+)/i);
-        if (betweenMatch) {
-          const locations = [betweenMatch[1].trim(), betweenMatch[2].trim()];
-          console.log('Extracted locations from between pattern:', locations);
-          
-          return {
-            locations,
-            preferences: {
-              transportMode,
-              avoidTolls,
-              avoidHighways,
-              avoidFerries
-            }
-          };
-        }
-      } else {
-        // For other separators, split the text
-        let parts = normalizedText.split(separator);
-        
-        // Clean up the parts
-        parts = parts
-          .map(part => {
-            // Remove common prepositions at the start
-            return part.replace(/^(from|to|in|at|starting|ending|beginning|route)\s+/i, '').trim();
-          })
-          .filter(part => part.length > 0);
-        
-        if (parts.length >= 2) {
-          console.log('Extracted locations using separator:', parts);
-          
-          return {
-            locations: parts,
-            preferences: {
-              transportMode,
-              avoidTolls,
-              avoidHighways,
-              avoidFerries
-            }
-          };
-        }
-      }
-    }
-  }
-  
   // If we couldn't extract multiple locations, check if there's a single location
   // Remove common words that aren't locations
   const cleanedText = normalizedText
@@ -113,13 +65,15 @@ export function extractLocationsWithRegex(text) {
     console.log('Extracted single location:', cleanedText);
     
     return {
-      locations: [cleanedText],
+      locations: [expandPlaceName(cleanedText)],
       preferences: {
         transportMode,
         avoidTolls,
         avoidHighways,
-        avoidFerries
-      }
+        avoidFerries,
+        optimize
+      },
+      language
     };
   }
   
@@ -132,7 +86,35 @@ export function extractLocationsWithRegex(text) {
       transportMode,
       avoidTolls,
       avoidHighways,
-      avoidFerries
-    }
+      avoidFerries,
+      optimize
+    },
+    language
   };
 } 
+
+/**
+ * Extract basic route locations using the shared route grammar
+ * Aliases and partial city names ("NYC", "Los") are expanded with the place alias dictionary
+ * @param {string} text - The user's query
+ * @returns {Array<string>} - Waypoint names, or an empty array when fewer than two were found
+ */
+export function extractBasicRouteLocations(text) {
+  if (!text) return [];
+  
+  // Clean and normalize the input
+  const normalizedText = text.trim().replace(/[.!?]+$/, '').trim();
+  console.log('Extracting route locations from:', normalizedText);
+  
+  // Parse the waypoints with the shared route grammar
+  const waypoints = parseRouteQuery(normalizedText).waypoints.map(wp => wp.name);
+  if (waypoints.length < 2) {
+    return [];
+  }
+  
+  // Expand abbreviations, nicknames and partial city names
+  const fullWaypoints = waypoints.map(expandPlaceName);
+  
+  console.log('Extracted route waypoints:', fullWaypoints);
+  return fullWaypoints;
+}
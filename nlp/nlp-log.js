@@ -0,0 +1,56 @@
+/**
+ * Structured logging for the NLP pipeline
+ * Recovery paths (invalid LLM output, retries, fallbacks) are recorded as
+ * events so they can be inspected instead of disappearing into console noise
+ */
+
+// Keep the most recent events in memory for the debug panel
+const MAX_LOGGED_EVENTS = 200;
+const eventLog = [];
+
+/**
+ * Record a pipeline event
+ * @param {string} event - Short event name, e.g. "llm-output-invalid"
+ * @param {Object} [details] - Extra structured fields for the event
+ * @param {string} [level] - "info", "warn" or "error"
+ * @returns {Object} - The recorded event
+ */
+export function logNlpEvent(event, details = {}, level = 'info') {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    level,
+    event,
+    ...details
+  };
+
+  eventLog.push(entry);
+  if (eventLog.length > MAX_LOGGED_EVENTS) {
+    eventLog.shift();
+  }
+
+  const consoleMethod = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  consoleMethod(`[nlp] ${event}`, entry);
+
+  // Mirror into the page's debug panel when one is available
+  if (typeof window !== 'undefined' && typeof window.log === 'function') {
+    window.log(`[nlp] ${event} ${JSON.stringify(details)}`);
+  }
+
+  return entry;
+}
+
+/**
+ * Get a copy of the recorded events
+ * @param {string} [event] - Only return events with this name
+ * @returns {Array<Object>} - Recorded events, oldest first
+ */
+export function getNlpEventLog(event) {
+  return event ? eventLog.filter(entry => entry.event === event) : eventLog.slice();
+}
+
+/**
+ * Clear the recorded events
+ */
+export function clearNlpEventLog() {
+  eventLog.length = 0;
+}
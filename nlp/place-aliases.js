@@ -0,0 +1,166 @@
+/**
+ * Place alias dictionary
+ * Expands abbreviations ("NYC"), nicknames ("Big Apple"), historical names
+ * ("Bombay") and common misspellings to the name the geocoder knows. Every
+ * extractor runs its place names through expandPlaceName; historical names are
+ * kept as written and only swapped for their modern name when geocoding.
+ *
+ * Deployments can extend the dictionary with a JSON file loaded at startup,
+ * using the same kinds as the built-in data, e.g.
+ *   { "nicknames": { "Big D": "Dallas" }, "historical": { "Salisbury": "Harare" } }
+ */
+
+import { PLACE_ALIASES } from './data/place-aliases.js';
+import { normalizePlaceName } from './gazetteer.js';
+
+/**
+ * Alias kinds
+ * abbreviations - "NYC", "SF"; matched in text only with the exact spelling
+ * nicknames     - "Big Apple", "Windy City"
+ * historical    - "Byzantium", "Peking"; kept as written, geocoded by the modern name
+ * misspellings  - "Cincinatti"
+ * partial       - "Los" for "Los Angeles"; only applied to whole waypoint names
+ */
+export const ALIAS_KINDS = ['abbreviations', 'nicknames', 'historical', 'misspellings', 'partial'];
+
+// Normalized alias → {alias, name, kind}; built from the built-in data on first use
+let aliasIndex = null;
+
+/**
+ * Look up an alias
+ * @param {string} name - Place name as extracted
+ * @returns {Object|null} - {alias, name, kind} where name is the canonical name, or null when the name is no alias
+ */
+export function resolvePlaceAlias(name) {
+  if (!name) return null;
+  return getAliasIndex().get(normalizePlaceName(name)) || null;
+}
+
+/**
+ * Expand a place name for display and routing
+ * Historical names are left alone, so "Constantinople in 1453" keeps its name
+ * @param {string} name - Place name as extracted
+ * @returns {string} - Canonical name, or the name unchanged
+ */
+export function expandPlaceName(name) {
+  const entry = resolvePlaceAlias(name);
+  return entry && entry.kind !== 'historical' ? entry.name : name;
+}
+
+/**
+ * Name to send to the geocoder, with historical names replaced as well
+ * @param {string} name - Place name
+ * @returns {string} - Canonical name, or the name unchanged
+ */
+export function geocodingName(name) {
+  const entry = resolvePlaceAlias(name);
+  return entry ? entry.name : name;
+}
+
+/**
+ * List every alias in the dictionary, built-in and loaded
+ * @returns {Array<Object>} - Entries as {alias, name, kind}
+ */
+export function listPlaceAliases() {
+  return [...getAliasIndex().values()];
+}
+
+/**
+ * Find aliases mentioned in free text
+ * Partial names are skipped and abbreviations must match exactly, so "la" in
+ * "la plage" is not Los Angeles
+ * @param {string} text - Input text
+ * @returns {Array<Object>} - Mentions as {alias, name, kind, start, end}, in text order, longest first on overlaps
+ */
+export function findPlaceAliases(text) {
+  if (!text) return [];
+
+  const mentions = [];
+  getAliasIndex().forEach(entry => {
+    if (entry.kind === 'partial') return;
+    const escaped = entry.alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    const flags = entry.kind === 'abbreviations' ? 'gu' : 'giu';
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, flags);
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      mentions.push({ alias: match[0], name: entry.name, kind: entry.kind, start: match.index, end: match.index + match[0].length });
+    }
+  });
+
+  mentions.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  const kept = [];
+  mentions.forEach(mention => {
+    if (!kept.some(other => mention.start < other.end && other.start < mention.end)) {
+      kept.push(mention);
+    }
+  });
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Add aliases to the dictionary, overriding built-in entries with the same alias
+ * @param {Object} aliases - Object keyed by alias kind, each mapping alias to canonical name
+ * @param {string} [source] - Where the aliases came from, for log messages
+ * @returns {number} - Number of aliases added
+ */
+export function addPlaceAliases(aliases, source = 'custom aliases') {
+  if (!aliases || typeof aliases !== 'object') {
+    console.warn(`Ignoring ${source}: expected an object keyed by alias kind`);
+    return 0;
+  }
+
+  const index = getAliasIndex();
+  let added = 0;
+  Object.entries(aliases).forEach(([kind, entries]) => {
+    // A "description" key documents the file
+    if (kind === 'description') return;
+    if (!ALIAS_KINDS.includes(kind) || !entries || typeof entries !== 'object') {
+      console.warn(`Ignoring unknown alias kind "${kind}" in ${source}`);
+      return;
+    }
+    Object.entries(entries).forEach(([alias, name]) => {
+      if (typeof name !== 'string' || !name.trim() || !alias.trim()) return;
+      index.set(normalizePlaceName(alias), { alias: alias.trim(), name: name.trim(), kind });
+      added++;
+    });
+  });
+
+  console.log(`Loaded ${added} place aliases from ${source}`);
+  return added;
+}
+
+/**
+ * Load user aliases from a JSON file
+ * A missing file is not an error; the built-in dictionary is used on its own
+ * @param {string} url - URL of the JSON file
+ * @returns {Promise<number>} - Number of aliases added
+ */
+export async function loadPlaceAliases(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.log(`No place aliases at ${url} (${response.status}), using the built-in dictionary`);
+      return 0;
+    }
+    return addPlaceAliases(await response.json(), url);
+  } catch (error) {
+    console.warn(`Could not load place aliases from ${url}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Get the alias index, building it from the built-in data on first use
+ * @returns {Map<string, Object>} - Normalized alias to {alias, name, kind}
+ */
+function getAliasIndex() {
+  if (aliasIndex) return aliasIndex;
+
+  aliasIndex = new Map();
+  ALIAS_KINDS.forEach(kind => {
+    Object.entries(PLACE_ALIASES[kind] || {}).forEach(([alias, name]) => {
+      aliasIndex.set(normalizePlaceName(alias), { alias, name, kind });
+    });
+  });
+  return aliasIndex;
+}
@@ -0,0 +1,139 @@
+/**
+ * Spelling suggestions for place names
+ * A name neither the gazetteer nor the alias dictionary knows is compared with
+ * their names by edit distance and by a rough phonetic key, so "Philadelfia"
+ * and "Pittsburg" can be offered as "Philadelphia" and "Pittsburgh". The
+ * suggestions are only offered; the name as typed is still geocoded
+ */
+
+import { GAZETTEER_ROWS } from './data/gazetteer-data.js';
+import { lookupPlace, normalizePlaceName } from './gazetteer.js';
+import { resolvePlaceAlias, listPlaceAliases } from './place-aliases.js';
+import { parseCoordinateLiteral } from './coordinates.js';
+
+// Names shorter than this are too easy to confuse to correct
+const MIN_NAME_LENGTH = 5;
+
+// Dictionary words by normalized name, and the number of aliases it was built with
+let dictionary = null;
+let dictionaryAliasCount = 0;
+
+/**
+ * Suggest the known place a misspelled name most likely means
+ * @param {string} name - Place name as extracted
+ * @returns {Object|null} - {name, distance}, or null for known names and names with no close match
+ */
+export function suggestPlaceName(name) {
+  if (!name || parseCoordinateLiteral(name) || /\d/.test(name)) return null;
+  if (lookupPlace(name) || resolvePlaceAlias(name)) return null;
+
+  const key = normalizePlaceName(name);
+  if (key.length < MIN_NAME_LENGTH) return null;
+
+  const maxEdits = key.length <= 8 ? 1 : 2;
+  const phonetic = phoneticKey(key);
+  let best = null;
+
+  getDictionary().forEach(word => {
+    if (Math.abs(word.key.length - key.length) > maxEdits + 1) return;
+    const distance = editDistance(key, word.key);
+    // Sound-alike names ("Philadelfia") may be one edit further off
+    const soundsAlike = word.phonetic === phonetic;
+    if (distance > maxEdits + (soundsAlike ? 1 : 0)) return;
+
+    const rank = [distance - (soundsAlike ? 0.5 : 0), -word.prior];
+    if (!best || rank[0] < best.rank[0] || (rank[0] === best.rank[0] && rank[1] < best.rank[1])) {
+      best = { name: word.name, distance, rank };
+    }
+  });
+
+  return best ? { name: best.name, distance: best.distance } : null;
+}
+
+/**
+ * Suggest corrections for a list of waypoint names
+ * @param {Array<string>} names - Place names
+ * @returns {Array<Object>} - {name, suggestion} for each name with a likely correction
+ */
+export function suggestCorrections(names) {
+  return (names || [])
+    .map(name => ({ name, suggestion: suggestPlaceName(name) }))
+    .filter(correction => correction.suggestion)
+    .map(({ name, suggestion }) => ({ name, suggestion: suggestion.name }));
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Insertions, deletions, substitutions and adjacent swaps needed
+ */
+export function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+/**
+ * Rough phonetic key: spellings of the same sounds map together and vowels
+ * after the first letter are dropped ("pittsburg" and "pittsburgh" → "ptsbrg")
+ * @param {string} key - Normalized name
+ * @returns {string} - Phonetic key
+ */
+export function phoneticKey(key) {
+  const sounds = key
+    .replace(/[^a-z]/g, '')
+    .replace(/ph/g, 'f')
+    .replace(/gh/g, 'g')
+    .replace(/ck/g, 'k')
+    .replace(/c(?=[eiy])/g, 's')
+    .replace(/[cq]/g, 'k')
+    .replace(/x/g, 'ks')
+    .replace(/z/g, 's')
+    .replace(/([^aeiou])h/g, '$1')
+    .replace(/(.)\1+/g, '$1');
+  return sounds.charAt(0) + sounds.slice(1).replace(/[aeiouy]/g, '');
+}
+
+/**
+ * Get the words suggestions are drawn from
+ * Gazetteer names and their alternate names, and the alias dictionary's
+ * aliases and canonical names; abbreviations and partial names are too short to use.
+ * Rebuilt when aliases have been loaded since the last build
+ * @returns {Map<string, Object>} - Normalized name to {name, key, phonetic, prior}
+ */
+function getDictionary() {
+  const aliases = listPlaceAliases();
+  if (dictionary && dictionaryAliasCount === aliases.length) return dictionary;
+
+  dictionary = new Map();
+  dictionaryAliasCount = aliases.length;
+  const addWord = (name, prior) => {
+    const key = normalizePlaceName(name);
+    if (key.length < MIN_NAME_LENGTH || dictionary.has(key)) return;
+    dictionary.set(key, { name, key, phonetic: phoneticKey(key), prior });
+  };
+
+  GAZETTEER_ROWS.forEach(([name, , , population, , , alternateNames]) => {
+    [name, ...alternateNames].forEach(alias => addWord(alias, population || 0));
+  });
+  aliases
+    .filter(entry => entry.kind !== 'abbreviations' && entry.kind !== 'partial')
+    .forEach(entry => {
+      addWord(entry.name, 0);
+      if (entry.kind !== 'misspellings') addWord(entry.alias, 0);
+    });
+
+  return dictionary;
+}
@@ -0,0 +1,123 @@
+/**
+ * Reachable area estimation
+ * Outlines the area reachable from a point within a travel time using the
+ * directions proxy: a route is requested towards points all around the origin,
+ * each route is followed for the allowed time, and the points reached form
+ * the outline. The result is an approximation, finer the more bearings are used
+ */
+
+import { calculateDistance } from './coordinates.js';
+
+// Directions around the origin that routes are requested towards
+const BEARING_COUNT = 12;
+
+// Straight-line speeds in km/h used to place the targets; they are generous, so
+// most routes take longer than the limit and are cut short where the time runs out
+const REACH_SPEEDS = { driving: 80, cycling: 20, walking: 6 };
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Estimate the area reachable from a point within a travel time
+ * @param {string} apiUrl - Backend base URL
+ * @param {Array<number>} origin - [longitude, latitude]
+ * @param {number} minutes - Travel time
+ * @param {string} profile - "driving", "walking" or "cycling"
+ * @returns {Promise<Object>} - GeoJSON FeatureCollection with one Polygon feature
+ */
+export async function estimateReachableArea(apiUrl, origin, minutes, profile) {
+  const radius = (REACH_SPEEDS[profile] || REACH_SPEEDS.driving) * minutes / 60;
+  const bearings = Array.from({ length: BEARING_COUNT }, (_, index) => index * 360 / BEARING_COUNT);
+
+  // A bearing without a route (open water, no roads) is left out of the outline
+  const reached = await Promise.all(bearings.map(bearing =>
+    fetchReachedPoint(apiUrl, origin, destinationPoint(origin, bearing, radius), minutes * 60, profile)
+      .catch(error => {
+        console.error(`No route towards bearing ${bearing}:`, error);
+        return null;
+      })
+  ));
+
+  const outline = reached.filter(Boolean);
+  if (outline.length < 3) {
+    throw new Error('Too few routes to outline the reachable area');
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties: { minutes, profile },
+      geometry: { type: 'Polygon', coordinates: [[...outline, outline[0]]] }
+    }]
+  };
+}
+
+/**
+ * Follow a route towards a target for a travel time
+ * @param {string} apiUrl - Backend base URL
+ * @param {Array<number>} origin - [longitude, latitude]
+ * @param {Array<number>} target - [longitude, latitude]
+ * @param {number} seconds - Travel time
+ * @param {string} profile - Travel profile
+ * @returns {Promise<Array<number>|null>} - Point reached, or null when there is no route
+ */
+async function fetchReachedPoint(apiUrl, origin, target, seconds, profile) {
+  const response = await fetch(`${apiUrl}/api/mapbox-directions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ coordinates: [origin, target], profile })
+  });
+  if (!response.ok) throw new Error(`Directions API error: ${response.status}`);
+
+  const data = await response.json();
+  if (!data.route || !data.route.geometry || !(data.route.duration > 0)) return null;
+
+  // Speed along a route is taken as even, so the time spent gives the share of its length
+  return pointAlongLine(data.route.geometry.coordinates, Math.min(1, seconds / data.route.duration));
+}
+
+/**
+ * Find the point at a share of a line's length
+ * @param {Array<Array<number>>} line - [longitude, latitude] points
+ * @param {number} fraction - Share of the length, 0 to 1
+ * @returns {Array<number>} - [longitude, latitude]
+ */
+function pointAlongLine(line, fraction) {
+  const lengths = line.slice(1).map((point, index) =>
+    calculateDistance(line[index][1], line[index][0], point[1], point[0]));
+  let remaining = lengths.reduce((sum, length) => sum + length, 0) * fraction;
+
+  for (let index = 0; index < lengths.length; index++) {
+    if (remaining <= lengths[index] && lengths[index] > 0) {
+      const share = remaining / lengths[index];
+      const [fromLng, fromLat] = line[index];
+      const [toLng, toLat] = line[index + 1];
+      return [fromLng + (toLng - fromLng) * share, fromLat + (toLat - fromLat) * share];
+    }
+    remaining -= lengths[index];
+  }
+  return line[line.length - 1];
+}
+
+/**
+ * Find the point a distance away from an origin along a bearing
+ * @param {Array<number>} origin - [longitude, latitude]
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} distance - Distance in kilometers
+ * @returns {Array<number>} - [longitude, latitude]
+ */
+function destinationPoint(origin, bearing, distance) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const toDegrees = radians => radians * 180 / Math.PI;
+  const [lng, lat] = origin.map(toRadians);
+  const angle = distance / EARTH_RADIUS_KM;
+  const heading = toRadians(bearing);
+
+  const destLat = Math.asin(Math.sin(lat) * Math.cos(angle) + Math.cos(lat) * Math.sin(angle) * Math.cos(heading));
+  const destLng = lng + Math.atan2(
+    Math.sin(heading) * Math.sin(angle) * Math.cos(lat),
+    Math.cos(angle) - Math.sin(lat) * Math.sin(destLat)
+  );
+  return [toDegrees(destLng), toDegrees(destLat)];
+}
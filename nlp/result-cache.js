@@ -0,0 +1,190 @@
+/**
+ * Result cache for the NLP pipeline
+ * Processed results are stored under a normalized form of the input, so
+ * repeated queries and the curated examples are answered instantly without
+ * calling the LLM. The cache persists in localStorage when it is available
+ */
+
+import { CURATED_EXAMPLES } from './data/curated-examples.js';
+import { scoreLocations } from './location-confidence.js';
+import { normalizeTimeContext } from './historical-time.js';
+import { expandPlaceName } from './place-aliases.js';
+
+const STORAGE_KEY = 'nlp-result-cache';
+
+// Bump when the shape of cached results changes, so old entries are dropped
+const CACHE_VERSION = 1;
+
+// Oldest entries are evicted beyond this many results
+const MAX_CACHED_RESULTS = 100;
+
+// Fields that only hold for the moment a query was made
+const TRANSIENT_FIELDS = ['departAt', 'arriveBy', 'cacheKey', 'cacheSource'];
+
+// Key → {result, storedAt}; loaded from storage on first use
+let cache = null;
+
+// Curated examples keyed by their normalized input
+const examplesByKey = new Map(
+  CURATED_EXAMPLES.map(example => [normalizeCacheKey(example.input), example])
+);
+
+/**
+ * Normalize input text into a cache key
+ * Case, curly quotes, whitespace and trailing punctuation do not change the key
+ * @param {string} text - The user's input text
+ * @returns {string} - Cache key
+ */
+export function normalizeCacheKey(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[‘’‛′]/g, "'")
+    .replace(/[“”″]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[\s.!?;:,]+$/, '');
+}
+
+/**
+ * Look up a processed result for the input text
+ * Curated examples take precedence over results cached from earlier queries
+ * @param {string} text - The user's input text
+ * @returns {Object|null} - Copy of the result with cacheKey and cacheSource ("example" or "cache"), or null on a miss
+ */
+export function getCachedResult(text) {
+  const key = normalizeCacheKey(text);
+  if (!key) return null;
+
+  const example = examplesByKey.get(key);
+  if (example) {
+    const result = clone(example.result);
+    result.locations = scoreLocations(result.locations.map(loc => ({
+      ...loc,
+      timeRange: loc.timeRange || normalizeTimeContext(loc.timeContext)
+    })), 'example');
+    return { ...result, cacheKey: key, cacheSource: 'example' };
+  }
+
+  const entry = loadCache().get(key);
+  if (!entry) return null;
+  return { ...clone(entry.result), cacheKey: key, cacheSource: 'cache' };
+}
+
+/**
+ * Store a processed result for the input text
+ * @param {string} text - The user's input text
+ * @param {Object} result - Processed result from processNaturalLanguageInput
+ * @returns {string|null} - Cache key the result was stored under, or null if it was not stored
+ */
+export function cacheResult(text, result) {
+  const key = normalizeCacheKey(text);
+  if (!key || !result || examplesByKey.has(key)) return null;
+
+  const stored = clone(result);
+  TRANSIENT_FIELDS.forEach(field => delete stored[field]);
+
+  const entries = loadCache();
+  entries.delete(key);
+  entries.set(key, { result: stored, storedAt: Date.now() });
+  while (entries.size > MAX_CACHED_RESULTS) {
+    entries.delete(entries.keys().next().value);
+  }
+
+  saveCache();
+  return key;
+}
+
+/**
+ * Record coordinates found by geocoding on a cached result
+ * Later hits for the same input are then placed without geocoding. Results are
+ * cached with names as extracted ("NYC") and placed under their expansion
+ * ("New York"), so names are compared expanded
+ * @param {string} key - Cache key from getCachedResult or cacheResult
+ * @param {Array<Object>} placed - Placed locations as {name, coordinates}
+ */
+export function cacheCoordinates(key, placed) {
+  const entry = key ? loadCache().get(key) : null;
+  if (!entry || !Array.isArray(placed)) return;
+
+  let changed = false;
+  placed.forEach(({ name, coordinates }) => {
+    if (!Array.isArray(coordinates)) return;
+    // "NYC" and "the Big Apple" in one text are both placed as New York
+    const expanded = expandPlaceName(name);
+    entry.result.locations
+      .filter(loc => !loc.coordinates && expandPlaceName(loc.name) === expanded)
+      .forEach(loc => {
+        loc.coordinates = coordinates;
+        changed = true;
+      });
+  });
+
+  if (changed) saveCache();
+}
+
+/**
+ * Remove every cached result (curated examples are kept)
+ */
+export function clearResultCache() {
+  loadCache().clear();
+  saveCache();
+}
+
+/**
+ * Get the cache, reading it from storage the first time
+ * @returns {Map} - Cache entries, least recently stored first
+ */
+function loadCache() {
+  if (cache) return cache;
+  cache = new Map();
+
+  const storage = getStorage();
+  if (!storage) return cache;
+
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY));
+    if (saved && saved.version === CACHE_VERSION && Array.isArray(saved.entries)) {
+      saved.entries.forEach(([key, entry]) => cache.set(key, entry));
+    }
+  } catch (error) {
+    console.warn('Ignoring unreadable NLP result cache:', error);
+  }
+  return cache;
+}
+
+/**
+ * Write the cache back to storage, if there is any
+ */
+function saveCache() {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ version: CACHE_VERSION, entries: [...cache.entries()] }));
+  } catch (error) {
+    // Quota exceeded or storage disabled - the in-memory cache still works
+    console.warn('Could not persist NLP result cache:', error);
+  }
+}
+
+/**
+ * Get localStorage when the environment has it
+ * @returns {Object|null} - Storage object, or null
+ */
+function getStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Deep copy a plain result object, so callers cannot change what is cached
+ * @param {Object} value - JSON-compatible value
+ * @returns {Object} - Copy
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
@@ -0,0 +1,249 @@
+/**
+ * Quantitative route constraints
+ * Parses limits such as "stop every 200 km", "no leg longer than 3 hours",
+ * "keep the walk under 5 km" or "finish within 2 hours" from a route request,
+ * and checks the route returned by the Directions API against them. Stop
+ * intervals and over-long legs are met by suggesting rest stops along the
+ * route; a total the route exceeds is reported as unmet
+ */
+
+import { calculateDistance } from './coordinates.js';
+
+// A number and a distance or duration unit: "200 km", "3 hours", "1.5h", "an hour"
+const AMOUNT = '(\\d+(?:[.,]\\d+)?|an?|one)';
+const UNIT = '(km|kilomet(?:er|re)s?|mi|miles?|m|met(?:er|re)s?|h|hrs?|hours?|min|mins|minutes?)\\b';
+const QUANTITY = `${AMOUNT}\\s*${UNIT}`;
+
+// Words that put an upper limit on the quantity after them
+const LIMIT = '(?:under|below|within|(?:in\\s+)?less\\s+than|(?:no|not)\\s+(?:more|longer)\\s+than|at\\s+most|shorter\\s+than|up\\s+to|max(?:imum)?(?:\\s+of)?)';
+
+// Parts of a route a leg limit applies to
+const LEG_WORDS = '(?:legs?|stretch(?:es)?|segments?|stints?)';
+
+// "stop every 200 km", "a break every 2 hours", "rest every hour"
+const STOP_EVERY_PATTERN = new RegExp(`\\bevery\\s+(?:${AMOUNT}\\s*)?${UNIT}`, 'gi');
+const STOP_WORD_PATTERN = /\b(stop\w*|breaks?|rest\w*|paus\w*|charg\w*|refuel\w*)\b/i;
+
+// "no leg longer than 3 hours", "each stretch under 300 km", "legs of at most 4 h", "max 3 hours per leg"
+const LEG_PATTERNS = [
+  new RegExp(`\\b(?:no|each|every|any)\\s+(?:single\\s+)?${LEG_WORDS}\\s+(?:should\\s+be\\s+|is\\s+|of\\s+)?(?:${LIMIT}|longer\\s+than|more\\s+than|over|above|exceeding)\\s+${QUANTITY}`, 'gi'),
+  new RegExp(`\\b${LEG_WORDS}\\s+(?:of\\s+)?${LIMIT}\\s+${QUANTITY}`, 'gi'),
+  new RegExp(`\\b${LIMIT}\\s+${QUANTITY}\\s+(?:per|a|each)\\s+${LEG_WORDS}`, 'gi'),
+  new RegExp(`\\b${QUANTITY}\\s+at\\s+a\\s+time\\b`, 'gi')
+];
+
+// "keep the walk under 5 km", "finish within 2 hours", "in less than 90 minutes"
+const TOTAL_PATTERN = new RegExp(`\\b${LIMIT}\\s+${QUANTITY}`, 'gi');
+
+// Rest stops closer together than this, or than this share of the shortest
+// interval between stops, are merged
+const MIN_STOP_SPACING_KM = 1;
+const STOP_MERGE_FRACTION = 0.25;
+
+/**
+ * Parse quantitative constraints from a route request
+ * Limits are {distanceKm, durationMinutes}, with only the measures that were given
+ * @param {string} text - The user's query
+ * @returns {Object|null} - {stopEvery, maxLeg, maxTotal, expressions}, each limit null when not asked for; null when the text has none
+ */
+export function parseRouteConstraints(text) {
+  if (!text) return null;
+
+  const constraints = { stopEvery: null, maxLeg: null, maxTotal: null, expressions: [] };
+  const taken = [];
+  const collect = (type, pattern) => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (taken.some(span => start < span.end && span.start < end)) continue;
+
+      // The amount and unit are the last two groups; a bare unit ("every hour") means one of it
+      const quantity = parseQuantity(match[match.length - 2] || '1', match[match.length - 1]);
+      if (!quantity) continue;
+      constraints[type] = { ...constraints[type], ...quantity };
+      constraints.expressions.push({ type, text: match[0], start, end });
+      taken.push({ start, end });
+    }
+  };
+
+  // Leg limits first, so "each leg under 3 hours" is not read as a total
+  LEG_PATTERNS.forEach(pattern => collect('maxLeg', pattern));
+  if (STOP_WORD_PATTERN.test(text)) collect('stopEvery', STOP_EVERY_PATTERN);
+  collect('maxTotal', TOTAL_PATTERN);
+
+  return constraints.expressions.length > 0 ? constraints : null;
+}
+
+/**
+ * Check a route against its constraints
+ * Rest stops are placed by distance along the route geometry; stops every so
+ * many minutes assume the route's average speed throughout
+ * @param {Object} route - Route from the Directions API, with distance (m), duration (s), geometry and legs
+ * @param {Object} constraints - Constraints from parseRouteConstraints
+ * @returns {Object} - {restStops: [{coordinates, distanceKm, durationMinutes}], met: [labels], unmet: [{label, reason}]}
+ */
+export function checkRouteConstraints(route, constraints) {
+  const check = { restStops: [], met: [], unmet: [] };
+  if (!route || !constraints) return check;
+
+  const totalKm = route.distance / 1000;
+  const totalMinutes = route.duration / 60;
+  const positions = [];
+  const intervals = [];
+
+  const { maxTotal, maxLeg, stopEvery } = constraints;
+  if (maxTotal) {
+    if (maxTotal.distanceKm) {
+      const label = `total under ${formatDistance(maxTotal.distanceKm)}`;
+      if (totalKm <= maxTotal.distanceKm) check.met.push(label);
+      else check.unmet.push({ label, reason: `the route is ${formatDistance(totalKm)}` });
+    }
+    if (maxTotal.durationMinutes) {
+      const label = `total under ${formatDuration(maxTotal.durationMinutes)}`;
+      if (totalMinutes <= maxTotal.durationMinutes) check.met.push(label);
+      else check.unmet.push({ label, reason: `the route takes ${formatDuration(totalMinutes)}` });
+    }
+  }
+
+  if (maxLeg) {
+    // Legs longer than the limit are split evenly by rest stops
+    const legs = Array.isArray(route.legs) && route.legs.length > 0 ? route.legs : [route];
+    let legStartKm = 0;
+    let splitLegs = 0;
+    legs.forEach(leg => {
+      const legKm = leg.distance / 1000;
+      const parts = Math.max(
+        1,
+        maxLeg.distanceKm ? Math.ceil(legKm / maxLeg.distanceKm) : 1,
+        maxLeg.durationMinutes ? Math.ceil(leg.duration / 60 / maxLeg.durationMinutes) : 1
+      );
+      for (let part = 1; part < parts; part++) {
+        positions.push(legStartKm + legKm * part / parts);
+      }
+      if (parts > 1) {
+        intervals.push(legKm / parts);
+        splitLegs++;
+      }
+      legStartKm += legKm;
+    });
+
+    const label = `no leg over ${describeLimit(maxLeg)}`;
+    check.met.push(splitLegs > 0 ? `${label} (with rest stops)` : label);
+  }
+
+  if (stopEvery) {
+    const intervalKm = stopEvery.distanceKm || (totalMinutes > 0 ? totalKm * stopEvery.durationMinutes / totalMinutes : 0);
+    if (intervalKm > 0) {
+      intervals.push(intervalKm);
+      for (let position = intervalKm; position < totalKm; position += intervalKm) {
+        positions.push(position);
+      }
+    }
+    check.met.push(`a stop every ${describeLimit(stopEvery)}`);
+  }
+
+  // Merge stops that fall together, and skip any at the destination
+  const spacing = Math.max(MIN_STOP_SPACING_KM, Math.min(...intervals) * STOP_MERGE_FRACTION);
+  const merged = [];
+  positions.sort((a, b) => a - b).forEach(position => {
+    const last = merged[merged.length - 1];
+    if (totalKm - position < spacing) return;
+    if (last === undefined || position - last >= spacing) merged.push(position);
+  });
+
+  const coordinates = route.geometry && Array.isArray(route.geometry.coordinates) ? route.geometry.coordinates : [];
+  check.restStops = merged.map(position => ({
+    coordinates: pointAlongRoute(coordinates, totalKm > 0 ? position / totalKm : 0),
+    distanceKm: Math.round(position * 10) / 10,
+    durationMinutes: totalKm > 0 ? Math.round(totalMinutes * position / totalKm) : 0
+  })).filter(stop => stop.coordinates);
+
+  return check;
+}
+
+/**
+ * Format a duration for route summaries
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} - e.g. "45 min", "2 h" or "2 h 10 min"
+ */
+export function formatDuration(minutes) {
+  const rounded = Math.round(minutes);
+  if (rounded < 60) return `${rounded} min`;
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+}
+
+/**
+ * Format a distance for route summaries
+ * @param {number} km - Distance in kilometers
+ * @returns {string} - e.g. "5 km" or "2.5 km"
+ */
+export function formatDistance(km) {
+  return `${Math.round(km * 10) / 10} km`;
+}
+
+/**
+ * Describe a limit in words
+ * @param {Object} limit - {distanceKm, durationMinutes}
+ * @returns {string} - e.g. "200 km" or "3 h or 300 km"
+ */
+function describeLimit(limit) {
+  return [
+    limit.durationMinutes ? formatDuration(limit.durationMinutes) : null,
+    limit.distanceKm ? formatDistance(limit.distanceKm) : null
+  ].filter(Boolean).join(' or ');
+}
+
+/**
+ * Convert a number and unit to a limit
+ * @param {string} amount - Number as written, or "a"/"an"/"one"
+ * @param {string} unit - Unit as written
+ * @returns {Object|null} - {distanceKm} or {durationMinutes}, or null for a zero or unreadable amount
+ */
+function parseQuantity(amount, unit) {
+  const value = /^(?:an?|one)$/i.test(amount) ? 1 : parseFloat(amount.replace(',', '.'));
+  if (!value || value <= 0) return null;
+
+  const lower = unit.toLowerCase();
+  if (/^(?:km|kilomet)/.test(lower)) return { distanceKm: value };
+  if (/^mi/.test(lower) && !/^min/.test(lower)) return { distanceKm: Math.round(value * 1.609344 * 10) / 10 };
+  if (/^(?:m|met)/.test(lower) && !/^min/.test(lower)) return { distanceKm: value / 1000 };
+  if (/^(?:h|hr|hour)/.test(lower)) return { durationMinutes: value * 60 };
+  return { durationMinutes: value };
+}
+
+/**
+ * Find the position a fraction of the way along a route
+ * @param {Array<Array>} coordinates - Route geometry as [longitude, latitude] positions
+ * @param {number} fraction - Fraction of the route's length, 0 to 1
+ * @returns {Array|null} - [longitude, latitude], or null for an empty geometry
+ */
+function pointAlongRoute(coordinates, fraction) {
+  if (coordinates.length === 0) return null;
+  if (coordinates.length === 1) return coordinates[0];
+
+  const segments = [];
+  let total = 0;
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const [lng1, lat1] = coordinates[i];
+    const [lng2, lat2] = coordinates[i + 1];
+    const length = calculateDistance(lat1, lng1, lat2, lng2);
+    segments.push(length);
+    total += length;
+  }
+
+  let remaining = total * Math.min(Math.max(fraction, 0), 1);
+  for (let i = 0; i < segments.length; i++) {
+    if (remaining <= segments[i] || i === segments.length - 1) {
+      const t = segments[i] > 0 ? Math.min(remaining / segments[i], 1) : 0;
+      const [lng1, lat1] = coordinates[i];
+      const [lng2, lat2] = coordinates[i + 1];
+      return [lng1 + (lng2 - lng1) * t, lat1 + (lat2 - lat1) * t];
+    }
+    remaining -= segments[i];
+  }
+  return coordinates[coordinates.length - 1];
+}
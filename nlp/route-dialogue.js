@@ -0,0 +1,269 @@
+/**
+ * Dialogue context for follow-up edits to the current route
+ * Keeps the last route result so queries such as "add Chicago as a stop",
+ * "now by bike" or "reverse it" change the existing waypoints instead of
+ * starting a new route from scratch
+ */
+
+import { scoreLocation } from './location-confidence.js';
+import { parseRouteQuery } from './route-grammar.js';
+
+// The route result the next follow-up applies to
+let lastRouteResult = null;
+
+const ORDINALS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10 };
+
+const MODE_WORDS = {
+  bike: 'cycling', bicycle: 'cycling', cycling: 'cycling', cycle: 'cycling', biking: 'cycling',
+  foot: 'walking', walking: 'walking', walk: 'walking',
+  car: 'driving', driving: 'driving', drive: 'driving',
+  transit: 'transit', bus: 'transit', train: 'transit', subway: 'transit'
+};
+
+const AVOIDABLE = { toll: 'tolls', tolls: 'tolls', highway: 'highways', highways: 'highways', motorways: 'highways', ferry: 'ferries', ferries: 'ferries' };
+
+// Edit patterns are anchored to the whole query so new requests are never mistaken for edits
+const FOLLOW_UP_PATTERNS = [
+  {
+    type: 'reverse',
+    pattern: /^(?:now\s+|and\s+)?(?:reverse|flip|swap)(?:\s+(?:it|that|the route|the direction|directions))?(?:\s+around)?$|^(?:now\s+)?(?:go\s+)?the other way(?:\s+around)?$/i
+  },
+  {
+    type: 'set-mode',
+    pattern: /^(?:now\s+|and\s+|ok\s+)?(?:(?:let's\s+|i'll\s+)?go\s+|(?:make|set|change|switch)\s+(?:it|that|this|the route|the trip)\s+(?:to\s+)?|switch to\s+)?(?:by|on|via)?\s*(bike|bicycle|cycling|cycle|biking|foot|walking|walk|car|driving|drive|transit|bus|train|subway)(?:\s+instead)?$/i
+  },
+  {
+    type: 'set-preferences',
+    pattern: /^(?:now\s+|and\s+|ok\s+)?(avoid|no|without|allow|include)\s+(tolls?|highways?|motorways|ferry|ferries)(?:\s+(instead|too|as well))?$/i
+  },
+  {
+    type: 'replace-stop',
+    pattern: /^(?:now\s+|and\s+)?(?:replace|change)\s+(?:the\s+)?(.+?)\s+(?:with|to|for)\s+(.+)$|^(?:now\s+)?(?:use|try)\s+(.+?)\s+instead of\s+(?:the\s+)?(.+)$/i
+  },
+  {
+    type: 'remove-stop',
+    pattern: /^(?:now\s+|and\s+)?(?:remove|drop|skip|delete|take out)\s+(?:the\s+)?(?:(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last|\d+(?:st|nd|rd|th)?)\s+(?:stop|waypoint|destination|one)|(.+?))$/i
+  },
+  {
+    type: 'add-stop',
+    pattern: /^(?:now\s+|and\s+|also\s+)*(?:add|include|stop\s+(?:at|in|by)|also\s+visit|visit)\s+(.+?)(?:\s+as\s+(?:a|an|another)\s+(?:stop|waypoint))?(?:\s+(before|after)\s+(.+?)|\s+(at the end|at the start|first|last))?$/i
+  },
+  {
+    type: 'set-destination',
+    pattern: /^(?:now\s+|and\s+)?(?:go|head|drive|take me)?\s*to\s+(.+?)\s+instead$/i
+  }
+];
+
+/**
+ * Remember the route result that follow-ups should edit
+ * @param {Object} result - Processed route result with locations and suggestedSequence
+ */
+export function rememberRouteResult(result) {
+  lastRouteResult = result;
+}
+
+/**
+ * Get the route result that follow-ups apply to
+ * @returns {Object|null} - Last route result, or null when there is no route yet
+ */
+export function getDialogueContext() {
+  return lastRouteResult;
+}
+
+/**
+ * Forget the current route, so the next query starts from scratch
+ */
+export function clearDialogueContext() {
+  lastRouteResult = null;
+}
+
+/**
+ * Detect a follow-up edit such as "add Chicago as a stop" or "now by bike"
+ * @param {string} text - The user's query
+ * @returns {Object|null} - Edit as {type, ...details}, or null when the query is not an edit
+ */
+export function parseFollowUpEdit(text) {
+  if (!text) return null;
+  const query = text.trim().replace(/[.!?]+$/, '').replace(/\s+/g, ' ');
+  // A query that is a whole route of its own ("walk from A to B") starts a new route
+  if (parseRouteQuery(query).isExplicitRoute) return null;
+
+  for (const { type, pattern } of FOLLOW_UP_PATTERNS) {
+    const match = query.match(pattern);
+    if (!match) continue;
+
+    if (type === 'reverse') return { type };
+    if (type === 'set-mode') {
+      // A lone mode word ("walk") is a new request; an edit says what it changes ("now walk", "by bike")
+      if (query.toLowerCase() === match[1].toLowerCase()) continue;
+      return { type, travelMode: MODE_WORDS[match[1].toLowerCase()] };
+    }
+    if (type === 'set-preferences') {
+      const allow = /^(allow|include)$/i.test(match[1]);
+      return {
+        type,
+        avoid: AVOIDABLE[match[2].toLowerCase()],
+        allow,
+        replace: Boolean(match[3] && /instead/i.test(match[3]))
+      };
+    }
+    if (type === 'replace-stop') {
+      return match[1] ? { type, name: match[1], replacement: match[2] } : { type, name: match[4], replacement: match[3] };
+    }
+    if (type === 'remove-stop') {
+      return match[1] ? { type, position: readPosition(match[1]) } : { type, name: match[2] };
+    }
+    if (type === 'add-stop') {
+      // "Visit Paris" on its own asks for Paris; "also visit Paris" or "visit Paris after Lyon" adds a stop
+      if (/^visit\s/i.test(query) && !match[2] && !match[4] && !/\bas\s+(?:a|an|another)\s+(?:stop|waypoint)$/i.test(query)) continue;
+      const name = match[1].replace(/^(?:a stop (?:at|in)|the)\s+/i, '');
+      if (match[2]) return { type, name, relation: match[2].toLowerCase(), anchor: match[3] };
+      const where = (match[4] || '').toLowerCase();
+      return { type, name, relation: where === 'first' || where === 'at the start' ? 'start' : where ? 'end' : 'stop' };
+    }
+    if (type === 'set-destination') return { type, name: match[1] };
+  }
+
+  return null;
+}
+
+/**
+ * Apply a follow-up edit to a route result
+ * Stops are counted from the origin: in A → B → C, A is the first stop, B the second and C the last
+ * @param {Object} result - Route result to edit
+ * @param {Object} edit - Edit from parseFollowUpEdit
+ * @returns {Object} - {result, error}; result is the edited copy, or null with an error message
+ */
+export function applyFollowUpEdit(result, edit) {
+  let locations = orderedLocations(result);
+  let travelMode = result.travelMode || 'driving';
+  let preferences = [...(result.preferences || [])];
+  // Per-leg modes follow the legs; edits that add, remove or re-mode legs fall back to a single mode
+  let legModes = result.legModes || null;
+  let change;
+
+  if (edit.type === 'reverse') {
+    locations = locations.reverse();
+    legModes = legModes && [...legModes].reverse();
+    change = 'Reversed the route';
+  } else if (edit.type === 'set-mode') {
+    travelMode = edit.travelMode;
+    legModes = null;
+    change = `Switched to ${travelMode}`;
+  } else if (edit.type === 'set-preferences') {
+    const preference = `avoid ${edit.avoid}`;
+    if (edit.allow) {
+      preferences = preferences.filter(p => p !== preference);
+      change = `Allowing ${edit.avoid} again`;
+    } else {
+      // "avoid tolls instead" replaces the earlier avoidances, "avoid tolls" adds to them
+      preferences = edit.replace ? preferences.filter(p => !/^avoid /.test(p)) : preferences;
+      if (!preferences.includes(preference)) preferences.push(preference);
+      change = `Avoiding ${edit.avoid}${edit.replace ? ' instead' : ''}`;
+    }
+  } else if (edit.type === 'replace-stop') {
+    const index = findLocationIndex(locations, edit.name);
+    if (index === -1) {
+      return { result: null, error: `I couldn't find ${edit.name} in the current route.` };
+    }
+    change = `Replaced ${locations[index].name} with ${edit.replacement}`;
+    locations[index] = scoreLocation({ name: edit.replacement, timeContext: "" }, 'user');
+  } else if (edit.type === 'remove-stop') {
+    const index = edit.name ? findLocationIndex(locations, edit.name) : stopIndex(locations, edit.position);
+    if (index === -1) {
+      return { result: null, error: `I couldn't find ${edit.name || 'that stop'} in the current route.` };
+    }
+    if (locations.length <= 2) {
+      return { result: null, error: 'A route needs at least two places, so I kept that stop.' };
+    }
+    change = `Removed ${locations[index].name}`;
+    locations.splice(index, 1);
+    legModes = null;
+  } else if (edit.type === 'add-stop') {
+    const added = scoreLocation({ name: edit.name, timeContext: "" }, 'user');
+    let index;
+    if (edit.relation === 'before' || edit.relation === 'after') {
+      const anchorIndex = findLocationIndex(locations, edit.anchor);
+      if (anchorIndex === -1) {
+        return { result: null, error: `I couldn't find ${edit.anchor} in the current route.` };
+      }
+      index = edit.relation === 'before' ? anchorIndex : anchorIndex + 1;
+    } else if (edit.relation === 'start') {
+      index = 0;
+    } else if (edit.relation === 'end') {
+      index = locations.length;
+    } else {
+      // A plain "stop" goes just before the final destination
+      index = Math.max(1, locations.length - 1);
+    }
+    locations.splice(index, 0, added);
+    legModes = null;
+    change = `Added ${added.name}`;
+  } else if (edit.type === 'set-destination') {
+    change = `Changed the destination to ${edit.name}`;
+    locations[locations.length - 1] = scoreLocation({ name: edit.name, timeContext: "" }, 'user');
+  }
+
+  const sequence = locations.map(loc => loc.name);
+  return {
+    result: {
+      ...result,
+      isRouteRequest: true,
+      locations,
+      travelMode,
+      preferences,
+      legModes,
+      suggestedSequence: sequence,
+      message: `${change}: ${sequence.join(' → ')}`,
+      followUp: edit.type
+    },
+    error: null
+  };
+}
+
+/**
+ * Location objects of a result in travel order
+ * @param {Object} result - Route result
+ * @returns {Array<Object>} - New array of location objects
+ */
+function orderedLocations(result) {
+  const locations = result.locations || [];
+  if (!result.suggestedSequence || result.suggestedSequence.length === 0) return [...locations];
+
+  return result.suggestedSequence.map(name =>
+    locations.find(loc => loc.name === name) || { name, timeContext: "" }
+  );
+}
+
+/**
+ * Find a location by name, ignoring case
+ * @param {Array<Object>} locations - Locations in travel order
+ * @param {string} name - Name from the follow-up
+ * @returns {number} - Index, or -1 when not found
+ */
+function findLocationIndex(locations, name) {
+  const wanted = name.toLowerCase().replace(/^the\s+/, '');
+  return locations.findIndex(loc => loc.name.toLowerCase() === wanted);
+}
+
+/**
+ * Read "second", "2nd", "2" or "last" as a stop number
+ * @param {string} word - Position word
+ * @returns {number|string} - Stop number, or "last"
+ */
+function readPosition(word) {
+  const lower = word.toLowerCase();
+  if (lower === 'last') return 'last';
+  return ORDINALS[lower] || parseInt(lower, 10);
+}
+
+/**
+ * Convert a stop number to an index into the waypoint list
+ * @param {Array<Object>} locations - Locations in travel order
+ * @param {number|string} position - Stop number or "last"
+ * @returns {number} - Index, or -1 when out of range
+ */
+function stopIndex(locations, position) {
+  if (position === 'last') return locations.length - 1;
+  return position >= 1 && position <= locations.length ? position - 1 : -1;
+}
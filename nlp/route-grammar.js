@@ -0,0 +1,484 @@
+/**
+ * Tokenizer and grammar for route queries
+ * Shared by the enhanced pipeline, the regex extractor and the search fallback,
+ * so a query such as "Route from A to B via C" parses the same way everywhere
+ */
+
+import { LANGUAGE_PACKS } from './language-packs.js';
+import { findCoordinateLiterals } from './coordinates.js';
+import { findTimeExpressions } from './historical-time.js';
+
+// Connector words and the role they give to the phrase that follows them
+const ROUTE_KEYWORDS = LANGUAGE_PACKS.en.route;
+
+// Words that end a place phrase; whatever follows is a modifier, not a place
+const TERMINATOR_WORDS = [
+  'avoid', 'avoiding', 'without', 'no', 'using', 'with', 'leave', 'leaving', 'depart', 'departing', 'arrive', 'arriving',
+  'please', 'today', 'tomorrow', 'tonight', 'now', 'asap', 'for', 'taking',
+  'every', 'each', 'stop', 'stops', 'break', 'breaks', 'rest', 'keep', 'keeping', 'finish', 'finishing', 'under', 'within', 'max', 'maximum'
+];
+
+// Travel mode words that end a place phrase ("to Boston by car", "to the park walking")
+const MODE_WORDS = [
+  'car', 'bike', 'bicycle', 'foot', 'bus', 'train', 'transit', 'walking', 'driving',
+  'cycling', 'biking', 'walk', 'drive', 'cycle'
+];
+
+// Connectors after a mode phrase that make it the mode of the next leg ("walk to B")
+const LEG_OPENING_ROLES = ['from', 'to', 'via', 'between', 'loop'];
+
+// Introductory words stripped from the start of the first phrase
+const LEAD_IN_PATTERN = /^(?:(?:please|can you|could you|i want to|i'd like to|i need to|how (?:do i|can i|to))(?:\s+|$))*(?:(?:show|give|get|find|plan|make|create|display|draw|map|go|drive|walk|cycle|bike|ride|travel|head|fly)(?:\s+|$)(?:me(?:\s+|$))?(?:(?:a|an|the)\s+)?)?(?:(?:walking|driving|cycling|biking|bike|car|scenic|fast|quick|short)(?:\s+|$))*(?:(?:route|path|directions?|way|trip|journey|map|itinerary)(?:\s+|$))?/i;
+
+// Verbs that mean the phrase before "to" is not an origin ("I want to drive to Boston")
+const MOTION_VERB_PATTERN = /\b(?:go|get|drive|walk|cycle|bike|ride|travel|head|fly|take me|want|need|like)$/i;
+
+// Filler words stripped from the end of a place phrase
+const TRAILING_FILLER_PATTERN = /\s+(?:and|or|but|then|please|too|as well)$/i;
+
+/**
+ * Split text into word and punctuation tokens with character offsets
+ * A coordinate literal ("37.7749,-122.4194") becomes a single word token
+ * @param {string} text - Input text
+ * @returns {Array<Object>} - Tokens of {type, value, lower, start, end}
+ */
+export function tokenizeRouteQuery(text) {
+  const tokens = [];
+  const tokenPattern = /(->|→)|([\p{L}\p{N}](?:[\p{L}\p{N}'’-]|\.(?=\p{L}))*)|([,;:.!?])/gu;
+  const literals = findCoordinateLiterals(text);
+  let match;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    const literal = literals.find(l => match.index >= l.start && match.index < l.end);
+    if (literal) {
+      tokens.push({ type: 'word', value: literal.text, lower: literal.text.toLowerCase(), start: literal.start, end: literal.end });
+      tokenPattern.lastIndex = literal.end;
+      continue;
+    }
+
+    if (match[1]) {
+      tokens.push({ type: 'word', value: match[1], lower: match[1], start: match.index, end: match.index + match[1].length });
+    } else if (match[2]) {
+      let value = match[2];
+      // Keep the period on abbreviations such as "St." and "D.C."
+      if (text[match.index + value.length] === '.' && /^(?:st|mt|ft|pt|jr|[a-z](?:\.[a-z])+)$/i.test(value)) {
+        value += '.';
+        tokenPattern.lastIndex++;
+      }
+      tokens.push({ type: 'word', value, lower: value.toLowerCase(), start: match.index, end: match.index + value.length });
+    } else {
+      const type = match[3] === ',' || match[3] === ';' ? 'comma' : match[3] === ':' ? 'colon' : 'stop';
+      tokens.push({ type, value: match[3], lower: match[3], start: match.index, end: match.index + 1 });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a route query into an ordered list of waypoints
+ * @param {string} text - The user's query
+ * @param {Object} [keywords] - Connector keywords from a language pack, defaults to English
+ * @returns {Object} - {waypoints: [{name, start, end, role, mode}], avoidPlaces: [{name, start, end}], legModes, roundTrip, isExplicitRoute};
+ *   a round trip lists its origin once, and places after "not through" or "avoiding" are avoidPlaces, not waypoints.
+ *   A waypoint's mode is the one named for the leg that reaches it ("walk to B", "to B on foot"); legModes
+ *   lists it per leg, with null where the query names none, and a mode named by position ("walk the last part")
+ *   replaces the mode of that leg of the finished route
+ */
+export function parseRouteQuery(text, keywords = ROUTE_KEYWORDS) {
+  const empty = { waypoints: [], avoidPlaces: [], legModes: [], roundTrip: false, isExplicitRoute: false };
+  if (!text || !text.trim()) return empty;
+
+  const tokens = tokenizeRouteQuery(text);
+  const connectors = buildConnectorMatcher(keywords);
+  const andWords = keywords.and || ['and', '&'];
+  const particles = keywords.particles || [];
+  const roadWords = keywords.roadWords || [];
+
+  // Group tokens into phrases, each tagged with the connector that introduced it
+  const phrases = [];
+  let current = { role: 'lead', tokens: [] };
+  let roundTrip = false;
+  let skipping = false;
+  let sawFrom = false;
+  let sawBetween = false;
+  let destinationCount = 0;
+  let pendingMode = null;
+  const positionModes = {};
+
+  const closePhrase = () => {
+    if (current.tokens.length > 0 || current.role !== 'lead') {
+      phrases.push(current);
+    }
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.type === 'stop') {
+      // A full stop ends the query's route part unless more connectors follow
+      skipping = true;
+      continue;
+    }
+
+    let connector = token.type === 'word' ? connectors.match(tokens, i) : null;
+
+    // A particle between two capitalized words is part of a name ("Rio de Janeiro")
+    if (connector && connector.length === 1 && particles.includes(token.lower) &&
+        current.role !== 'lead' && isCapitalizedAt(current.tokens, current.tokens.length - 1) &&
+        isCapitalizedAt(tokens, i + 1)) {
+      connector = null;
+    }
+
+    // A connector ending where a mode phrase starts gives up its last word ("luego a pie a Sevilla")
+    if (connector && connector.length > 1) {
+      const overlap = connectors.match(tokens, i + connector.length - 1);
+      if (overlap && overlap.role === 'mode' && overlap.length > 1) {
+        connector = { ...connector, length: connector.length - 1 };
+      }
+    }
+
+    if (connector && connector.role === 'mode') {
+      // A mode before a destination ("walk to B", "drive from A to B") is for the next leg;
+      // one after a place ("to B on foot") is for the leg reaching that place
+      const next = connectors.match(tokens, i + connector.length);
+      i += connector.length - 1;
+      if (next && next.role === 'legPosition') {
+        // "walk the last part" is placed once vias are in, when the legs are final
+        positionModes[next.position] = connector.mode;
+        i += next.length;
+        skipping = true;
+      } else if (next && LEG_OPENING_ROLES.includes(next.role)) {
+        pendingMode = connector.mode;
+      } else {
+        current.mode = current.mode || connector.mode;
+        skipping = true;
+      }
+      continue;
+    }
+
+    // A leg position without a mode before it is ordinary text
+    if (connector && connector.role === 'legPosition') {
+      connector = null;
+    }
+
+    // "arrive in Chicago" names the destination; "arrive at 5pm" or "arrive in 2 hours" names a time
+    if (connector && connector.role === 'arrive') {
+      const next = tokens[i + connector.length];
+      connector = { ...connector, role: next && /^(?:\d|noon|midnight)/.test(next.lower) ? 'stop' : 'to' };
+    }
+
+    if (connector && connector.role === 'stop') {
+      // Mode and avoidance phrases ("a pie", "sans péage") end the place phrase
+      i += connector.length - 1;
+      skipping = true;
+      continue;
+    }
+
+    if (connector && connector.role === 'back') {
+      roundTrip = true;
+      i += connector.length - 1;
+      skipping = true;
+      continue;
+    }
+
+    if (connector && (connector.role !== 'to' || !isInfinitiveTo(current, phrases))) {
+      // "between A and B": the first "and" after between introduces the destination
+      closePhrase();
+      // "a loop starting and ending at A" introduces the origin of a round trip
+      if (connector.role === 'loop') roundTrip = true;
+      const role = connector.role === 'then' ? 'to' : connector.role === 'loop' ? 'from' : connector.role;
+      current = { role, tokens: [] };
+      if (role === 'to' || role === 'via') {
+        current.mode = pendingMode;
+        pendingMode = null;
+      }
+      if (role === 'from') sawFrom = true;
+      if (role === 'between') sawBetween = true;
+      if (role === 'to') destinationCount++;
+      i += connector.length - 1;
+      skipping = false;
+      continue;
+    }
+
+    if (token.type === 'word' && andWords.includes(token.lower) && current.role === 'between' &&
+        !current.tokens.some(t => andWords.includes(t.lower))) {
+      closePhrase();
+      current = { role: 'to', tokens: [], mode: pendingMode };
+      pendingMode = null;
+      destinationCount++;
+      skipping = false;
+      continue;
+    }
+
+    if (skipping) continue;
+
+    if (token.type === 'word' && current.tokens.length > 0 && isTerminator(tokens, i)) {
+      skipping = true;
+      continue;
+    }
+
+    current.tokens.push(token);
+  }
+  closePhrase();
+
+  // Text before "from"/"between" is a lead-in ("How do I get from ..."), and an
+  // origin written after the destination ("cómo llego a Sevilla desde Madrid") moves first
+  let routePhrases = phrases;
+  if (sawFrom || sawBetween) {
+    routePhrases = phrases.filter(p => p.role !== 'lead');
+    const originIndex = routePhrases.findIndex(p => p.role === 'from' || p.role === 'between');
+    routePhrases = [routePhrases[originIndex], ...routePhrases.filter((p, index) => index !== originIndex)];
+  }
+
+  // Turn each phrase into one or more named places
+  const ordered = [];
+  const avoidPlaces = [];
+  routePhrases.forEach(phrase => {
+    let places = splitPlaceList(text, phrase.tokens, andWords);
+
+    // "avoiding tolls and downtown" names a road preference and a place; only the place is kept
+    if (phrase.role === 'exclude') {
+      avoidPlaces.push(...places.filter(place => !isRoadPreference(place.name, roadWords)));
+      return;
+    }
+
+    if (phrase.role === 'lead' && places.length > 0) {
+      const first = stripLeadIn(places[0]);
+      const isMotionVerb = first && routePhrases.length > 1 && MOTION_VERB_PATTERN.test(first.name);
+      places = [first, ...places.slice(1)].filter(place => place && !(place === first && isMotionVerb));
+    }
+
+    // The first place of a lead-in or "between" phrase is the origin; a bare list continues from it
+    places.forEach((place, placeIndex) => {
+      const isOriginPhrase = phrase.role === 'lead' || phrase.role === 'between';
+      const role = isOriginPhrase ? (placeIndex === 0 ? 'from' : 'to') : phrase.role;
+      ordered.push({ ...place, role, mode: phrase.mode || null });
+    });
+  });
+
+  // "to B via C" means C comes before B; later vias keep their written order.
+  // The via splits the leg to B, so it keeps that leg's mode unless it names its own
+  const waypoints = [];
+  let lastDestination = null;
+  ordered.forEach(place => {
+    if (place.role === 'via' && lastDestination) {
+      waypoints.splice(waypoints.indexOf(lastDestination), 0, { ...place, mode: place.mode || lastDestination.mode });
+      return;
+    }
+    // "to Chicago, arriving in Chicago by 5pm" names the destination twice
+    const previous = waypoints[waypoints.length - 1];
+    if (place.role === 'to' && previous && previous.name.toLowerCase() === place.name.toLowerCase()) return;
+    waypoints.push(place);
+    lastDestination = place.role === 'to' ? place : null;
+  });
+
+  // "to B and back to A" names the origin again; the return leg is implied by roundTrip
+  const closed = closeRoundTrip(waypoints, roundTrip);
+
+  // One mode per leg; the return leg of a round trip has none unless the repeated origin named one
+  const legModes = waypoints.slice(1).map(waypoint => waypoint.mode);
+  if (closed.roundTrip && closed.waypoints.length === waypoints.length && waypoints.length > 1) legModes.push(null);
+  if (legModes.length > 1) {
+    if (positionModes.first) legModes[0] = positionModes.first;
+    if (positionModes.last) legModes[legModes.length - 1] = positionModes.last;
+  }
+
+  return {
+    waypoints: closed.waypoints,
+    avoidPlaces,
+    legModes,
+    roundTrip: closed.roundTrip,
+    isExplicitRoute: closed.waypoints.length >= 2 && (destinationCount > 0 || closed.roundTrip) && (sawFrom || sawBetween)
+  };
+}
+
+/**
+ * Normalize a waypoint list that may end where it started
+ * A list that repeats its origin at the end ("A → B → A") is a round trip; the
+ * repeated origin is dropped so every place is listed once
+ * @param {Array<Object|string>} waypoints - Waypoints as {name} objects or names, in travel order
+ * @param {boolean} [roundTrip] - Whether the query already asked for a round trip
+ * @returns {Object} - {waypoints, roundTrip}
+ */
+export function closeRoundTrip(waypoints, roundTrip = false) {
+  const nameOf = waypoint => (typeof waypoint === 'string' ? waypoint : waypoint.name).trim().toLowerCase();
+  if (waypoints.length > 2 && nameOf(waypoints[0]) === nameOf(waypoints[waypoints.length - 1])) {
+    return { waypoints: waypoints.slice(0, -1), roundTrip: true };
+  }
+  return { waypoints, roundTrip };
+}
+
+/**
+ * Convenience wrapper returning only the waypoint names
+ * @param {string} text - The user's query
+ * @returns {Array<string>} - Waypoint names in travel order
+ */
+export function extractRouteWaypoints(text) {
+  return parseRouteQuery(text).waypoints.map(wp => wp.name);
+}
+
+/**
+ * Build a matcher that recognizes single and multi-word connectors at a token position
+ * @param {Object} keywords - Connector keyword lists by role
+ * @returns {Object} - Matcher with a match(tokens, index) method
+ */
+function buildConnectorMatcher(keywords) {
+  const entries = [];
+  Object.entries(keywords).forEach(([role, phrases]) => {
+    // List words, name particles and road words are handled by the parser itself
+    if (role === 'and' || role === 'particles' || role === 'roadWords') return;
+    if (role === 'legModes') {
+      Object.entries(phrases).forEach(([mode, modePhrases]) => {
+        modePhrases.forEach(phrase => entries.push({ role: 'mode', mode, words: phrase.toLowerCase().split(/\s+/) }));
+      });
+      return;
+    }
+    if (role === 'legPositions') {
+      Object.entries(phrases).forEach(([position, positionPhrases]) => {
+        positionPhrases.forEach(phrase => entries.push({ role: 'legPosition', position, words: phrase.toLowerCase().split(/\s+/) }));
+      });
+      return;
+    }
+    phrases.forEach(phrase => {
+      entries.push({ role, words: phrase.toLowerCase().split(/\s+/) });
+    });
+  });
+  // Longest phrases first so "and then to" wins over "and"
+  entries.sort((a, b) => b.words.length - a.words.length);
+
+  return {
+    match(tokens, index) {
+      for (const entry of entries) {
+        const matches = entry.words.every((word, offset) => {
+          const token = tokens[index + offset];
+          return token && token.type === 'word' && token.lower === word;
+        });
+        if (matches) {
+          return { role: entry.role, mode: entry.mode, position: entry.position, length: entry.words.length };
+        }
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Detect "to" used as an infinitive ("how to get", "want to go") rather than a destination
+ * @param {Object} current - The phrase being built
+ * @param {Array} phrases - Phrases closed so far
+ * @returns {boolean} - Whether this "to" should be treated as an ordinary word
+ */
+function isInfinitiveTo(current, phrases) {
+  if (current.role !== 'lead' || phrases.length > 0 || current.tokens.length === 0) return false;
+  const last = current.tokens[current.tokens.length - 1].lower;
+  return ['how', 'want', 'need', 'like', 'going', 'have', 'plan', 'planning', 'trying'].includes(last);
+}
+
+/**
+ * Check whether the token at index ends a place phrase
+ * @param {Array} tokens - All tokens
+ * @param {number} index - Token position
+ * @returns {boolean} - Whether the phrase ends here
+ */
+function isTerminator(tokens, index) {
+  const word = tokens[index].lower;
+  const next = tokens[index + 1] ? tokens[index + 1].lower : '';
+
+  if (TERMINATOR_WORDS.includes(word)) return true;
+  if ((word === 'by' || word === 'on' || word === 'in') && MODE_WORDS.includes(next)) return true;
+  if (word === 'by' && /^(?:\d|noon|midnight)/.test(next)) return true;
+  if (word === 'at' && /^\d/.test(next)) return true;
+  if (word === 'in' && (next === 'under' || next === 'less')) return true;
+  if (MODE_WORDS.includes(word) && !/^[A-Z]/.test(tokens[index].value)) return true;
+  return false;
+}
+
+/**
+ * Check whether an avoided phrase names road types ("tolls", "the highways") rather than a place
+ * @param {string} name - Phrase after an exclude connector
+ * @param {Array<string>} roadWords - Road type words of the query's language
+ * @returns {boolean} - Whether every word is a road word
+ */
+function isRoadPreference(name, roadWords) {
+  return name.toLowerCase().split(/\s+/).every(word => roadWords.includes(word));
+}
+
+/**
+ * Check whether the token at index is a capitalized word
+ * @param {Array} tokens - Tokens
+ * @param {number} index - Token position
+ * @returns {boolean} - Whether the token starts with an upper-case letter
+ */
+function isCapitalizedAt(tokens, index) {
+  const token = tokens[index];
+  return Boolean(token && token.type === 'word' && /^\p{Lu}/u.test(token.value));
+}
+
+/**
+ * Split a phrase on commas and "and" into separate places
+ * @param {string} text - Original text, used to slice exact names
+ * @param {Array} tokens - Tokens of the phrase
+ * @param {Array<string>} andWords - List words of the query's language
+ * @returns {Array<Object>} - Places as {name, start, end}
+ */
+function splitPlaceList(text, tokens, andWords) {
+  const places = [];
+  let group = [];
+
+  const flush = () => {
+    if (group.length > 0) {
+      const place = makePlace(text, group);
+      if (place) places.push(place);
+    }
+    group = [];
+  };
+
+  tokens.forEach(token => {
+    if (token.type === 'comma' || token.type === 'colon' || (token.type === 'word' && andWords.includes(token.lower))) {
+      flush();
+    } else {
+      group.push(token);
+    }
+  });
+  flush();
+
+  return places;
+}
+
+/**
+ * Create a place from a run of tokens, trimming filler words
+ * @param {string} text - Original text
+ * @param {Array} tokens - Tokens of the place
+ * @returns {Object|null} - {name, start, end} or null when nothing is left or it is only a date
+ */
+function makePlace(text, tokens) {
+  const start = tokens[0].start;
+  const end = tokens[tokens.length - 1].end;
+  const name = text.slice(start, end).replace(/\s+/g, ' ');
+
+  const trimmed = name.replace(TRAILING_FILLER_PATTERN, '');
+  if (!trimmed) return null;
+
+  // A phrase that is only a date ("from 1914 to 1918") names a time, not a place
+  const [time] = findTimeExpressions(trimmed);
+  if (time && time.start === 0 && time.end === trimmed.length) return null;
+
+  return { name: trimmed, start, end: start + trimmed.length };
+}
+
+/**
+ * Remove introductory words ("Show me a walking route") from a place
+ * @param {Object} place - Place as {name, start, end}
+ * @returns {Object|null} - Place with the lead-in removed, or null if nothing is left
+ */
+function stripLeadIn(place) {
+  const match = place.name.match(LEAD_IN_PATTERN);
+  if (!match || match[0].length === 0) return place;
+
+  const name = place.name.slice(match[0].length).trim();
+  if (!name) return null;
+
+  const start = place.start + place.name.length - name.length;
+  return { name, start, end: start + name.length };
+}
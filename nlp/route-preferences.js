@@ -0,0 +1,151 @@
+/**
+ * Typed route preferences
+ * Converts the preference strings produced by extraction ("avoid highways",
+ * "scenic route") into exclusions and an optimization goal, and works out
+ * which of them the Directions API can honour for a given travel mode
+ */
+
+export const ROUTE_EXCLUSIONS = ['tolls', 'highways', 'ferries'];
+export const ROUTE_OPTIMIZATIONS = ['fastest', 'shortest', 'scenic'];
+
+// Directions API exclude values, and the profiles that accept them
+const EXCLUDE_VALUES = {
+  tolls: { value: 'toll', profiles: ['driving'] },
+  highways: { value: 'motorway', profiles: ['driving'] },
+  ferries: { value: 'ferry', profiles: ['driving', 'cycling'] }
+};
+
+const EXCLUSION_PATTERNS = {
+  tolls: /\btolls?\b|\bpeajes?\b|\bmaut\w*|\bpéages?\b/i,
+  highways: /\b(highways?|motorways?|freeways?|interstates?|autopistas?|autovías?|autobahn\w*|autoroutes?)\b/i,
+  ferries: /\b(ferr(y|ies)|ferris?|fähre\w*|bacs?)\b/i
+};
+
+const OPTIMIZATION_PATTERNS = {
+  fastest: /\b(fastest|quickest|fast|quick)\b/i,
+  shortest: /\b(shortest|short)\b/i,
+  scenic: /\b(scenic|picturesque|pretty|beautiful)\b/i
+};
+
+// A mention of a road type only excludes it when it is not asked for ("prefer highways")
+const INCLUSION_PATTERN = /\b(prefer|use|using|take|allow|via)\b/i;
+
+const LABELS = {
+  tolls: 'avoiding tolls',
+  highways: 'avoiding highways',
+  ferries: 'avoiding ferries',
+  fastest: 'fastest route',
+  shortest: 'shortest route',
+  scenic: 'scenic route'
+};
+
+/**
+ * Normalize route preferences into a typed object
+ * Accepts the string list used on NLP results or the boolean flags returned by
+ * extractLocationsWithRegex, so every extractor feeds the same directions request
+ * @param {Array<string>|Object} preferences - Preference strings, or {avoidTolls, avoidHighways, avoidFerries, optimize}
+ * @returns {Object} - {exclude: Array<string>, optimize: string|null}
+ */
+export function normalizeRoutePreferences(preferences) {
+  const normalized = { exclude: [], optimize: null };
+  if (!preferences) return normalized;
+
+  if (!Array.isArray(preferences)) {
+    if (Array.isArray(preferences.exclude)) {
+      return {
+        exclude: preferences.exclude.filter(e => ROUTE_EXCLUSIONS.includes(e)),
+        optimize: ROUTE_OPTIMIZATIONS.includes(preferences.optimize) ? preferences.optimize : null
+      };
+    }
+    if (preferences.avoidTolls) normalized.exclude.push('tolls');
+    if (preferences.avoidHighways) normalized.exclude.push('highways');
+    if (preferences.avoidFerries) normalized.exclude.push('ferries');
+    if (ROUTE_OPTIMIZATIONS.includes(preferences.optimize)) normalized.optimize = preferences.optimize;
+    return normalized;
+  }
+
+  preferences.forEach(preference => {
+    if (typeof preference !== 'string') return;
+
+    ROUTE_EXCLUSIONS.forEach(exclusion => {
+      if (EXCLUSION_PATTERNS[exclusion].test(preference) && !INCLUSION_PATTERN.test(preference) &&
+          !normalized.exclude.includes(exclusion)) {
+        normalized.exclude.push(exclusion);
+      }
+    });
+
+    const optimization = ROUTE_OPTIMIZATIONS.find(goal => OPTIMIZATION_PATTERNS[goal].test(preference));
+    if (optimization && !normalized.optimize) {
+      normalized.optimize = optimization;
+    }
+  });
+
+  return normalized;
+}
+
+/**
+ * Work out the directions request options for a set of preferences
+ * Scenic routes are approximated by avoiding highways, and the shortest route is
+ * picked from the alternatives the API returns
+ * @param {Object} routePreferences - Typed preferences from normalizeRoutePreferences
+ * @param {string} profile - Directions profile (driving, walking, cycling)
+ * @returns {Object} - {exclude, alternatives, applied, notApplied}
+ */
+export function buildDirectionsOptions(routePreferences, profile) {
+  const excludeValues = [];
+  const applied = [];
+  const notApplied = [];
+
+  const exclusions = [...routePreferences.exclude];
+  if (routePreferences.optimize === 'scenic' && !exclusions.includes('highways')) {
+    exclusions.push('highways');
+  }
+
+  exclusions.forEach(exclusion => {
+    const { value, profiles } = EXCLUDE_VALUES[exclusion];
+    if (profiles.includes(profile)) {
+      excludeValues.push(value);
+      if (routePreferences.exclude.includes(exclusion)) applied.push(LABELS[exclusion]);
+    } else if (routePreferences.exclude.includes(exclusion)) {
+      notApplied.push({ label: LABELS[exclusion], reason: `not supported for ${profile}` });
+    }
+  });
+
+  if (routePreferences.optimize === 'scenic') {
+    if (excludeValues.includes('motorway')) {
+      applied.push(routePreferences.exclude.includes('highways') ? LABELS.scenic : `${LABELS.scenic} (avoiding highways)`);
+    } else {
+      notApplied.push({ label: LABELS.scenic, reason: `not supported for ${profile}` });
+    }
+  } else if (routePreferences.optimize) {
+    applied.push(LABELS[routePreferences.optimize]);
+  }
+
+  return {
+    exclude: excludeValues.join(','),
+    alternatives: routePreferences.optimize === 'shortest',
+    applied,
+    notApplied
+  };
+}
+
+/**
+ * Pick the route that best matches the optimization goal
+ * @param {Object} data - Response from /api/mapbox-directions ({route} and optionally {routes})
+ * @param {Object} routePreferences - Typed preferences
+ * @returns {Object|null} - The chosen route
+ */
+export function selectRoute(data, routePreferences) {
+  if (!data) return null;
+
+  const candidates = Array.isArray(data.routes) && data.routes.length > 0 ? data.routes : [data.route].filter(Boolean);
+  if (candidates.length === 0) return null;
+
+  if (routePreferences.optimize === 'shortest') {
+    return candidates.reduce((best, route) => (route.distance < best.distance ? route : best));
+  }
+  if (routePreferences.optimize === 'fastest') {
+    return candidates.reduce((best, route) => (route.duration < best.duration ? route : best));
+  }
+  return data.route || candidates[0];
+}
@@ -0,0 +1,108 @@
+/**
+ * Source-text spans for extracted locations
+ * Every location gets the character offsets of its mentions in the input, so
+ * the analyzed text can be shown with its places highlighted and each
+ * highlight tied to the place's map marker
+ */
+
+import { lookupPlace, recognizePlaces } from './gazetteer.js';
+import { findPlaceAliases } from './place-aliases.js';
+
+/**
+ * Find every mention of a place name in the text
+ * Matches whole words, ignoring case; a name the text does not contain is looked
+ * up in the gazetteer and the alias dictionary, so "Istanbul" still finds
+ * "Constantinople" and "New York" finds "Big Apple"
+ * @param {string} text - Input text
+ * @param {string} name - Place name
+ * @returns {Array<Object>} - Mentions as {start, end}, in text order
+ */
+export function findMentions(text, name) {
+  if (!text || !name || !name.trim()) return [];
+
+  const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'giu');
+  const mentions = [];
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    mentions.push({ start: match.index, end: match.index + match[0].length });
+  }
+  if (mentions.length > 0) return mentions;
+
+  const entry = lookupPlace(name);
+  const recognized = entry
+    ? recognizePlaces(text).filter(place => place.gazetteerName === entry.name)
+    : [];
+  if (recognized.length > 0) {
+    return recognized.map(place => ({ start: place.start, end: place.end }));
+  }
+
+  return findPlaceAliases(text)
+    .filter(alias => alias.name.toLowerCase() === name.trim().toLowerCase())
+    .map(alias => ({ start: alias.start, end: alias.end }));
+}
+
+/**
+ * Attach the mentions of each location to it
+ * A location that already knows where it came from (a route waypoint's span)
+ * keeps that span first
+ * @param {string} text - Input text
+ * @param {Array<Object>} locations - Location objects
+ * @returns {Array<Object>} - Copies with a spans array, empty when the name is not in the text
+ */
+export function attachMentionSpans(text, locations) {
+  return (locations || []).map(location => {
+    const mentions = findMentions(text, location.name);
+    const spans = location.span
+      ? [location.span, ...mentions.filter(m => m.end <= location.span.start || m.start >= location.span.end)]
+      : mentions;
+    return { ...location, spans: spans.sort((a, b) => a.start - b.start) };
+  });
+}
+
+/**
+ * Render the input text as HTML with every location mention highlighted
+ * Overlapping mentions keep the longer one ("New York" over "York")
+ * @param {string} text - Input text
+ * @param {Array<Object>} locations - Locations with spans from attachMentionSpans
+ * @returns {string} - HTML with a <mark class="location-mention" data-location="..."> per mention
+ */
+export function buildHighlightedText(text, locations) {
+  const mentions = [];
+  (locations || []).forEach(location => {
+    (location.spans || []).forEach(span => mentions.push({ ...span, name: location.name }));
+  });
+  mentions.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+
+  const kept = [];
+  mentions.forEach(mention => {
+    if (!kept.some(other => mention.start < other.end && other.start < mention.end)) {
+      kept.push(mention);
+    }
+  });
+  kept.sort((a, b) => a.start - b.start);
+
+  let html = '';
+  let position = 0;
+  kept.forEach(mention => {
+    html += escapeHTML(text.slice(position, mention.start));
+    html += `<mark class="location-mention" data-location="${escapeHTML(mention.name)}">${escapeHTML(text.slice(mention.start, mention.end))}</mark>`;
+    position = mention.end;
+  });
+  html += escapeHTML(text.slice(position));
+
+  return html;
+}
+
+/**
+ * Escape text for use in HTML content and attribute values
+ * @param {string} value - Plain text
+ * @returns {string} - Escaped text
+ */
+export function escapeHTML(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,158 @@
+/**
+ * Build the offline gazetteer module used by the place name recognizer
+ *
+ * Usage:
+ *   node nlp/tools/build-gazetteer.mjs [geonames files...] [--min-population 15000] [--max-alternates 8]
+ *
+ * Input files use the GeoNames "geoname" table format (cities15000.txt, or an
+ * extract of allCountries.txt with the PCLI/CONT/SEA/OCN/RGN rows). Entries from
+ * nlp/data/gazetteer-seed.json are always merged in and win over the dumps.
+ * The result is written to nlp/data/gazetteer-data.js.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const dataDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'data');
+const seedPath = join(dataDir, 'gazetteer-seed.json');
+const outputPath = join(dataDir, 'gazetteer-data.js');
+
+// GeoNames feature codes mapped to our feature classes, first match wins
+const FEATURE_CODE_CLASSES = [
+  { pattern: /^(?:PPLX|SCTN)$/, featureClass: 'neighborhood' },
+  { pattern: /^PCL/, featureClass: 'country' },
+  { pattern: /^CONT$/, featureClass: 'continent' },
+  { pattern: /^(?:SEA|OCN|GULF|BAY|STRT|SD)$/, featureClass: 'sea' },
+  { pattern: /^(?:RGN|RGNH|RGNE|AREA|ADM1|DSRT|MTS|PEN)$/, featureClass: 'region' },
+  { pattern: /^PPL/, featureClass: 'city' }
+];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - {files, minPopulation, maxAlternates}
+ */
+function parseArgs(args) {
+  const options = { files: [], minPopulation: 15000, maxAlternates: 8 };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--min-population') {
+      options.minPopulation = Number(args[++i]);
+    } else if (args[i] === '--max-alternates') {
+      options.maxAlternates = Number(args[++i]);
+    } else {
+      options.files.push(args[i]);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Map a GeoNames feature code to a feature class
+ * @param {string} featureCode - GeoNames feature code
+ * @returns {string|null} - Feature class, or null for features we skip
+ */
+function classifyFeatureCode(featureCode) {
+  const rule = FEATURE_CODE_CLASSES.find(r => r.pattern.test(featureCode));
+  return rule ? rule.featureClass : null;
+}
+
+/**
+ * Read entries from a GeoNames geoname-table dump
+ * @param {string} path - File path
+ * @param {Object} options - Build options
+ * @returns {Array<Object>} - Gazetteer entries
+ */
+function readGeoNamesFile(path, options) {
+  const entries = [];
+
+  readFileSync(path, 'utf8').split('\n').forEach(line => {
+    const columns = line.split('\t');
+    if (columns.length < 15) return;
+
+    const [, name, asciiName, alternateNames, lat, lng, , featureCode, countryCode] = columns;
+    const population = Number(columns[14]) || 0;
+    const featureClass = classifyFeatureCode(featureCode);
+
+    if (!featureClass) return;
+    if ((featureClass === 'city' || featureClass === 'neighborhood') && population < options.minPopulation) return;
+
+    const alternates = new Set([asciiName, ...alternateNames.split(',')]);
+    alternates.delete(name);
+    alternates.delete('');
+
+    entries.push({
+      name,
+      featureClass,
+      countryCode,
+      population,
+      coordinates: [Number(lng), Number(lat)],
+      alternateNames: [...alternates]
+        .filter(alt => /^[\p{Script=Latin}\s.'’-]+$/u.test(alt))
+        .slice(0, options.maxAlternates)
+    });
+  });
+
+  return entries;
+}
+
+/**
+ * Merge entries, keeping the most populous entry per name and class
+ * @param {Array<Object>} seedEntries - Curated entries, which always win
+ * @param {Array<Object>} dumpEntries - Entries from GeoNames files
+ * @returns {Array<Object>} - Merged entries sorted by population
+ */
+function mergeEntries(seedEntries, dumpEntries) {
+  const merged = new Map();
+  const keyOf = entry => `${entry.name.toLowerCase()}|${entry.featureClass}|${entry.countryCode}`;
+
+  dumpEntries.forEach(entry => {
+    const existing = merged.get(keyOf(entry));
+    if (!existing || existing.population < entry.population) {
+      merged.set(keyOf(entry), entry);
+    }
+  });
+  seedEntries.forEach(entry => merged.set(keyOf(entry), entry));
+
+  return [...merged.values()].sort((a, b) => b.population - a.population || a.name.localeCompare(b.name));
+}
+
+/**
+ * Serialize entries as a compact ES module
+ * @param {Array<Object>} entries - Gazetteer entries
+ * @param {Array<string>} sources - Input file names, recorded in the header
+ * @returns {string} - Module source
+ */
+function renderModule(entries, sources) {
+  const rows = entries.map(entry => '  ' + JSON.stringify([
+    entry.name,
+    entry.featureClass,
+    entry.countryCode,
+    entry.population,
+    entry.coordinates[0],
+    entry.coordinates[1],
+    entry.alternateNames
+  ]));
+
+  return `/**
+ * Offline gazetteer data for the place name recognizer
+ * Generated by nlp/tools/build-gazetteer.mjs from ${sources.join(', ')} - do not edit by hand
+ * Row format: [name, featureClass, countryCode, population, longitude, latitude, alternateNames]
+ */
+
+export const GAZETTEER_ROWS = [
+${rows.join(',\n')}
+];
+`;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const seed = JSON.parse(readFileSync(seedPath, 'utf8'));
+const dumpEntries = options.files.flatMap(file => readGeoNamesFile(file, options));
+const entries = mergeEntries(seed.entries, dumpEntries);
+const sources = ['gazetteer-seed.json', ...options.files.map(file => file.split(/[\\/]/).pop())];
+
+writeFileSync(outputPath, renderModule(entries, sources));
+console.log(`Wrote ${entries.length} gazetteer entries to ${outputPath}`);
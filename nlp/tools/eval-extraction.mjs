@@ -0,0 +1,491 @@
+/**
+ * Score the location extractors against the labeled corpus
+ *
+ * Usage:
+ *   node nlp/tools/eval-extraction.mjs [--extractor name] [--tag tag] [--verbose] [--trace]
+ *                                      [--json] [--update-baseline] [--check]
+ *
+ * --verbose lists every case an extractor missed; --trace keeps the modules' console output.
+ *
+ * Cases come from nlp/data/eval-corpus.json. LLM calls are answered from
+ * nlp/data/eval-fixtures.json: the enhanced pipeline through the stub provider,
+ * nlp-03 and nlp-04 through a stand-in for fetch('/api/gemini'). A call with no
+ * fixture fails the way an unreachable API would, so the extractor's own fallback runs.
+ *
+ * A case with a "previous" query is a follow-up edit: only the enhanced pipeline
+ * scores it, by processing the previous query and applying the edit to that route.
+ * Departure and arrival times are read against a fixed clock, EVAL_NOW.
+ *
+ * --update-baseline writes the current scores to nlp/data/eval-baseline.json;
+ * --check exits with status 1 when a case that matched in the baseline no longer does.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { processNaturalLanguage as processNaturalLanguage03 } from '../nlp-03.js';
+import { processNaturalLanguage as processNaturalLanguage04 } from '../nlp-04.js';
+import { extractLocationsWithRegex, extractBasicRouteLocations } from '../nlp-06.js';
+import { processNaturalLanguageInput } from '../enhanced-nlp-06.js';
+import { parseFollowUpEdit, applyFollowUpEdit } from '../route-dialogue.js';
+import { configureLLMProvider } from '../llm-providers.js';
+import { normalizePlaceName } from '../gazetteer.js';
+import { normalizeRoutePreferences } from '../route-preferences.js';
+
+const dataDir = join(dirname(fileURLToPath(import.meta.url)), '..', 'data');
+const corpusPath = join(dataDir, 'eval-corpus.json');
+const fixturesPath = join(dataDir, 'eval-fixtures.json');
+const baselinePath = join(dataDir, 'eval-baseline.json');
+
+// Clock the cases' times are read against: late in the evening, so "at 9" has passed
+const EVAL_NOW = new Date(2026, 2, 10, 22, 30).getTime();
+
+// Every extractor is adapted to {locations: [names], isRouteRequest, travelMode, preferences, intent, timeRanges, legModes, times}
+const EXTRACTORS = {
+  'nlp-03': async input => fromLegacyResult(await processNaturalLanguage03(input)),
+  'nlp-04': async input => fromLegacyResult(await processNaturalLanguage04(input)),
+  'nlp-06': async input => fromLegacyResult(extractLocationsWithRegex(input)),
+  'basic': async input => ({ locations: extractBasicRouteLocations(input), isRouteRequest: null, travelMode: null, preferences: null, intent: null, timeRanges: null, legModes: null, times: null }),
+  'enhanced': async (input, previous) => fromEnhancedResult(previous
+    ? await processFollowUp(previous, input)
+    : await processNaturalLanguageInput(input))
+};
+
+// Only the enhanced pipeline keeps a route for follow-up edits to change
+const FOLLOW_UP_EXTRACTORS = ['enhanced'];
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} - {extractors, tag, verbose, trace, json, updateBaseline, check}
+ */
+function parseArgs(args) {
+  const options = { extractors: [], tag: null, verbose: false, trace: false, json: false, updateBaseline: false, check: false };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--extractor') {
+      options.extractors.push(args[++i]);
+    } else if (args[i] === '--tag') {
+      options.tag = args[++i];
+    } else if (args[i] === '--verbose') {
+      options.verbose = true;
+    } else if (args[i] === '--trace') {
+      options.trace = true;
+    } else if (args[i] === '--json') {
+      options.json = true;
+    } else if (args[i] === '--update-baseline') {
+      options.updateBaseline = true;
+    } else if (args[i] === '--check') {
+      options.check = true;
+    } else {
+      throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+
+  if (options.extractors.length === 0) options.extractors = Object.keys(EXTRACTORS);
+  options.extractors.forEach(name => {
+    if (!EXTRACTORS[name]) throw new Error(`Unknown extractor: ${name}`);
+  });
+
+  return options;
+}
+
+/**
+ * Adapt the {locations, preferences: {transportMode, avoid*}} shape of nlp-03/04/06
+ * @param {Object|Array} result - Extractor result
+ * @returns {Object} - Adapted prediction
+ */
+function fromLegacyResult(result) {
+  const preferences = result && result.preferences ? result.preferences : {};
+  return {
+    locations: result && Array.isArray(result.locations) ? result.locations : [],
+    isRouteRequest: null,
+    travelMode: preferences.transportMode || 'driving',
+    preferences: normalizeRoutePreferences(preferences),
+    intent: null,
+    timeRanges: null,
+    legModes: null,
+    times: null
+  };
+}
+
+/**
+ * Adapt a processNaturalLanguageInput result, using its suggested order
+ * @param {Object} result - Processed result
+ * @returns {Object} - Adapted prediction
+ */
+function fromEnhancedResult(result) {
+  const names = result.suggestedSequence && result.suggestedSequence.length > 0
+    ? result.suggestedSequence
+    : result.locations.map(loc => loc.name);
+  return {
+    locations: names,
+    isRouteRequest: result.isRouteRequest,
+    travelMode: result.travelMode,
+    preferences: normalizeRoutePreferences(result.preferences),
+    intent: result.intent ? result.intent.type : null,
+    timeRanges: Object.fromEntries(result.locations
+      .filter(loc => loc.timeRange)
+      .map(loc => [normalizePlaceName(loc.name), [loc.timeRange.start, loc.timeRange.end]])),
+    legModes: result.legModes || [],
+    times: { departAt: result.departAt || null, arriveBy: result.arriveBy || null }
+  };
+}
+
+/**
+ * Process a query and apply a follow-up edit to its route
+ * @param {string} previous - Query that creates the route
+ * @param {string} input - Follow-up edit
+ * @returns {Promise<Object>} - Edited result
+ */
+async function processFollowUp(previous, input) {
+  const edit = parseFollowUpEdit(input);
+  if (!edit) throw new Error('Not read as a follow-up edit');
+
+  const { result, error } = applyFollowUpEdit(await processNaturalLanguageInput(previous), edit);
+  if (error) throw new Error(error);
+  return result;
+}
+
+/**
+ * Serve fixtures to the enhanced pipeline and to fetch('/api/gemini')
+ * @param {Object} fixtures - Fixture entries keyed by input text
+ * @param {Set<string>} missing - Collects inputs that had no fixture
+ */
+function installFixtures(fixtures, missing) {
+  configureLLMProvider({
+    type: 'stub',
+    respond: (prompt, context) => {
+      missing.add(`enhanced: ${context.inputText}`);
+      throw new Error('No fixture recorded for this input');
+    },
+    fixtures: Object.fromEntries(
+      Object.entries(fixtures)
+        .filter(([, entry]) => entry.enhanced)
+        .map(([input, entry]) => [input, entry.enhanced])
+    )
+  });
+
+  // nlp-03 and nlp-04 embed the query in the prompt, as written or as a JSON
+  // string, so the longest contained input wins
+  const inputs = Object.keys(fixtures).sort((a, b) => b.length - a.length);
+  globalThis.fetch = async (url, request) => {
+    const body = JSON.parse(request.body);
+    const prompt = body.prompt || '';
+    const input = inputs.find(text => (prompt.includes(text) || prompt.includes(JSON.stringify(text))) && fixtures[text].legacy);
+    if (!input) {
+      missing.add(`legacy: ${prompt.slice(0, 60)}`);
+      return { ok: false, status: 503, statusText: 'No fixture', json: async () => ({}) };
+    }
+
+    const reply = fixtures[input].legacy;
+    const part = body.functionCalling || body.functionDeclarations
+      ? { functionCall: { name: 'extractRouteInfo', args: reply } }
+      : { text: JSON.stringify(reply) };
+    return { ok: true, status: 200, json: async () => ({ candidates: [{ content: { parts: [part] } }] }) };
+  };
+}
+
+/**
+ * Make new Date() and Date.now() return a fixed time
+ * @param {number} now - Milliseconds since the epoch
+ */
+function freezeClock(now) {
+  const RealDate = Date;
+  globalThis.Date = class extends RealDate {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [now]));
+    }
+
+    static now() {
+      return now;
+    }
+  };
+}
+
+/**
+ * Run an extractor with the modules' console output silenced
+ * @param {Function} extractor - Adapted extractor
+ * @param {Object} testCase - Corpus case
+ * @param {boolean} trace - Keep console output
+ * @returns {Promise<Object>} - Prediction, or an empty prediction with an error
+ */
+async function runQuietly(extractor, testCase, trace) {
+  const saved = { log: console.log, warn: console.warn, error: console.error };
+  if (!trace) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  try {
+    return await extractor(testCase.input, testCase.previous);
+  } catch (error) {
+    return { locations: [], isRouteRequest: null, travelMode: null, preferences: null, intent: null, timeRanges: null, legModes: null, times: null, error: error.message };
+  } finally {
+    Object.assign(console, saved);
+  }
+}
+
+/**
+ * Match predicted names to expected names, each expected entry being a name or a list of accepted names
+ * @param {Array} expected - Expected entries
+ * @param {Array<string>} predicted - Predicted names
+ * @returns {Array<number>} - For each expected entry, the index of its predicted match or -1
+ */
+function matchLocations(expected, predicted) {
+  const used = new Set();
+  const normalizedPredicted = predicted.map(name => normalizePlaceName(String(name)));
+
+  return expected.map(entry => {
+    const accepted = (Array.isArray(entry) ? entry : [entry]).map(normalizePlaceName);
+    const index = normalizedPredicted.findIndex((name, i) => !used.has(i) && accepted.includes(name));
+    if (index !== -1) used.add(index);
+    return index;
+  });
+}
+
+/**
+ * Share of matched pairs that appear in the expected relative order
+ * @param {Array<number>} matches - Result of matchLocations
+ * @returns {number|null} - Order accuracy, or null with fewer than two matches
+ */
+function orderAccuracy(matches) {
+  const found = matches.filter(index => index !== -1);
+  if (found.length < 2) return null;
+
+  let pairs = 0;
+  let inOrder = 0;
+  for (let i = 0; i < found.length; i++) {
+    for (let j = i + 1; j < found.length; j++) {
+      pairs++;
+      if (found[i] < found[j]) inOrder++;
+    }
+  }
+  return inOrder / pairs;
+}
+
+/**
+ * Score one prediction against a case
+ * @param {Object} testCase - Corpus case
+ * @param {Object} prediction - Adapted prediction
+ * @returns {Object} - Per-case score
+ */
+function scoreCase(testCase, prediction) {
+  const { expected } = testCase;
+  const matches = matchLocations(expected.locations, prediction.locations);
+  const truePositives = matches.filter(index => index !== -1).length;
+  const order = expected.ordered ? orderAccuracy(matches) : null;
+
+  const score = {
+    id: testCase.id,
+    predicted: prediction.locations,
+    truePositives,
+    expectedCount: expected.locations.length,
+    predictedCount: prediction.locations.length,
+    order,
+    exact: truePositives === expected.locations.length &&
+      prediction.locations.length === expected.locations.length &&
+      (order === null || order === 1),
+    mode: null,
+    preferences: null,
+    routeType: null,
+    intent: null,
+    timeRange: null,
+    legModes: null,
+    times: null,
+    error: prediction.error || null
+  };
+
+  if (expected.travelMode && prediction.travelMode) {
+    score.mode = prediction.travelMode === expected.travelMode;
+  }
+  if (expected.preferences && prediction.preferences) {
+    const wanted = normalizeRoutePreferences(expected.preferences);
+    score.preferences = wanted.optimize === prediction.preferences.optimize &&
+      [...wanted.exclude].sort().join() === [...prediction.preferences.exclude].sort().join();
+  }
+  if (typeof expected.isRouteRequest === 'boolean' && typeof prediction.isRouteRequest === 'boolean') {
+    score.routeType = prediction.isRouteRequest === expected.isRouteRequest;
+  }
+  if (expected.intent && prediction.intent) {
+    score.intent = prediction.intent === expected.intent;
+  }
+  if (expected.timeRanges && prediction.timeRanges) {
+    score.timeRange = Object.entries(expected.timeRanges).every(([name, range]) =>
+      (prediction.timeRanges[normalizePlaceName(name)] || []).join() === range.join());
+  }
+  if (expected.legModes && prediction.legModes) {
+    score.legModes = prediction.legModes.join() === expected.legModes.join();
+  }
+  if ((expected.departAt || expected.arriveBy) && prediction.times) {
+    score.times = prediction.times.departAt === (expected.departAt || null) &&
+      prediction.times.arriveBy === (expected.arriveBy || null);
+  }
+
+  return score;
+}
+
+/**
+ * Aggregate per-case scores; precision and recall are micro-averaged over locations
+ * @param {Array<Object>} scores - Per-case scores
+ * @returns {Object} - Summary metrics
+ */
+function summarize(scores) {
+  const sum = key => scores.reduce((total, s) => total + s[key], 0);
+  const rate = key => {
+    const judged = scores.filter(s => s[key] !== null);
+    if (judged.length === 0) return null;
+    return judged.reduce((total, s) => total + Number(s[key]), 0) / judged.length;
+  };
+
+  const truePositives = sum('truePositives');
+  const precision = sum('predictedCount') > 0 ? truePositives / sum('predictedCount') : 0;
+  const recall = sum('expectedCount') > 0 ? truePositives / sum('expectedCount') : 0;
+
+  return {
+    cases: scores.length,
+    exact: rate('exact'),
+    precision,
+    recall,
+    f1: precision + recall > 0 ? 2 * precision * recall / (precision + recall) : 0,
+    order: rate('order'),
+    mode: rate('mode'),
+    preferences: rate('preferences'),
+    routeType: rate('routeType'),
+    intent: rate('intent'),
+    timeRange: rate('timeRange'),
+    legModes: rate('legModes'),
+    times: rate('times')
+  };
+}
+
+/**
+ * Render the side-by-side summary table
+ * @param {Object} summaries - Summary per extractor
+ * @returns {string} - Plain-text table
+ */
+function renderTable(summaries) {
+  const columns = ['exact', 'precision', 'recall', 'f1', 'order', 'mode', 'preferences', 'routeType', 'intent', 'timeRange', 'legModes', 'times'];
+  const format = value => (value === null ? '-' : `${(value * 100).toFixed(1)}%`);
+  const header = ['extractor'.padEnd(10), 'cases'.padStart(5), ...columns.map(c => c.padStart(11))].join(' ');
+
+  const rows = Object.entries(summaries).map(([name, summary]) => [
+    name.padEnd(10),
+    String(summary.cases).padStart(5),
+    ...columns.map(column => format(summary[column]).padStart(11))
+  ].join(' '));
+
+  return [header, ...rows].join('\n');
+}
+
+/**
+ * List the cases an extractor did not get exactly right
+ * @param {string} name - Extractor name
+ * @param {Array<Object>} scores - Per-case scores
+ * @param {Object} casesById - Corpus cases by id
+ * @returns {string} - Plain-text report
+ */
+function renderMisses(name, scores, casesById) {
+  const misses = scores.filter(s => !s.exact || s.mode === false || s.preferences === false || s.routeType === false || s.intent === false || s.timeRange === false || s.legModes === false || s.times === false);
+  if (misses.length === 0) return `${name}: no misses`;
+
+  const lines = misses.map(s => {
+    const expected = casesById[s.id].expected.locations.map(e => (Array.isArray(e) ? e[0] : e));
+    const problems = [
+      !s.exact ? `locations ${JSON.stringify(s.predicted)}, expected ${JSON.stringify(expected)}` : null,
+      s.mode === false ? 'wrong mode' : null,
+      s.preferences === false ? 'wrong preferences' : null,
+      s.routeType === false ? 'wrong route/place type' : null,
+      s.intent === false ? 'wrong intent' : null,
+      s.timeRange === false ? 'wrong time range' : null,
+      s.legModes === false ? 'wrong leg modes' : null,
+      s.times === false ? 'wrong departure or arrival time' : null,
+      s.error ? `error: ${s.error}` : null
+    ].filter(Boolean);
+    return `  ${s.id}: ${problems.join('; ')}`;
+  });
+  return `${name}:\n${lines.join('\n')}`;
+}
+
+/**
+ * Compare exact matches with the stored baseline
+ * @param {Object} results - Per-case scores by extractor
+ * @param {Object} baseline - Stored baseline
+ * @returns {Array<string>} - Regressions as "extractor: case"
+ */
+function findRegressions(results, baseline) {
+  const regressions = [];
+  Object.entries(results).forEach(([name, scores]) => {
+    const previous = baseline.extractors[name];
+    if (!previous) return;
+    scores.forEach(score => {
+      if (previous.exactCases.includes(score.id) && !score.exact) {
+        regressions.push(`${name}: ${score.id}`);
+      }
+    });
+  });
+  return regressions;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const corpus = JSON.parse(readFileSync(corpusPath, 'utf8'));
+const { fixtures } = JSON.parse(readFileSync(fixturesPath, 'utf8'));
+
+const cases = corpus.cases.filter(c => !options.tag || (c.tags || []).includes(options.tag));
+const casesById = Object.fromEntries(cases.map(c => [c.id, c]));
+const missingFixtures = new Set();
+installFixtures(fixtures, missingFixtures);
+freezeClock(EVAL_NOW);
+
+const results = {};
+for (const name of options.extractors) {
+  results[name] = [];
+  for (const testCase of cases) {
+    if (testCase.previous && !FOLLOW_UP_EXTRACTORS.includes(name)) continue;
+    const prediction = await runQuietly(EXTRACTORS[name], testCase, options.trace);
+    results[name].push(scoreCase(testCase, prediction));
+  }
+}
+
+const summaries = Object.fromEntries(Object.entries(results).map(([name, scores]) => [name, summarize(scores)]));
+
+if (options.json) {
+  console.log(JSON.stringify({ summaries, results, missingFixtures: [...missingFixtures] }, null, 2));
+} else {
+  console.log(renderTable(summaries));
+  if (options.verbose) {
+    console.log('');
+    Object.entries(results).forEach(([name, scores]) => console.log(renderMisses(name, scores, casesById)));
+  }
+  if (missingFixtures.size > 0) {
+    console.log(`\n${missingFixtures.size} LLM calls had no fixture and fell back:`);
+    [...missingFixtures].forEach(entry => console.log(`  ${entry}`));
+  }
+}
+
+if (options.updateBaseline) {
+  const baseline = {
+    extractors: Object.fromEntries(Object.entries(results).map(([name, scores]) => [name, {
+      ...summaries[name],
+      exactCases: scores.filter(s => s.exact).map(s => s.id)
+    }]))
+  };
+  writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+  console.log(`\nWrote baseline to ${baselinePath}`);
+}
+
+if (options.check) {
+  if (!existsSync(baselinePath)) {
+    console.error('No baseline found; run with --update-baseline first');
+    process.exit(1);
+  }
+  const regressions = findRegressions(results, JSON.parse(readFileSync(baselinePath, 'utf8')));
+  if (regressions.length > 0) {
+    console.error(`\n${regressions.length} regressions against the baseline:`);
+    regressions.forEach(entry => console.error(`  ${entry}`));
+    process.exit(1);
+  }
+  console.log('\nNo regressions against the baseline');
+}
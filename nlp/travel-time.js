@@ -0,0 +1,190 @@
+/**
+ * Departure and arrival time parsing for route requests
+ * Turns phrases such as "leaving at 7am tomorrow" or "arrive by 5pm" into
+ * local timestamps in the YYYY-MM-DDThh:mm format the Directions API expects
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Clock times after a cue word: "at 7am", "by 17:30", "before noon", "leaving at 7"
+const CLOCK_PATTERN = /\b(leav(?:e|ing)\s+at|depart(?:ing)?\s+at|start(?:ing)?\s+at|arriv(?:e|ing)\s+(?:by|at|before)|at|by|before|around)\s+(noon|midnight|(\d{1,2})(?::(\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?)(?![\w:])/gi;
+
+// Relative departures: "leaving in 30 minutes", "depart in 2 hours"
+const RELATIVE_PATTERN = /\b(?:leav(?:e|ing)|depart(?:ing)?|start(?:ing)?|go(?:ing)?)\s+in\s+(\d+)\s*(minutes?|mins?|hours?|hrs?)\b/i;
+
+// Departures without a clock time: "leaving now", "tomorrow morning"
+const NOW_PATTERN = /\b(?:leav(?:e|ing)|depart(?:ing)?|go(?:ing)?|start(?:ing)?)\s+(?:right\s+)?now\b/i;
+const PART_OF_DAY_PATTERN = /\b(this|tomorrow)\s+(morning|afternoon|evening)\b|\btonight\b/i;
+const PART_OF_DAY_HOURS = { morning: 9, afternoon: 14, evening: 18, tonight: 20 };
+
+// Words that make a time an arrival rather than a departure ("arrive in Chicago by 5pm")
+const ARRIVAL_CUE_PATTERN = /\b(arriv(?:e|ing|al)|get(?:ting)?\s+there|be\s+there|reach(?:ing)?)\b/i;
+
+const DAY_PATTERN = new RegExp(`\\b(today|tonight|tomorrow|(?:(next|this|on)\\s+)?(${WEEKDAYS.join('|')}))\\b`, 'i');
+
+/**
+ * Parse departure and arrival times from a route request
+ * @param {string} text - The user's query
+ * @param {Date} [now] - Reference time, defaults to the current time
+ * @returns {Object} - {departAt, arriveBy, expressions}; times are local "YYYY-MM-DDThh:mm" strings or null
+ */
+export function parseTravelTime(text, now = new Date()) {
+  const result = { departAt: null, arriveBy: null, expressions: [] };
+  if (!text) return result;
+
+  const dayMatch = text.match(DAY_PATTERN);
+  const baseDay = dayMatch ? resolveDay(dayMatch, now) : null;
+
+  let match;
+  CLOCK_PATTERN.lastIndex = 0;
+  while ((match = CLOCK_PATTERN.exec(text)) !== null) {
+    const cue = match[1].toLowerCase();
+    const clock = parseClock(match, dayMatch && /tonight/i.test(dayMatch[1]));
+    if (!clock) continue;
+
+    // A bare number followed by a name is an address, not a time ("at 12 Main Street")
+    const isBareNumber = !match[4] && !match[5] && match[3];
+    if (isBareNumber && /^\s*\p{Lu}/u.test(text.slice(match.index + match[0].length))) continue;
+
+    // "by"/"before" always mean arrival; "at" only when an arrival word precedes it
+    const isArrival = /^arriv/.test(cue) || cue === 'by' || cue === 'before' ||
+      (cue === 'at' && ARRIVAL_CUE_PATTERN.test(text.slice(0, match.index)));
+    const type = isArrival ? 'arriveBy' : 'departAt';
+    if (result[type]) continue;
+
+    result[type] = formatDirectionsTime(resolveDateTime(baseDay, clock, now, dayMatch && /tonight/i.test(dayMatch[1])));
+    result.expressions.push({ type, text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+
+  if (!result.departAt && !result.arriveBy) {
+    const relative = text.match(RELATIVE_PATTERN);
+    const partOfDay = text.match(PART_OF_DAY_PATTERN);
+    const leavingNow = text.match(NOW_PATTERN);
+
+    if (relative) {
+      const minutes = Number(relative[1]) * (/^h/i.test(relative[2]) ? 60 : 1);
+      result.departAt = formatDirectionsTime(new Date(now.getTime() + minutes * 60000));
+      result.expressions.push({ type: 'departAt', text: relative[0], start: relative.index, end: relative.index + relative[0].length });
+    } else if (partOfDay) {
+      const part = (partOfDay[2] || 'tonight').toLowerCase();
+      const day = startOfDay(now);
+      if (partOfDay[1] && partOfDay[1].toLowerCase() === 'tomorrow') day.setDate(day.getDate() + 1);
+      day.setHours(PART_OF_DAY_HOURS[part]);
+      // A part of the day that has already begun ("tonight" at 10pm) leaves now, not in the past
+      result.departAt = formatDirectionsTime(day < now ? now : day);
+      result.expressions.push({ type: 'departAt', text: partOfDay[0], start: partOfDay.index, end: partOfDay.index + partOfDay[0].length });
+    } else if (leavingNow) {
+      result.departAt = formatDirectionsTime(now);
+      result.expressions.push({ type: 'departAt', text: leavingNow[0], start: leavingNow.index, end: leavingNow.index + leavingNow[0].length });
+    }
+  }
+
+  if (result.expressions.length > 0) {
+    console.log('Parsed travel time:', { departAt: result.departAt, arriveBy: result.arriveBy });
+  }
+
+  return result;
+}
+
+/**
+ * Format a date as a local "YYYY-MM-DDThh:mm" timestamp for the Directions API
+ * @param {Date} date - Date to format
+ * @returns {string} - Local timestamp without seconds or time zone
+ */
+export function formatDirectionsTime(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Format a timestamp for the Route Details panel ("Tue 7:00 AM")
+ * @param {string|Date} value - "YYYY-MM-DDThh:mm" timestamp or Date
+ * @returns {string} - Human-readable local time
+ */
+export function formatTravelTime(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  return date.toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Read the hour and minute from a CLOCK_PATTERN match
+ * Times without am/pm before 7 are read as afternoon ("by 5" means 5pm)
+ * @param {Array} match - CLOCK_PATTERN match
+ * @param {boolean} isEvening - Whether the query says "tonight"
+ * @returns {Object|null} - {hours, minutes} or null when the numbers are not a time
+ */
+function parseClock(match, isEvening) {
+  const word = match[2].toLowerCase();
+  if (word === 'noon') return { hours: 12, minutes: 0 };
+  if (word === 'midnight') return { hours: 0, minutes: 0 };
+
+  let hours = Number(match[3]);
+  const minutes = match[4] ? Number(match[4]) : 0;
+  const meridiem = match[5] ? match[5].toLowerCase().replace(/\./g, '') : null;
+
+  if (hours > 23 || minutes > 59) return null;
+  // "at 0" is a count; ordinals such as "at 5th Avenue" never reach this point
+  if (!meridiem && !match[4] && hours === 0) return null;
+
+  if (meridiem) {
+    if (hours > 12) return null;
+    if (meridiem === 'pm' && hours < 12) hours += 12;
+    if (meridiem === 'am' && hours === 12) hours = 0;
+  } else if (!match[4] && hours <= 12 && (hours < 7 || isEvening)) {
+    hours = hours === 12 ? 12 : hours + 12;
+  }
+
+  return { hours, minutes };
+}
+
+/**
+ * Resolve a day expression to the start of that day
+ * @param {Array} dayMatch - DAY_PATTERN match
+ * @param {Date} now - Reference time
+ * @returns {Date} - Midnight of the named day
+ */
+function resolveDay(dayMatch, now) {
+  const word = dayMatch[1].toLowerCase();
+  const day = startOfDay(now);
+
+  if (word === 'tomorrow') {
+    day.setDate(day.getDate() + 1);
+  } else if (dayMatch[3]) {
+    const target = WEEKDAYS.indexOf(dayMatch[3].toLowerCase());
+    let offset = (target - day.getDay() + 7) % 7;
+    if (offset === 0 && dayMatch[2] && dayMatch[2].toLowerCase() === 'next') offset = 7;
+    day.setDate(day.getDate() + offset);
+  }
+
+  return day;
+}
+
+/**
+ * Combine a day and a clock time; without a day, or "tonight", a time that has passed means tomorrow
+ * @param {Date|null} baseDay - Day from the query, or null
+ * @param {Object} clock - {hours, minutes}
+ * @param {Date} now - Reference time
+ * @param {boolean} [rollsOver] - Whether a passed time moves to the next day even with a day given
+ * @returns {Date} - Resolved date and time
+ */
+function resolveDateTime(baseDay, clock, now, rollsOver = false) {
+  const date = baseDay ? new Date(baseDay) : startOfDay(now);
+  date.setHours(clock.hours, clock.minutes, 0, 0);
+
+  if ((!baseDay || rollsOver) && date < now) {
+    date.setDate(date.getDate() + 1);
+  }
+
+  return date;
+}
+
+/**
+ * Get midnight of the given day
+ * @param {Date} date - Any time on the day
+ * @returns {Date} - New date at 00:00 local time
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
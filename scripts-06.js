@@ -2,12 +2,30 @@
 const API_URL = window.location.hostname === 'localhost' ? '' : window.location.origin;
 
 // Import NLP modules
-import { extractLocationsWithRegex } from './nlp.js';
+import { extractLocationsWithRegex, extractBasicRouteLocations } from './nlp.js';
+import { parseTravelTime } from './travel-time.js';
+import { parseRouteConstraints } from './route-constraints.js';
+import { scoreLocations, needsConfirmation } from './location-confidence.js';
+import { parseFollowUpEdit, applyFollowUpEdit, getDialogueContext, rememberRouteResult, clearDialogueContext } from './route-dialogue.js';
+import { cacheCoordinates } from './result-cache.js';
+import { planItineraryDays, MAX_ISOCHRONE_MINUTES } from './intents.js';
+import { formatCoordinates } from './coordinates.js';
+import { estimateReachableArea } from './reachable-area.js';
+import { escapeHTML } from './text-spans.js';
+import { locationTypeExpression, zoomForLocationType } from './location-types.js';
+import { legModeExpression } from './leg-modes.js';
+import { loadPlaceAliases } from './place-aliases.js';
 import { 
   processNaturalLanguageInput, 
   displayLocationChips, 
+  attachChipConfirmation,
+  displaySourceText,
+  highlightMentions,
   showLocationsOnMap,
-  createRoute 
+  createRoute,
+  chooseGeocodingCandidate,
+  cancelGeocodingChoice,
+  calculateDistance
 } from './enhanced-nlp.js';
 
 // We need to set a valid Mapbox token for the map to load properly
@@ -69,9 +87,39 @@ async function initializeMap() {
           'line-join': 'round',
           'line-cap': 'round'
         },
+        paint: {
+          // Legs of a mixed-mode trip carry their mode
+          'line-color': legModeExpression('color'),
+          'line-width': legModeExpression('width')
+        }
+      });
+      
+      // Add a source for the area reachable in a given time
+      map.addSource('isochrone', {
+        type: 'geojson',
+        data: {
+          type: 'FeatureCollection',
+          features: []
+        }
+      });
+      
+      map.addLayer({
+        id: 'isochrone-fill',
+        type: 'fill',
+        source: 'isochrone',
+        paint: {
+          'fill-color': '#00a0f0',
+          'fill-opacity': 0.2
+        }
+      });
+      
+      map.addLayer({
+        id: 'isochrone-outline',
+        type: 'line',
+        source: 'isochrone',
         paint: {
           'line-color': '#00a0f0',
-          'line-width': 3
+          'line-width': 2
         }
       });
       
@@ -84,18 +132,45 @@ async function initializeMap() {
         }
       });
       
+      // Marker size and color follow the location type (sea, country, city, ...)
       map.addLayer({
         id: 'location-points',
         type: 'circle',
         source: 'locations',
         paint: {
-          'circle-radius': 8,
-          'circle-color': '#B42222',
+          'circle-radius': locationTypeExpression('radius'),
+          'circle-color': locationTypeExpression('color'),
           'circle-stroke-width': 2,
           'circle-stroke-color': '#ffffff'
         }
       });
       
+      // Type icon drawn over the marker, falling back to a plain marker icon
+      map.addLayer({
+        id: 'location-icons',
+        type: 'symbol',
+        source: 'locations',
+        layout: {
+          'icon-image': ['coalesce', ['image', locationTypeExpression('icon')], ['image', 'marker']],
+          'icon-size': 0.8,
+          'icon-allow-overlap': true
+        }
+      });
+      
+      // Ring around the marker whose mention is hovered in the source text
+      map.addLayer({
+        id: 'location-highlight',
+        type: 'circle',
+        source: 'locations',
+        filter: ['==', ['get', 'title'], ''],
+        paint: {
+          'circle-radius': ['+', locationTypeExpression('radius'), 6],
+          'circle-color': 'rgba(0, 0, 0, 0)',
+          'circle-stroke-width': 3,
+          'circle-stroke-color': '#ff9800'
+        }
+      });
+      
       // Add popup on click
       map.on('click', 'location-points', (e) => {
         if (!e.features || e.features.length === 0) return;
@@ -107,6 +182,9 @@ async function initializeMap() {
           .setLngLat(coordinates)
           .setHTML(description)
           .addTo(map);
+        
+        // Show where the place is mentioned in the analyzed text
+        highlightMentions(sourceTextDisplay, e.features[0].properties.title);
       });
       
       // Change cursor on hover
@@ -135,10 +213,14 @@ async function initializeMap() {
 // Call the initialize function when the page loads
 document.addEventListener('DOMContentLoaded', initializeMap);
 
+// Site-specific nicknames and abbreviations extend the built-in place alias dictionary
+loadPlaceAliases(`${API_URL}/place-aliases.json`);
+
 const searchInput = document.getElementById('search-input');
 const searchButton = document.getElementById('search-button');
 const loadingIndicator = document.getElementById('loading-indicator');
 const messageDisplay = document.getElementById('message-display');
+const sourceTextDisplay = document.getElementById('source-text') || createSourceTextDisplay();
 
 searchButton.addEventListener('click', async () => {
   const inputValue = searchInput.value;
@@ -148,69 +230,20 @@ searchButton.addEventListener('click', async () => {
     return;
   }
   
-  // Special handling for the Gibbon text
-  const isGibbonText = inputValue.includes("Gibbon's canvas") && 
-                        inputValue.includes("Mediterranean") && 
-                        inputValue.includes("Constantinople") &&
-                        inputValue.includes("1453");
+  // A place choice left open by the previous query is dropped with it
+  cancelGeocodingChoice();
   
-  if (isGibbonText) {
-    console.log("Directly processing Gibbon text example without API call");
-    // Hide loading indicator
-    loadingIndicator.style.display = 'none';
-    
-    // Create the pre-defined locations with explicit coordinates
-    const gibbonLocations = [
-      {name: "Mediterranean", coordinates: [14.5528, 37.6489], timeContext: ""},
-      {name: "sub-Saharan Africa", coordinates: [17.5707, 3.3578], timeContext: ""},
-      {name: "China", coordinates: [104.1954, 35.8617], timeContext: ""},
-      {name: "Constantinople", coordinates: [28.9784, 41.0082], timeContext: "1453"}
-    ];
-    
-    // Display message with location chips
-    displayLocationChips(
-      gibbonLocations.map(loc => ({name: loc.name, timeContext: loc.timeContext})),
-      "I found several geographical locations mentioned in this historical text. Would you like to see them visualized on a map?",
-      messageDisplay
-    );
-    
-    // Add event listeners to location chips
-    setTimeout(() => {
-      const chips = messageDisplay.querySelectorAll('.location-chip');
-      chips.forEach(chip => {
-        chip.addEventListener('click', () => {
-          chip.classList.toggle('selected');
-          
-          // Enable create route button if we have at least 2 selected locations
-          const createRouteBtn = document.getElementById('create-route-btn');
-          if (createRouteBtn) {
-            const selectedCount = messageDisplay.querySelectorAll('.location-chip.selected').length;
-            createRouteBtn.disabled = selectedCount < 2;
-            createRouteBtn.style.opacity = selectedCount < 2 ? 0.5 : 1;
-          }
-        });
-      });
-      
-      // Add event listener to create route button
-      const createRouteBtn = document.getElementById('create-route-btn');
-      if (createRouteBtn) {
-        createRouteBtn.addEventListener('click', () => {
-          const selectedLocations = [];
-          messageDisplay.querySelectorAll('.location-chip.selected').forEach(chip => {
-            selectedLocations.push(chip.getAttribute('data-location'));
-          });
-          
-          if (selectedLocations.length >= 2) {
-            createRoute(selectedLocations, 'driving', [], map, displayMessage);
-          } else {
-            displayMessage('Please select at least two locations to create a route.');
-          }
-        });
-      }
-    }, 100);
-    
-    // Show the locations on the map directly with pre-defined coordinates
-    displayGibbonLocations(gibbonLocations, map);
+  // Follow-ups such as "add Chicago as a stop" or "now by bike" edit the current route
+  const currentRoute = getDialogueContext();
+  const followUpEdit = currentRoute ? parseFollowUpEdit(inputValue) : null;
+  if (followUpEdit) {
+    console.log('Applying follow-up edit to the current route:', followUpEdit);
+    const { result: editedResult, error } = applyFollowUpEdit(currentRoute, followUpEdit);
+    if (error) {
+      displayMessage(escapeHTML(error));
+    } else {
+      handleProcessedResult(editedResult);
+    }
     return;
   }
   
@@ -245,21 +278,31 @@ searchButton.addEventListener('click', async () => {
     
     // Try extracting locations with regex directly
     const regexResult = extractLocationsWithRegex(inputValue);
+    const { departAt, arriveBy } = parseTravelTime(inputValue);
+    const constraints = parseRouteConstraints(inputValue);
     if (regexResult && regexResult.locations && regexResult.locations.length >= 2) {
       console.log('Using regex-extracted locations as fallback:', regexResult);
       
       // Convert the format from nlp.js to a format that enhanced-nlp.js can use
       const adaptedResult = {
         isRouteRequest: true,
-        locations: regexResult.locations.map(loc => ({ name: loc, timeContext: "" })),
+        locations: scoreLocations(regexResult.locations.map(loc => ({ name: loc, timeContext: "" })), 'route-grammar'),
         travelMode: regexResult.preferences.transportMode || "driving",
         preferences: [
           regexResult.preferences.avoidTolls ? "avoid tolls" : null,
           regexResult.preferences.avoidHighways ? "avoid highways" : null,
-          regexResult.preferences.avoidFerries ? "avoid ferries" : null
+          regexResult.preferences.avoidFerries ? "avoid ferries" : null,
+          regexResult.preferences.optimize ? `${regexResult.preferences.optimize} route` : null
         ].filter(Boolean),
         message: `Creating a route between ${regexResult.locations.join(' and ')}`,
-        suggestedSequence: regexResult.locations
+        suggestedSequence: regexResult.locations,
+        roundTrip: regexResult.roundTrip,
+        avoidPlaces: regexResult.avoidPlaces || [],
+        legModes: regexResult.legModes || null,
+        language: regexResult.language,
+        departAt,
+        arriveBy,
+        constraints
       };
       
       // Use the adapted result with handleProcessedResult
@@ -271,11 +314,14 @@ searchButton.addEventListener('click', async () => {
       if (basicLocations && basicLocations.length >= 2) {
         const basicResult = {
           isRouteRequest: true,
-          locations: basicLocations.map(loc => ({ name: loc, timeContext: "" })),
+          locations: scoreLocations(basicLocations.map(loc => ({ name: loc, timeContext: "" })), 'route-grammar'),
           travelMode: "driving",
           preferences: [],
           message: `Creating a route between ${basicLocations.join(' and ')}`,
-          suggestedSequence: basicLocations
+          suggestedSequence: basicLocations,
+          departAt,
+          arriveBy,
+          constraints
         };
         handleProcessedResult(basicResult);
       } else {
@@ -292,6 +338,24 @@ searchInput.addEventListener('keypress', (event) => {
   }
 });
 
+// "Did you mean ...?" buttons under a route re-run it with the corrected name
+messageDisplay.addEventListener('click', (event) => {
+  const button = event.target.closest('.spelling-correction');
+  const currentRoute = getDialogueContext();
+  if (!button || !currentRoute) return;
+  
+  const { result: correctedResult, error } = applyFollowUpEdit(currentRoute, {
+    type: 'replace-stop',
+    name: button.getAttribute('data-name'),
+    replacement: button.getAttribute('data-correction')
+  });
+  if (error) {
+    displayMessage(escapeHTML(error));
+  } else {
+    handleProcessedResult(correctedResult);
+  }
+});
+
 /**
  * Handle the processed result from NLP
  * @param {Object} result - The processed result
@@ -300,6 +364,18 @@ function handleProcessedResult(result) {
   // Clear any previous messages
   messageDisplay.innerHTML = '';
   messageDisplay.style.display = 'none';
+  sourceTextDisplay.innerHTML = '';
+  sourceTextDisplay.style.display = 'none';
+  clearIsochrone();
+  
+  // Questions about places get their own kind of answer instead of a route or chips
+  const intentType = result.intent ? result.intent.type : null;
+  const answerIntent = INTENT_HANDLERS[intentType];
+  if (answerIntent) {
+    clearDialogueContext();
+    Promise.resolve(answerIntent(result)).catch(reportFailure('answering your question'));
+    return;
+  }
   
   // Check if we have locations
   if (!result.locations || result.locations.length === 0) {
@@ -310,26 +386,50 @@ function handleProcessedResult(result) {
   // Extract location names
   const locationNames = result.locations.map(loc => loc.name);
   
-  if (result.isRouteRequest && locationNames.length >= 2) {
+  // Extract just the names for routing
+  const routeSequence = result.suggestedSequence && result.suggestedSequence.length >= 2 
+    ? result.suggestedSequence 
+    : locationNames;
+  
+  // Only route requests are routed; a trip plan the model read as prose is shown as places
+  const isRouteLike = result.isRouteRequest;
+  
+  if (isRouteLike && locationNames.length >= 2 && result.locations.some(needsConfirmation)) {
+    // Uncertain waypoints are confirmed before anything is geocoded
+    displayLocationChips(result.locations, 'Please confirm the highlighted places before I create the route.', messageDisplay);
+    attachChipConfirmation(messageDisplay, result.locations, (confirmed, pendingCount) => {
+      if (pendingCount > 0) return;
+      startRoute(result, applyConfirmedNames(routeSequence, locationNames, result.locations));
+    });
+  } else if (isRouteLike && locationNames.length >= 2) {
     // It's a route request with multiple locations
-    displayMessage(`Creating route between ${locationNames.join(', ')}${result.travelMode !== 'driving' ? ' via ' + result.travelMode : ''}${result.preferences && result.preferences.length > 0 ? ' with preferences: ' + result.preferences.join(', ') : ''}`);
-    
-    // Extract just the names for routing
-    const routeLocations = result.suggestedSequence && result.suggestedSequence.length >= 2 
-      ? result.suggestedSequence 
-      : locationNames;
-      
-    // Create the route
-    createRoute(routeLocations, result.travelMode || 'driving', result.preferences || [], map, displayMessage);
+    startRoute(result, routeSequence);
   } else if (locationNames.length > 0) {
-    // It's not a route request or has only one location
+    // It's not a route request or has only one location, so there is no route to edit any more
+    clearDialogueContext();
+    
     // Display message and location chips
     displayLocationChips(result.locations, result.message || `I found these locations mentioned: ${locationNames.join(', ')}`, messageDisplay);
     
+    // Show the analyzed text with its places highlighted and linked to their markers
+    displaySourceText(result.sourceText, result.locations, sourceTextDisplay, highlightMarker);
+    
+    // Only confirmed locations are geocoded; the map is refreshed as chips are resolved
+    attachChipConfirmation(messageDisplay, result.locations, confirmed => {
+      displaySourceText(result.sourceText, result.locations, sourceTextDisplay, highlightMarker);
+      if (confirmed.length > 0) {
+        showLocationsOnMap(confirmed, map, mapboxToken)
+          .then(placed => cacheCoordinates(result.cacheKey, placed))
+          .catch(reportFailure('placing the locations on the map'));
+      }
+    });
+    
     // Add event listeners to location chips
     const chips = messageDisplay.querySelectorAll('.location-chip');
     chips.forEach(chip => {
       chip.addEventListener('click', () => {
+        // Uncertain chips have to be accepted before they can be selected
+        if (chip.classList.contains('needs-confirmation')) return;
         chip.classList.toggle('selected');
         
         // Enable create route button if we have at least 2 selected locations
@@ -352,7 +452,9 @@ function handleProcessedResult(result) {
         });
         
         if (selectedLocations.length >= 2) {
-          createRoute(selectedLocations, 'driving', [], map, displayMessage);
+          // Remembered like any other route, so follow-ups and spelling corrections can edit it
+          rememberRouteResult({ ...result, isRouteRequest: true, travelMode: 'driving', preferences: [], suggestedSequence: selectedLocations });
+          createRoute(selectedLocations, 'driving', [], map, displayMessage, geocodingOptions(result.sourceText));
         } else {
           displayMessage('Please select at least two locations to create a route.');
         }
@@ -360,242 +462,389 @@ function handleProcessedResult(result) {
     }
     
     // Show locations on the map
-    showLocationsOnMap(result.locations, map, mapboxToken);
+    const confirmedLocations = result.locations.filter(loc => !needsConfirmation(loc));
+    if (confirmedLocations.length > 0) {
+      // Geocoded coordinates are kept with the cached result, so the same text is placed offline next time
+      showLocationsOnMap(confirmedLocations, map, mapboxToken)
+        .then(placed => cacheCoordinates(result.cacheKey, placed))
+        .catch(reportFailure('placing the locations on the map'));
+    }
   }
 }
 
 /**
- * Display a message in the message container
- * @param {string} message - The message to display
+ * Announce and create the route for a processed result
+ * @param {Object} result - The processed result
+ * @param {Array<string>} routeLocations - Location names in travel order
  */
-function displayMessage(message) {
-  messageDisplay.innerHTML = message;
-  messageDisplay.style.display = 'block';
+function startRoute(result, routeLocations) {
+  // Keep the route so follow-up queries can edit it
+  rememberRouteResult({ ...result, suggestedSequence: routeLocations });
+  
+  const names = routeLocations.map(escapeHTML);
+  const routeDescription = result.roundTrip
+    ? `round trip ${names.join(' → ')} → ${names[0]}`
+    : `route between ${names.join(', ')}`;
+  const avoidPlaces = result.avoidPlaces || [];
+  const modeDescription = result.legModes
+    ? ` (${result.legModes.join(' → ')})`
+    : result.travelMode !== 'driving' ? ' via ' + result.travelMode : '';
+  displayMessage(`Creating ${routeDescription}${modeDescription}${result.preferences && result.preferences.length > 0 ? ' with preferences: ' + escapeHTML(result.preferences.join(', ')) : ''}${avoidPlaces.length > 0 ? ', avoiding ' + avoidPlaces.map(escapeHTML).join(', ') : ''}`);
+  
+  // Trip plans show their day-by-day breakdown above the route details
+  const itineraryHTML = result.intent && result.intent.type === 'itinerary'
+    ? buildItineraryHTML(planItineraryDays(result.roundTrip ? [...routeLocations, routeLocations[0]] : routeLocations, result.intent.days))
+    : '';
+  const showRouteMessage = itineraryHTML ? message => displayMessage(itineraryHTML + message) : displayMessage;
+  
+  createRoute(routeLocations, result.travelMode || 'driving', result.preferences || [], map, showRouteMessage, {
+    departAt: result.departAt,
+    arriveBy: result.arriveBy,
+    constraints: result.constraints,
+    legModes: result.legModes,
+    roundTrip: Boolean(result.roundTrip),
+    avoidPlaces,
+    ...geocodingOptions(result.sourceText)
+  });
 }
 
 /**
- * Extract basic route locations using simple regex patterns
- * This is a simplified version of the logic in nlp.js to catch common route patterns
+ * Options that let createRoute rank ambiguous place names in context and ask the user when unsure
+ * @param {string} sourceText - The query the places came from
+ * @returns {Object} - {sourceText, chooseCandidate}
  */
-function extractBasicRouteLocations(text) {
-  if (!text) return [];
-  
-  // Clean and normalize the input
-  const normalizedText = text.trim().replace(/[.!?]+$/, '').trim();
-  console.log('Extracting route locations from:', normalizedText);
-  
-  // First check for specific multi-word cities in the text
-  const commonCities = [
-    'New York', 'Los Angeles', 'San Francisco', 'Las Vegas', 'San Diego',
-    'Washington DC', 'New Orleans', 'San Jose', 'Saint Louis', 'St Louis',
-    'Mexico City', 'New Delhi', 'Hong Kong', 'Rio de Janeiro', 'Buenos Aires',
-    'Tel Aviv', 'St Petersburg', 'Central Park', 'Times Square'
-  ];
-  
-  // Check for walking/driving routes with specific patterns
-  // "Walking route from Central Park to Times Square"
-  const specificRoutePattern = /(?:walking|driving|cycling|biking)?\s*route\s+(?:from\s+)?(.*?)\s+to\s+(.*?)(?:$|\.|\s+via\s+|\s+through\s+)/i;
-  const specificMatch = normalizedText.match(specificRoutePattern);
-  
-  if (specificMatch && specificMatch[1] && specificMatch[2]) {
-    console.log('Matched specific route pattern:', specificMatch[1], 'to', specificMatch[2]);
-    
-    // Check if either location might be a partial match for a common city
-    let from = specificMatch[1].trim();
-    let to = specificMatch[2].trim();
-    
-    // Try to match partial city names with full names
-    from = matchPartialCityName(from, commonCities) || from;
-    to = matchPartialCityName(to, commonCities) || to;
-    
-    return [from, to];
-  }
-  
-  // Try "from X to Y" pattern next
-  const fromToPattern = /(?:from|in)\s+(.*?)\s+to\s+(.*?)(?:$|\.|\s+via\s+|\s+through\s+)/i;
-  const fromToMatch = normalizedText.match(fromToPattern);
-  if (fromToMatch && fromToMatch[1] && fromToMatch[2]) {
-    console.log('Matched from-to pattern:', fromToMatch[1], 'to', fromToMatch[2]);
-    
-    let from = fromToMatch[1].trim();
-    let to = fromToMatch[2].trim();
-    
-    // Try to match partial city names with full names
-    from = matchPartialCityName(from, commonCities) || from;
-    to = matchPartialCityName(to, commonCities) || to;
-    
-    return [from, to];
-  }
+function geocodingOptions(sourceText) {
+  return {
+    sourceText,
+    chooseCandidate: (name, candidates) => chooseGeocodingCandidate(name, candidates, messageDisplay)
+  };
+}
+
+/**
+ * Build the day-by-day list for a trip plan
+ * @param {Array<Object>} plan - Days from planItineraryDays
+ * @returns {string} - HTML list of days
+ */
+function buildItineraryHTML(plan) {
+  const days = plan.map(({ day, places, stay }) => stay
+    ? `<li><strong>Day ${day}:</strong> ${escapeHTML(places[0])}</li>`
+    : `<li><strong>Day ${day}:</strong> ${places.map(escapeHTML).join(' → ')}</li>`
+  ).join('');
+  return `<h3>Itinerary</h3><ol style="padding-left: 20px;">${days}</ol>`;
+}
+
+// Answers for question intents, keyed by intent type
+const INTENT_HANDLERS = {
+  'where-is': showWhereIs,
+  'distance': showDistance,
+  'nearby': showNearby,
+  'isochrone': showIsochrone
+};
+
+// Points of interest further than this from the place asked about are left out
+const NEARBY_RADIUS_KM = 5;
+
+/**
+ * Answer "where is X" by zooming to the place
+ * @param {Object} result - Processed result with a where-is intent
+ */
+function showWhereIs(result) {
+  const [location] = result.locations;
+  displayMessage(`<p>${escapeHTML(result.message)}</p>`);
   
-  // Try multiple waypoints - "From New York to Los Angeles to Chicago"
-  if (normalizedText.toLowerCase().includes('from') && 
-      (normalizedText.match(/\bto\b/gi) || []).length >= 2) {
-    
-    // First split by "from" to get the starting point
-    const fromSplit = normalizedText.toLowerCase().split(/\bfrom\b/i);
-    
-    if (fromSplit.length >= 2) {
-      // Now split the rest by "to"
-      const parts = fromSplit[1].split(/\bto\b/i);
-      
-      if (parts.length >= 2) {
-        const waypoints = parts.map(part => {
-          // Clean up each part
-          return part.trim()
-            .replace(/^[\s,;:]+/, '') // Remove leading separators
-            .replace(/[\s,;:.!?]+$/, ''); // Remove trailing separators and punctuation
-        }).filter(part => part.length > 0);
-        
-        // Check each waypoint for partial city name matches
-        const fullWaypoints = waypoints.map(wp => matchPartialCityName(wp, commonCities) || wp);
-        
-        console.log('Extracted multi-waypoint route:', fullWaypoints);
-        return fullWaypoints;
-      }
+  showLocationsOnMap([location], map, mapboxToken).then(placed => {
+    if (placed.length === 0) {
+      displayMessage(`I couldn't find ${escapeHTML(location.name)} on the map. Please check the spelling and try again.`);
+      return;
     }
-  }
+    map.flyTo({ center: placed[0].coordinates, zoom: zoomForLocationType(placed[0].locationType) });
+    displayMessage(`<h3>${escapeHTML(location.name)}</h3><p>${formatCoordinates(placed[0].coordinates)}</p>`);
+  }).catch(reportFailure('finding the place'));
+}
+
+/**
+ * Answer "how far is X from Y" with the straight-line and travel distance
+ * @param {Object} result - Processed result with a distance intent
+ */
+function showDistance(result) {
+  const [from, to] = result.locations;
+  const travelMode = result.travelMode || 'driving';
+  displayMessage(`<p>${escapeHTML(result.message)}</p>`);
   
-  // Try "X to Y" pattern if all else fails
-  const toPattern = /^(.*?)\s+to\s+(.*?)(?:$|\.|\s+via\s+|\s+through\s+)/i;
-  const toMatch = normalizedText.match(toPattern);
-  if (toMatch && toMatch[1] && toMatch[2]) {
-    console.log('Matched direct to pattern:', toMatch[1], 'to', toMatch[2]);
-    
-    let from = toMatch[1].trim();
-    let to = toMatch[2].trim();
+  showLocationsOnMap([from, to], map, mapboxToken).then(async placed => {
+    // Geocoding finishes in any order, so the ends are picked by name
+    const start = placed.find(p => p.name === from.name);
+    const end = placed.find(p => p.name === to.name);
+    if (!start || !end) {
+      displayMessage(`I couldn't find ${escapeHTML(start ? to.name : from.name)} on the map. Please check the spelling and try again.`);
+      return;
+    }
     
-    // Try to match partial city names with full names
-    from = matchPartialCityName(from, commonCities) || from;
-    to = matchPartialCityName(to, commonCities) || to;
+    const straightLine = calculateDistance(start.coordinates[1], start.coordinates[0], end.coordinates[1], end.coordinates[0]);
+    let routeLine = [start.coordinates, end.coordinates];
+    let travelInfo = `<p>No ${travelMode} route was found between them.</p>`;
     
-    return [from, to];
-  }
-  
-  // If everything fails, just split by "to" as a last resort
-  const parts = normalizedText.split(/\s+to\s+/i);
-  if (parts.length >= 2) {
-    // Clean up all parts
-    const cleanedParts = parts.map(part => {
-      let cleaned = part.trim();
+    try {
+      const response = await fetch(`${API_URL}/api/mapbox-directions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ coordinates: [start.coordinates, end.coordinates], profile: travelMode })
+      });
+      if (!response.ok) throw new Error(`Directions API error: ${response.status}`);
       
-      // Remove common prefixes from the first part
-      if (part === parts[0]) {
-        // Clean up "from" in the first part if it exists
-        if (cleaned.toLowerCase().startsWith('from ')) {
-          cleaned = cleaned.substring(5).trim();
-        }
-        
-        // Clean up other potential prefixes
-        cleaned = cleaned.replace(/^(walking|driving|cycling|route|path|directions?)\s+/i, '').trim();
+      const data = await response.json();
+      if (data.route && data.route.geometry) {
+        routeLine = data.route.geometry.coordinates;
+        travelInfo = `<p><strong>By ${travelMode}:</strong> ${(data.route.distance / 1000).toFixed(1)} km, ${Math.round(data.route.duration / 60)} min</p>`;
       }
-      
-      // Clean up trailing punctuation
-      cleaned = cleaned.replace(/[,.?!:;]+$/, '').trim();
-      
-      return cleaned;
-    }).filter(p => p.length > 0);
+    } catch (error) {
+      console.error('Error getting travel distance:', error);
+    }
     
-    // Check each part for partial city name matches
-    const fullParts = cleanedParts.map(part => matchPartialCityName(part, commonCities) || part);
+    map.getSource('route').setData({
+      type: 'Feature',
+      properties: {},
+      geometry: { type: 'LineString', coordinates: routeLine }
+    });
     
-    console.log('Extracted locations from simple split:', fullParts);
-    return fullParts;
-  }
-  
-  return [];
+    displayMessage(`
+      <h3>Distance</h3>
+      <p><strong>From:</strong> ${escapeHTML(from.name)} <strong>To:</strong> ${escapeHTML(to.name)}</p>
+      <p><strong>Straight line:</strong> ${straightLine.toFixed(1)} km</p>
+      ${travelInfo}
+    `);
+  }).catch(reportFailure('measuring the distance'));
 }
 
 /**
- * Try to match a partial city name to a full city name
- * @param {string} partialName - Potentially partial city name
- * @param {Array} cityList - List of full city names
- * @returns {string|null} - Full city name if matched, or null
+ * Answer "what's near X" with points of interest around the place
+ * Places are searched through the geocoding proxy, biased towards the origin
+ * @param {Object} result - Processed result with a nearby intent
  */
-function matchPartialCityName(partialName, cityList) {
-  if (!partialName || !cityList) return null;
+async function showNearby(result) {
+  const { category } = result.intent;
+  displayMessage(`<p>${escapeHTML(result.message)}</p>`);
   
-  // Clean up the partial name
-  const cleaned = partialName.trim().toLowerCase();
+  const origin = await findAnswerOrigin(result);
+  if (!origin) return;
+  const [lng, lat] = origin.coordinates;
   
-  // First check if this is already a full city name
-  for (const city of cityList) {
-    if (city.toLowerCase() === cleaned) {
-      return city; // Already a perfect match
-    }
+  // Without a category, the "longitude,latitude" query lists the places at the origin
+  let places = [];
+  try {
+    const response = await fetch(`${API_URL}/api/mapbox-geocoding`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ location: category || `${lng},${lat}`, proximity: [lng, lat], types: 'poi', limit: 10 })
+    });
+    if (!response.ok) throw new Error(`Place search error: ${response.status}`);
+    const data = await response.json();
+    // A proxy that only returns its best match gives a single place
+    const features = Array.isArray(data.features)
+      ? data.features
+      : data.coordinates ? [{ text: data.placeName, place_name: data.placeName, center: data.coordinates }] : [];
+    places = features
+      .map(feature => ({
+        name: feature.text,
+        address: feature.place_name,
+        coordinates: feature.center,
+        distance: calculateDistance(lat, lng, feature.center[1], feature.center[0])
+      }))
+      .filter(place => place.distance <= NEARBY_RADIUS_KM)
+      .sort((a, b) => a.distance - b.distance);
+  } catch (error) {
+    console.error('Error searching nearby places:', error);
   }
   
-  // Check for partial matches (e.g., "Los" should match "Los Angeles")
-  for (const city of cityList) {
-    // Get each word in the city name
-    const cityWords = city.toLowerCase().split(/\s+/);
-    
-    // If the partial name matches the first word of a multi-word city
-    if (cityWords.length > 1 && cityWords[0] === cleaned) {
-      console.log(`Matched partial city name "${partialName}" to full name "${city}"`);
-      return city;
-    }
+  if (places.length === 0) {
+    displayMessage(`<h3>Near ${escapeHTML(origin.name)}</h3><p>I couldn't find any ${escapeHTML(category || 'places')} within ${NEARBY_RADIUS_KM} km.</p>`);
+    return;
   }
   
-  return null;
+  // Keep the place asked about and add a marker for each result
+  const features = [origin, ...places].map(place => ({
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: place.coordinates },
+    properties: {
+      title: place.name,
+      description: `<h3>${escapeHTML(place.name)}</h3>${place.address ? `<p>${escapeHTML(place.address)}</p>` : ''}`,
+      locationType: place.locationType || 'poi'
+    }
+  }));
+  map.getSource('locations').setData({ type: 'FeatureCollection', features });
+  
+  const bounds = new mapboxgl.LngLatBounds();
+  features.forEach(feature => bounds.extend(feature.geometry.coordinates));
+  map.fitBounds(bounds, { padding: 50, maxZoom: 15 });
+  
+  const list = places.map(place => `<li>${escapeHTML(place.name)} <small>(${place.distance.toFixed(1)} km)</small></li>`).join('');
+  displayMessage(`<h3>${escapeHTML(category ? category.charAt(0).toUpperCase() + category.slice(1) : 'Places')} near ${escapeHTML(origin.name)}</h3><ul style="padding-left: 20px;">${list}</ul>`);
 }
 
 /**
- * Display the Gibbon example locations on the map directly with predefined coordinates
- * @param {Array} locations - Array of location objects with name, coordinates, and timeContext
- * @param {Object} map - Mapbox map instance
+ * Answer "how far can I get in N minutes" with the reachable area
+ * The area is estimated from routes through the directions proxy
+ * @param {Object} result - Processed result with an isochrone intent
  */
-function displayGibbonLocations(locations, map) {
-  console.log('Displaying Gibbon locations with predefined coordinates:', locations);
+async function showIsochrone(result) {
+  const { minutes, travelMode } = result.intent;
+  const profile = ['driving', 'walking', 'cycling'].includes(travelMode) ? travelMode : 'driving';
+  const contourMinutes = Math.min(minutes, MAX_ISOCHRONE_MINUTES);
+  displayMessage(`<p>${escapeHTML(result.message)}</p>`);
   
-  // Clear existing route
-  const routeSource = map.getSource('route');
-  if (routeSource) {
-    routeSource.setData({
-      type: 'Feature',
-      geometry: {
-        type: 'LineString',
-        coordinates: []
-      }
-    });
-  }
+  const origin = await findAnswerOrigin(result);
+  if (!origin) return;
   
-  // Create features for each location
-  const features = locations.map(location => {
-    const timeInfo = location.timeContext ? `<p><em>Time period: ${location.timeContext}</em></p>` : '';
-    const description = `<h3>${location.name}</h3>${timeInfo}<p>Historical location</p>`;
+  try {
+    const data = await estimateReachableArea(API_URL, origin.coordinates, contourMinutes, profile);
     
-    return {
-      type: 'Feature',
-      geometry: {
-        type: 'Point',
-        coordinates: location.coordinates
-      },
-      properties: {
-        description: description,
-        title: location.name,
-        timeContext: location.timeContext || ''
-      }
-    };
-  });
-  
-  // Update the locations source
-  const locationsSource = map.getSource('locations');
-  if (locationsSource) {
-    locationsSource.setData({
-      type: 'FeatureCollection',
-      features: features
-    });
+    map.getSource('isochrone').setData(data);
     
-    // Fit the map to show all features
     const bounds = new mapboxgl.LngLatBounds();
-    features.forEach(feature => {
-      bounds.extend(feature.geometry.coordinates);
+    data.features.forEach(feature => {
+      feature.geometry.coordinates[0].forEach(coord => bounds.extend(coord));
     });
-            
-            map.fitBounds(bounds, {
-              padding: 50
-            });
-          } else {
-    console.error('Locations source not found in map');
+    map.fitBounds(bounds, { padding: 50 });
+    
+    const cappedNote = contourMinutes < minutes
+      ? `<p><em>Travel times are limited to ${MAX_ISOCHRONE_MINUTES} minutes, so this shows ${MAX_ISOCHRONE_MINUTES} instead of ${minutes}.</em></p>`
+      : '';
+    displayMessage(`
+      <h3>Reachable Area</h3>
+      <p>Roughly everywhere you can get within ${contourMinutes} min by ${profile} from ${escapeHTML(origin.name)}.</p>
+      ${cappedNote}
+    `);
+  } catch (error) {
+    console.error('Error getting reachable area:', error);
+    displayMessage(`I couldn't work out the area reachable from ${escapeHTML(origin.name)}. Please try again.`);
+  }
+}
+
+/**
+ * Find the point a question is answered around
+ * That is the user's position for "near me" and "from here", the place asked
+ * about, or else the centre of the current view. When it cannot be found the
+ * user is told why
+ * @param {Object} result - Processed result with a question intent
+ * @returns {Promise<Object|null>} - {name, coordinates, locationType}, or null
+ */
+async function findAnswerOrigin(result) {
+  if (result.intent.nearUser) {
+    try {
+      const coordinates = await locateUser();
+      return { name: 'your location', coordinates, locationType: 'poi' };
+    } catch (error) {
+      console.error('Error getting the user position:', error);
+      displayMessage('I couldn\'t get your location. Please allow location access, or name a place instead.');
+      return null;
+    }
+  }
+  
+  if (result.locations.length === 0) {
+    const center = map.getCenter();
+    return { name: 'the centre of the map', coordinates: [center.lng, center.lat], locationType: 'poi' };
+  }
+  
+  const [location] = result.locations;
+  let placed;
+  try {
+    placed = await showLocationsOnMap([location], map, mapboxToken);
+  } catch (error) {
+    reportFailure('finding the starting point')(error);
+    return null;
+  }
+  if (placed.length === 0) {
+    displayMessage(`I couldn't find ${escapeHTML(location.name)} on the map. Please check the spelling and try again.`);
+    return null;
+  }
+  return { ...placed[0], name: location.name };
+}
+
+/**
+ * Get the user's position from the browser
+ * @returns {Promise<Array<number>>} - [longitude, latitude]
+ */
+function locateUser() {
+  return new Promise((resolve, reject) => {
+    if (!navigator.geolocation) {
+      reject(new Error('Geolocation is not available'));
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(
+      position => resolve([position.coords.longitude, position.coords.latitude]),
+      reject,
+      { timeout: 10000, maximumAge: 60000 }
+    );
+  });
+}
+
+/**
+ * Build a rejection handler that replaces the progress message with an error
+ * @param {string} task - What was being done, e.g. "measuring the distance"
+ * @returns {Function} - Handler taking the error
+ */
+function reportFailure(task) {
+  return error => {
+    console.error(`Error ${task}:`, error);
+    displayMessage(`<p>Something went wrong while ${task}. Please try again.</p>`);
+  };
+}
+
+/**
+ * Create the panel that shows the analyzed text, below the message display
+ * @returns {HTMLElement} - The new panel
+ */
+function createSourceTextDisplay() {
+  const panel = document.createElement('div');
+  panel.id = 'source-text';
+  panel.style.cssText = 'display: none; max-height: 200px; overflow-y: auto; padding: 10px; margin: 10px 0; border: 1px solid #ddd; border-radius: 4px; background-color: #fafafa;';
+  messageDisplay.insertAdjacentElement('afterend', panel);
+  return panel;
+}
+
+/**
+ * Ring the marker of a location, or clear the ring
+ * @param {string|null} name - Location name (the marker title), or null to clear
+ */
+function highlightMarker(name) {
+  if (map && map.getLayer('location-highlight')) {
+    map.setFilter('location-highlight', ['==', ['get', 'title'], name || '']);
   }
-} 
+}
+
+/**
+ * Remove the reachable area drawn by an earlier answer
+ */
+function clearIsochrone() {
+  const isochroneSource = map && map.getSource('isochrone');
+  if (isochroneSource) {
+    isochroneSource.setData({ type: 'FeatureCollection', features: [] });
+  }
+}
+
+/**
+ * Map a route sequence onto the user's confirmation decisions
+ * Rejected locations are dropped and edited ones take their new name
+ * @param {Array<string>} sequence - Location names in travel order, as extracted
+ * @param {Array<string>} extractedNames - Location names before confirmation, by index
+ * @param {Array<Object>} locations - Location objects updated by attachChipConfirmation
+ * @returns {Array<string>} - Location names to route through
+ */
+function applyConfirmedNames(sequence, extractedNames, locations) {
+  return sequence
+    .map(name => {
+      const index = extractedNames.indexOf(name);
+      if (index === -1) return name;
+      return locations[index].rejected ? null : locations[index].name;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Display a message in the message container
+ * @param {string} message - The message to display
+ */
+function displayMessage(message) {
+  messageDisplay.innerHTML = message;
+  messageDisplay.style.display = 'block';
+}